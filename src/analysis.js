@@ -0,0 +1,228 @@
+/**
+ * Sanity checks on a parsed flowchart: cycles, entry and exit nodes,
+ * isolated and unreachable nodes, degrees and the longest path, and
+ * rules over them for diagrams kept as architecture docs.
+ */
+
+import { orientEdge } from "./converter.js";
+import { longestPath, stronglyConnected, outgoingEdges } from "./graph.js";
+
+/**
+ * Rules `checkRules` can assert. Each `check` returns the violations as
+ * `{ message, nodes }`.
+ */
+export const RULES = {
+  "no-cycles": {
+    description: "No path of edges leads back to where it started",
+    check: (graph, analysis) =>
+      analysis.cycles.map((cycle) => ({
+        message: `Cycle ${pathName(graph, [...cycle, cycle[0]])}`,
+        nodes: cycle,
+      })),
+  },
+  "no-isolated": {
+    description: "Every node has an edge",
+    check: (graph, analysis) =>
+      analysis.isolated.map((id) => ({ message: `${nodeName(graph, id)} has no edges`, nodes: [id] })),
+  },
+  "no-unreachable": {
+    description: "Every node can be reached from where the flow starts",
+    check: (graph, analysis) =>
+      analysis.unreachable.map((id) => ({ message: `${nodeName(graph, id)} cannot be reached`, nodes: [id] })),
+  },
+  "single-entry": {
+    description: "Exactly one node has outgoing but no incoming edges",
+    check: (graph, analysis) => {
+      const { entries } = analysis;
+      if (entries.length === 1) return [];
+      const names = entries.length > 0 ? `: ${entries.map((id) => nodeName(graph, id)).join(", ")}` : "";
+      return [{ message: `${entries.length} entry nodes${names}`, nodes: entries }];
+    },
+  },
+  "decisions-branch": {
+    description: "Every diamond has at least two outgoing edges",
+    check: (graph, analysis) =>
+      [...graph.nodes]
+        .filter(([id, node]) => node.shape === "diamond" && analysis.degrees[id].out < 2)
+        .map(([id]) => {
+          const out = analysis.degrees[id].out;
+          return { message: `Decision ${nodeName(graph, id)} has ${out} outgoing ${out === 1 ? "edge" : "edges"}`, nodes: [id] };
+        }),
+  },
+};
+
+/**
+ * Analyze a parsed graph. Node lists hold element IDs, in document order.
+ *
+ * - `entries`: nodes with outgoing edges and no incoming ones
+ * - `exits`: nodes with incoming edges and no outgoing ones
+ * - `isolated`: nodes without edges
+ * - `unreachable`: nodes no path leads to from `root`, or, without one,
+ *   from any node without incoming edges
+ * - `stronglyConnected`: groups of nodes that can all reach each other
+ *   (components of one node only when it has an edge to itself)
+ * - `cycles`: one cycle through each of those components, as the nodes
+ *   along it; the edge back to the first node is implied
+ * - `longestPath`: the nodes along the longest path, not counting edges
+ *   that close a cycle
+ * - `degrees`: incoming and outgoing edge counts of each node
+ *
+ * Edges count in the direction their arrow points; lines and two-headed
+ * arrows count once, in the direction they were drawn. Edges to a group
+ * count for no node.
+ *
+ * @param {{ nodes: Map, edges: Array }} graph
+ * @param {{ root?: string }} [options] - `root` is a node's element ID or label
+ * @returns {{ root: string|null, entries: string[], exits: string[], isolated: string[], unreachable: string[], stronglyConnected: string[][], cycles: string[][], longestPath: string[], degrees: object }}
+ * @throws {Error} When no node has the root's ID or label
+ */
+export function analyzeGraph(graph, options = {}) {
+  const { nodes } = graph;
+  const edges = graph.edges.map(orientEdge).filter((edge) => nodes.has(edge.source) && nodes.has(edge.target));
+  const ids = [...nodes.keys()];
+
+  const degrees = {};
+  for (const id of ids) degrees[id] = { in: 0, out: 0 };
+  for (const edge of edges) {
+    degrees[edge.source].out++;
+    degrees[edge.target].in++;
+  }
+
+  const root = options.root == null ? null : findNode(graph, options.root);
+  const outgoing = outgoingEdges(nodes, edges);
+  const reached = new Set();
+  const queue = root ? [root] : ids.filter((id) => degrees[id].in === 0);
+  for (const id of queue) reached.add(id);
+  while (queue.length > 0) {
+    for (const target of outgoing.get(queue.shift())) {
+      if (!reached.has(target)) {
+        reached.add(target);
+        queue.push(target);
+      }
+    }
+  }
+
+  const components = stronglyConnected(nodes, edges).filter(
+    (component) => component.length > 1 || outgoing.get(component[0]).includes(component[0])
+  );
+
+  return {
+    root,
+    entries: ids.filter((id) => degrees[id].in === 0 && degrees[id].out > 0),
+    exits: ids.filter((id) => degrees[id].out === 0 && degrees[id].in > 0),
+    isolated: ids.filter((id) => degrees[id].in === 0 && degrees[id].out === 0),
+    unreachable: ids.filter((id) => !reached.has(id)),
+    stronglyConnected: components,
+    cycles: components.map((component) => findCycle(component, outgoing)),
+    longestPath: longestPath(nodes, edges),
+    degrees,
+  };
+}
+
+/**
+ * Check rules (names from `RULES`) against an analysis.
+ *
+ * @param {{ nodes: Map, edges: Array }} graph
+ * @param {object} analysis - From `analyzeGraph`
+ * @param {string[]} rules
+ * @returns {Array<{ rule: string, message: string, nodes: string[] }>}
+ * @throws {Error} For an unknown rule
+ */
+export function checkRules(graph, analysis, rules) {
+  const violations = [];
+  for (const rule of rules) {
+    if (!RULES[rule]) {
+      throw new Error(`Unknown rule "${rule}" (expected ${Object.keys(RULES).join(", ")})`);
+    }
+    for (const violation of RULES[rule].check(graph, analysis)) {
+      violations.push({ rule, ...violation });
+    }
+  }
+  return violations;
+}
+
+/**
+ * Render an analysis and rule results as a report for reading.
+ *
+ * @param {{ nodes: Map, edges: Array }} graph
+ * @param {object} analysis - From `analyzeGraph`
+ * @param {{ rules?: string[], violations?: Array }} [results] - From `checkRules`
+ * @returns {string}
+ */
+export function formatAnalysis(graph, analysis, { rules = [], violations = [] } = {}) {
+  const list = (ids) => (ids.length > 0 ? ids.map((id) => nodeName(graph, id)).join(", ") : "none");
+  const edgeCount = Object.values(analysis.degrees).reduce((sum, degree) => sum + degree.out, 0);
+  const path = analysis.longestPath;
+  const busiest = Object.entries(analysis.degrees)
+    .map(([id, degree]) => ({ id, total: degree.in + degree.out, ...degree }))
+    .reduce((best, entry) => (best === null || entry.total > best.total ? entry : best), null);
+
+  const lines = [
+    `${graph.nodes.size} ${graph.nodes.size === 1 ? "node" : "nodes"}, ${edgeCount} ${edgeCount === 1 ? "edge" : "edges"}`,
+    `Entries: ${list(analysis.entries)}`,
+    `Exits: ${list(analysis.exits)}`,
+    `Isolated: ${list(analysis.isolated)}`,
+    `Unreachable${analysis.root ? ` from ${nodeName(graph, analysis.root)}` : ""}: ${list(analysis.unreachable)}`,
+    `Cycles: ${analysis.cycles.length > 0 ? analysis.cycles.map((cycle) => pathName(graph, [...cycle, cycle[0]])).join("; ") : "none"}`,
+    `Longest path: ${path.length > 0 ? `${pathName(graph, path)} (${path.length - 1} ${path.length === 2 ? "edge" : "edges"})` : "none"}`,
+  ];
+  if (busiest && busiest.total > 0) {
+    lines.push(`Most edges: ${nodeName(graph, busiest.id)} (${busiest.in} in, ${busiest.out} out)`);
+  }
+
+  if (rules.length > 0) {
+    lines.push("", "Rules");
+    for (const rule of rules) {
+      const failed = violations.filter((violation) => violation.rule === rule);
+      lines.push(`  ${rule}: ${failed.length > 0 ? "failed" : "passed"}`);
+      for (const violation of failed) lines.push(`    ${violation.message}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * The ID of the node with the given element ID, or else the first with
+ * the given label.
+ */
+function findNode(graph, root) {
+  if (graph.nodes.has(root)) return root;
+  for (const [id, node] of graph.nodes) {
+    if (node.label === root) return id;
+  }
+  throw new Error(`Unknown root "${root}" (expected a node's element ID or label)`);
+}
+
+/**
+ * A shortest cycle from the first node of a strongly connected component
+ * back to itself, found breadth-first inside the component.
+ */
+function findCycle(component, outgoing) {
+  const inside = new Set(component);
+  const start = component[0];
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    for (const target of outgoing.get(nodeId)) {
+      if (target === start) {
+        const cycle = [];
+        for (let id = nodeId; id !== null; id = previous.get(id)) cycle.unshift(id);
+        return cycle;
+      }
+      if (inside.has(target) && !previous.has(target)) {
+        previous.set(target, nodeId);
+        queue.push(target);
+      }
+    }
+  }
+  return [start];
+}
+
+function nodeName(graph, id) {
+  return JSON.stringify(graph.nodes.get(id)?.label || id);
+}
+
+function pathName(graph, ids) {
+  return ids.map((id) => nodeName(graph, id)).join(" → ");
+}
@@ -1,22 +1,91 @@
 #!/usr/bin/env node
 
-import { readFileSync, existsSync } from "fs";
-import { resolve, dirname } from "path";
+import { readFileSync, writeFileSync, mkdirSync, existsSync, statSync } from "fs";
+import { resolve, relative, dirname, basename } from "path";
 import { fileURLToPath } from "url";
-import { convertFile } from "./index.js";
+import {
+  convert,
+  convertFile,
+  convertMermaid,
+  convertMermaidFile,
+  readScene,
+  diffGraphs,
+  summarizeDiff,
+  textconv,
+  analyze,
+  RULES,
+  usesExpandedShapes,
+  getEmitter,
+  listFormats,
+  DIAGRAM_TYPES,
+  ID_STRATEGIES,
+  ORDERS,
+} from "./index.js";
+import { watchInput, summarizeChange } from "./watch.js";
+import { syncMarkdown, diffText } from "./sync.js";
+import { formatWarning } from "./warnings.js";
+import {
+  expandInputs,
+  outputPathFor,
+  renderOutput,
+  readInput,
+  isGlob,
+  isDataUrl,
+  STDIN,
+  INPUT_EXTENSIONS,
+  OUTPUT_EXTENSIONS,
+} from "./files.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 function printHelp() {
   console.log(`
-Usage: excalidraw-to-mermaid <input.excalidraw> [options]
+Usage: excalidraw-to-mermaid <input.excalidraw | - | data:...> [options]
+       excalidraw-to-mermaid <files, directories or globs...> [--out-dir <dir>] [options]
+       excalidraw-to-mermaid sync <markdown files, directories or globs...> [--check] [options]
+       excalidraw-to-mermaid diff <before> <after> [--json | --format mermaid] [--check] [options]
+       excalidraw-to-mermaid textconv <file> [options]
+       excalidraw-to-mermaid analyze <input> [--rule <name>]... [--root <node>] [--json]
 
-Convert Excalidraw diagrams to Mermaid flowchart syntax.
+Convert Excalidraw diagrams to Mermaid flowchart, sequence, state, class or ER diagram syntax,
+or flowcharts to Graphviz DOT, PlantUML or D2. diff compares two revisions of a flowchart;
+textconv prints a drawing for git diff (stable IDs and order, never fails); analyze
+reports cycles, entries, exits and dead ends in a flowchart and checks rules.
+Inputs may be .excalidraw files, PNG/SVG exports with the scene embedded, or
+Obsidian .excalidraw.md drawings. Use - (or pipe with no input) to read stdin, which
+may also hold Excalidraw clipboard JSON or a bare array of elements.
 
 Options:
   -o, --output <file>   Write output to file (default: stdout)
+  --out-dir <dir>       Write each output below <dir>, mirroring the input tree
+  --ext <ext>           Output extension for several inputs: the format's own (${OUTPUT_EXTENSIONS[0]} for Mermaid)
+                        or .md for a fenced code block (default: the format's own)
+  -t, --type <type>     Diagram type: ${DIAGRAM_TYPES.join(", ")} (default: flowchart)
+  -f, --format <name>   Flowchart output format: ${listFormats().join(", ")} (default: mermaid)
   -d, --direction <dir> Force direction: TD, LR, BT, RL (default: auto-detect)
   --json                Output as JSON with metadata
+  --from-mermaid        Convert a Mermaid flowchart to an Excalidraw scene
+  --no-infer-bindings   Drop arrows whose ends are not bound to shapes
+  --binding-tolerance <px>
+                        Max distance from a shape for an unbound arrow end (default: 24)
+  --no-attach-text      Ignore text that is not bound to a shape or arrow
+  --label-tolerance <px>
+                        Max distance from a shape or arrow for unbound text (default: 40)
+  --no-styles           Leave out classDef and linkStyle lines for colors
+  --palette <file>      JSON file of named classes, e.g. {"external": {"backgroundColor": "#ffc9c9"}}
+  --ids <strategy>      Node IDs: ${ID_STRATEGIES.join(", ")} (default: short)
+  --order <mode>        Line order: ${ORDERS.join(", ")} (default: document)
+  --mermaid-version <v> Mermaid version to write for; 11.3 and later get the expanded
+                        A@{ shape: ... } node syntax (default: classic brackets)
+  -w, --watch           Regenerate whenever an input file is saved
+  --check               sync: change nothing; show stale blocks and exit 1 if any
+                        diff: exit 1 if the revisions differ
+  --strict              Exit 1 when an element is left out of the output
+  --root <node>         Node (element ID or label) that analysis counts reachability from
+                        (default: every node without incoming edges)
+  --rule <name>         analyze: rule to check, exiting 1 on violations; repeat or
+                        separate with commas. One of:
+${Object.entries(RULES).map(([name, rule]) => `                          ${name.padEnd(18)}${rule.description}`).join("\n")}
   -v, --version         Show version
   -h, --help            Show this help
 
@@ -25,9 +94,27 @@ Examples:
   excalidraw-to-mermaid diagram.excalidraw -o output.md
   excalidraw-to-mermaid diagram.excalidraw --direction LR
   excalidraw-to-mermaid diagram.excalidraw --json
+  excalidraw-to-mermaid diagram.excalidraw.png
+  xclip -o -selection clipboard | excalidraw-to-mermaid
+  excalidraw-to-mermaid login.excalidraw --type sequence
+  excalidraw-to-mermaid diagram.excalidraw --format d2 -o diagram.d2
+  excalidraw-to-mermaid diagram.excalidraw --ids label --order stable
+  excalidraw-to-mermaid diagram.excalidraw --mermaid-version 11
+  excalidraw-to-mermaid diagram.excalidraw -o diagram.mmd --watch
+  excalidraw-to-mermaid docs/ --out-dir build/diagrams --ext .md
+  excalidraw-to-mermaid "docs/**/*.excalidraw" --json
+  excalidraw-to-mermaid sync README.md docs/ --check
+  excalidraw-to-mermaid diff old.excalidraw diagram.excalidraw --format mermaid
+  excalidraw-to-mermaid analyze architecture.excalidraw --rule no-cycles,decisions-branch
+  excalidraw-to-mermaid diagram.mmd --from-mermaid -o diagram.excalidraw
 `.trim());
 }
 
+/**
+ * Subcommands recognized as the first argument.
+ */
+const COMMANDS = ["sync", "diff", "textconv", "analyze"];
+
 function getVersion() {
   const pkgPath = resolve(__dirname, "..", "package.json");
   const pkg = JSON.parse(readFileSync(pkgPath, "utf-8"));
@@ -37,15 +124,38 @@ function getVersion() {
 function main() {
   const args = process.argv.slice(2);
 
-  if (args.length === 0) {
+  // With no arguments, piped input is converted; a terminal gets help
+  if (args.length === 0 && process.stdin.isTTY) {
     printHelp();
     process.exit(1);
   }
 
-  let inputPath = null;
+  // Subcommands come first; anything else is a file to convert
+  const command = COMMANDS.includes(args[0]) ? args.shift() : null;
+
+  const inputs = [];
   let outputPath = null;
+  let outDir = null;
+  let extension = null;
   let direction = null;
+  let type = null;
+  let format = null;
   let jsonOutput = false;
+  let fromMermaid = false;
+  let inferBindings = true;
+  let bindingTolerance = null;
+  let attachText = true;
+  let labelTolerance = null;
+  let styles = true;
+  let palettePath = null;
+  let ids = null;
+  let order = null;
+  let target = null;
+  let watch = false;
+  let check = false;
+  let strict = false;
+  let root = null;
+  const rules = [];
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -68,6 +178,17 @@ function main() {
           process.exit(1);
         }
         break;
+      case "--out-dir":
+        outDir = args[++i];
+        if (!outDir) {
+          console.error("Error: --out-dir requires a directory");
+          process.exit(1);
+        }
+        break;
+      case "--ext":
+        extension = args[++i] || "";
+        if (!extension.startsWith(".")) extension = `.${extension}`;
+        break;
       case "-d":
       case "--direction":
         direction = args[++i];
@@ -78,54 +199,568 @@ function main() {
         direction = direction.toUpperCase();
         if (direction === "TB") direction = "TD";
         break;
+      case "-t":
+      case "--type":
+        type = args[++i];
+        if (!type || !DIAGRAM_TYPES.includes(type)) {
+          console.error(`Error: --type must be one of ${DIAGRAM_TYPES.join(", ")}`);
+          process.exit(1);
+        }
+        break;
+      case "-f":
+      case "--format":
+        format = args[++i];
+        if (!format || !listFormats().includes(format)) {
+          console.error(`Error: --format must be one of ${listFormats().join(", ")}`);
+          process.exit(1);
+        }
+        break;
       case "--json":
         jsonOutput = true;
         break;
+      case "--from-mermaid":
+        fromMermaid = true;
+        break;
+      case "--no-infer-bindings":
+        inferBindings = false;
+        break;
+      case "--binding-tolerance":
+        bindingTolerance = Number(args[++i]);
+        if (!Number.isFinite(bindingTolerance) || bindingTolerance < 0) {
+          console.error("Error: --binding-tolerance requires a non-negative number");
+          process.exit(1);
+        }
+        break;
+      case "--no-attach-text":
+        attachText = false;
+        break;
+      case "--label-tolerance":
+        labelTolerance = Number(args[++i]);
+        if (!Number.isFinite(labelTolerance) || labelTolerance < 0) {
+          console.error("Error: --label-tolerance requires a non-negative number");
+          process.exit(1);
+        }
+        break;
+      case "--no-styles":
+        styles = false;
+        break;
+      case "--palette":
+        palettePath = args[++i];
+        if (!palettePath) {
+          console.error("Error: --palette requires a file path");
+          process.exit(1);
+        }
+        break;
+      case "--ids":
+        ids = args[++i];
+        if (!ids || !ID_STRATEGIES.includes(ids)) {
+          console.error(`Error: --ids must be one of ${ID_STRATEGIES.join(", ")}`);
+          process.exit(1);
+        }
+        break;
+      case "--order":
+        order = args[++i];
+        if (!order || !ORDERS.includes(order)) {
+          console.error(`Error: --order must be one of ${ORDERS.join(", ")}`);
+          process.exit(1);
+        }
+        break;
+      case "--mermaid-version":
+        target = args[++i];
+        try {
+          if (!target) throw new Error();
+          usesExpandedShapes(target);
+        } catch {
+          console.error("Error: --mermaid-version requires a version such as 11 or 10.9");
+          process.exit(1);
+        }
+        break;
+      case "-w":
+      case "--watch":
+        watch = true;
+        break;
+      case "--check":
+        check = true;
+        break;
+      case "--strict":
+        strict = true;
+        break;
+      case "--root":
+        root = args[++i];
+        if (!root) {
+          console.error("Error: --root requires a node ID or label");
+          process.exit(1);
+        }
+        break;
+      case "--rule":
+        for (const rule of (args[++i] || "").split(",")) {
+          if (!RULES[rule.trim()]) {
+            console.error(`Error: --rule must be one of ${Object.keys(RULES).join(", ")}`);
+            process.exit(1);
+          }
+          rules.push(rule.trim());
+        }
+        break;
       default:
-        if (arg.startsWith("-")) {
+        if (arg.startsWith("-") && arg !== STDIN) {
           console.error(`Unknown option: ${arg}`);
           process.exit(1);
         }
-        inputPath = arg;
+        inputs.push(arg);
     }
   }
 
-  if (!inputPath) {
+  if (inputs.length === 0 && !command && !process.stdin.isTTY) inputs.push(STDIN);
+  if (inputs.length === 0) {
     console.error("Error: No input file specified");
     printHelp();
     process.exit(1);
   }
 
-  const resolved = resolve(inputPath);
-  if (!existsSync(resolved)) {
+  if (format && (fromMermaid || command === "sync")) {
+    console.error(`Error: --format does not apply to ${fromMermaid ? "--from-mermaid" : command}, which writes ${fromMermaid ? "Excalidraw scenes" : "Mermaid blocks"}`);
+    process.exit(1);
+  }
+
+  // Batches write each file with the format's extension, or as Markdown
+  const emitter = getEmitter(format || "mermaid");
+  extension ??= emitter.extension;
+  if (extension !== emitter.extension && extension !== ".md") {
+    console.error(`Error: --ext must be ${emitter.extension} or .md`);
+    process.exit(1);
+  }
+
+  if (check && command !== "sync" && command !== "diff") {
+    console.error("Error: --check only applies to sync and diff");
+    process.exit(1);
+  }
+
+  if (rules.length > 0 && command !== "analyze") {
+    console.error("Error: --rule only applies to analyze");
+    process.exit(1);
+  }
+
+  const options = {};
+  if (direction) options.direction = direction;
+  if (type) options.type = type;
+  if (format) options.format = format;
+  if (outputPath) options.output = resolve(outputPath);
+  options.inferBindings = inferBindings;
+  if (bindingTolerance !== null) options.bindingTolerance = bindingTolerance;
+  options.attachText = attachText;
+  if (labelTolerance !== null) options.labelTolerance = labelTolerance;
+  options.styles = styles;
+  if (ids) options.ids = ids;
+  if (order) options.order = order;
+  if (target) options.target = target;
+  if (root) options.root = root;
+
+  if (command === "diff") {
+    if (inputs.length !== 2 || outDir !== null || watch || fromMermaid || type) {
+      console.error("Error: diff takes two flowchart inputs, without --out-dir, --watch, --from-mermaid or --type");
+      process.exit(1);
+    }
+    if (format && format !== "mermaid") {
+      console.error("Error: diff writes text, JSON (--json) or Mermaid (--format mermaid)");
+      process.exit(1);
+    }
+    if (format && jsonOutput) {
+      console.error("Error: --json and --format mermaid are separate diff outputs; pick one");
+      process.exit(1);
+    }
+    try {
+      runDiff(inputs, { options: { ...options, format: jsonOutput ? "json" : format || "text" }, check });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === "textconv") {
+    if (inputs.length !== 1 || outputPath || outDir !== null || watch || jsonOutput || fromMermaid) {
+      console.error("Error: textconv takes one input and prints to stdout, without -o, --out-dir, --watch, --json or --from-mermaid");
+      process.exit(1);
+    }
+    // Git runs this on old revisions too, so nothing here exits non-zero
+    const input = inputs[0];
+    try {
+      const data = readInput(input === STDIN || isDataUrl(input) ? input : resolve(input));
+      process.stdout.write(textconv(data, options));
+    } catch (err) {
+      process.stdout.write(`excalidraw-to-mermaid: cannot read ${input} (${err.message})\n`);
+    }
+    return;
+  }
+
+  if (command === "analyze") {
+    if (inputs.length !== 1 || outputPath || outDir !== null || watch || fromMermaid || type || format) {
+      console.error("Error: analyze takes one flowchart input, without -o, --out-dir, --watch, --from-mermaid, --type or --format");
+      process.exit(1);
+    }
+    try {
+      runAnalyze(inputs[0], { options: { ...options, rules }, jsonOutput });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // Standard input and data: URLs are single inputs with nothing to watch
+  const inline = inputs.some((input) => input === STDIN || isDataUrl(input));
+  if (inline && (inputs.length > 1 || outDir !== null || command)) {
+    console.error("Error: - (stdin) and data: URLs take a single input, without --out-dir or sync");
+    process.exit(1);
+  }
+  if (inline && watch) {
+    console.error("Error: --watch needs a file, not stdin or a data: URL");
+    process.exit(1);
+  }
+
+  // Several inputs, a directory, a glob or --out-dir mean a batch
+  const batch =
+    inputs.length > 1 ||
+    outDir !== null ||
+    isGlob(inputs[0]) ||
+    (existsSync(inputs[0]) && statSync(inputs[0]).isDirectory());
+  if (batch && outputPath) {
+    console.error("Error: --output takes a single input; use --out-dir for several");
+    process.exit(1);
+  }
+
+  const resolved = inline ? inputs[0] : resolve(inputs[0]);
+  if (!batch && !inline && !existsSync(resolved)) {
     console.error(`Error: File not found: ${resolved}`);
     process.exit(1);
   }
 
-  try {
-    const options = {};
-    if (direction) options.direction = direction;
-    if (outputPath) options.output = resolve(outputPath);
+  if (command === "sync") {
+    try {
+      if (palettePath) options.palette = JSON.parse(readFileSync(resolve(palettePath), "utf-8"));
+      runSync(inputs, { options, check, strict });
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  const readSource = () => {
+    const data = readInput(resolved);
+    if (resolved === STDIN && data.length === 0) throw new Error("No input on stdin");
+    return data;
+  };
 
-    const result = convertFile(resolved, options);
+  const convertOnce = () => {
+    if (fromMermaid) {
+      const result = convertMermaid(readSource().toString("utf-8"), options);
+      if (jsonOutput) {
+        console.log(JSON.stringify({
+          nodeCount: result.nodeCount,
+          edgeCount: result.edgeCount,
+          direction: result.direction,
+          ...(outputPath ? { output: resolve(outputPath) } : { scene: result.scene }),
+        }, null, 2));
+      } else if (outputPath) {
+        if (!watch) console.log(`Converted ${result.nodeCount} nodes, ${result.edgeCount} edges → ${outputPath}`);
+      } else {
+        process.stdout.write(JSON.stringify(result.scene, null, 2) + "\n");
+      }
+      return result;
+    }
+
+    const result = convert(readScene(readSource()), options);
 
     if (jsonOutput) {
       console.log(JSON.stringify({
-        mermaid: result.mermaid,
-        nodeCount: result.nodeCount,
-        edgeCount: result.edgeCount,
-        direction: result.direction,
+        ...jsonFields(result),
         ...(outputPath ? { output: resolve(outputPath) } : {}),
       }, null, 2));
-    } else if (outputPath) {
-      console.log(`Converted ${result.nodeCount} nodes, ${result.edgeCount} edges → ${outputPath}`);
     } else {
-      process.stdout.write(result.mermaid);
+      for (const warning of result.warnings) console.error(formatWarning(warning));
+      if (outputPath) {
+        if (!watch) console.log(`Converted ${result.nodeCount} nodes, ${result.edgeCount} edges → ${outputPath}`);
+      } else {
+        process.stdout.write(result.text);
+      }
+    }
+    return result;
+  };
+
+  try {
+    if (palettePath) options.palette = JSON.parse(readFileSync(resolve(palettePath), "utf-8"));
+    if (batch) {
+      runBatch(inputs, { options, fromMermaid, outDir, extension, language: emitter.language, jsonOutput, watch, strict });
+      return;
+    }
+    if (!watch) {
+      const lost = lostElements(convertOnce());
+      if (strict && lost.length > 0) {
+        console.error(`Error: ${lost.length} ${lost.length === 1 ? "element was" : "elements were"} left out (--strict)`);
+        process.exit(1);
+      }
+      return;
     }
   } catch (err) {
     console.error(`Error: ${err.message}`);
     process.exit(1);
   }
+
+  // Watch mode: summaries go to stderr so stdout stays plain output
+  const name = basename(resolved);
+  let previous = null;
+  const rerun = () => {
+    const time = new Date().toTimeString().slice(0, 8);
+    try {
+      const result = convertOnce();
+      console.error(`[${time}] ${name}: ${summarizeChange(previous, result)}`);
+      previous = result;
+    } catch (err) {
+      // Excalidraw may be halfway through writing the file
+      const reason = err instanceof SyntaxError ? "invalid JSON" : err.message;
+      console.error(`[${time}] ${name}: ${reason} (waiting for the next save)`);
+    }
+  };
+
+  rerun();
+  watchInput(resolved, rerun);
+  console.error(`Watching ${name} for changes (Ctrl+C to stop)`);
+}
+
+/**
+ * Convert every file matched by the inputs, writing each output next to
+ * its input or below `outDir`. Failures are reported in the summary
+ * without stopping the batch, and make the process exit non-zero.
+ */
+function runBatch(inputs, settings) {
+  const { options, fromMermaid, outDir, extension, language, jsonOutput, watch, strict } = settings;
+  const inputExtensions = fromMermaid ? INPUT_EXTENSIONS.mermaid : INPUT_EXTENSIONS.excalidraw;
+  const { files, unmatched } = expandInputs(inputs, inputExtensions);
+
+  // Inputs that would write the same file (`a.excalidraw` and
+  // `a.excalidraw.png`) all fail rather than overwrite each other
+  const outputs = new Map(
+    files.map((file) => [file.path, outputPathFor(file, outDir, fromMermaid ? ".excalidraw" : extension, inputExtensions)])
+  );
+  const writers = new Map();
+  for (const [path, output] of outputs) {
+    if (!writers.has(output)) writers.set(output, []);
+    writers.get(output).push(path);
+  }
+
+  const convertOne = (file) => {
+    const output = outputs.get(file.path);
+    const others = writers.get(output).filter((path) => path !== file.path);
+    if (others.length > 0) {
+      return { input: file.path, ok: false, error: `${displayPath(output)} is also the output of ${others.map(displayPath).join(", ")}` };
+    }
+    try {
+      if (fromMermaid) {
+        mkdirSync(dirname(output), { recursive: true });
+        const result = convertMermaidFile(file.path, { ...options, output });
+        const { nodeCount, edgeCount, direction } = result;
+        return { input: file.path, output, ok: true, nodeCount, edgeCount, direction };
+      }
+
+      const result = convertFile(file.path, options);
+      if (!jsonOutput) {
+        for (const warning of result.warnings) console.error(formatWarning(warning, displayPath(file.path)));
+      }
+      const lost = lostElements(result);
+      if (strict && lost.length > 0) {
+        return { input: file.path, ok: false, error: `${lost.length} left out (--strict)`, warnings: result.warnings };
+      }
+      mkdirSync(dirname(output), { recursive: true });
+      writeFileSync(output, renderOutput(result.text, extension, language), "utf-8");
+      return { input: file.path, output, ok: true, ...jsonFields(result) };
+    } catch (err) {
+      return { input: file.path, ok: false, error: err.message };
+    }
+  };
+
+  const results = [
+    ...files.map(convertOne),
+    ...unmatched.map((input) => ({ input, ok: false, error: "No matching files" })),
+  ];
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    console.log(formatSummary(results));
+  }
+
+  if (!watch) {
+    if (results.some((result) => !result.ok)) process.exit(1);
+    return;
+  }
+
+  for (const file of files) {
+    let previous = results.find((result) => result.input === file.path && result.ok) || null;
+    watchInput(file.path, () => {
+      const time = new Date().toTimeString().slice(0, 8);
+      const result = convertOne(file);
+      if (result.ok) {
+        console.error(`[${time}] ${displayPath(file.path)}: ${summarizeChange(previous, result)}`);
+        previous = result;
+      } else {
+        console.error(`[${time}] ${displayPath(file.path)}: ${result.error} (waiting for the next save)`);
+      }
+    });
+  }
+  console.error(`Watching ${files.length} files for changes (Ctrl+C to stop)`);
+}
+
+/**
+ * Fields of a conversion result printed by --json, with the output under
+ * `mermaid` or `text` but not both.
+ */
+function jsonFields(result) {
+  return {
+    type: result.type,
+    format: result.format,
+    ...(result.format === "mermaid" ? { mermaid: result.mermaid } : { text: result.text }),
+    nodeCount: result.nodeCount,
+    edgeCount: result.edgeCount,
+    direction: result.direction,
+    inferredEdges: result.inferredEdges,
+    unattachedText: result.unattachedText,
+    analysis: result.analysis,
+    warnings: result.warnings,
+  };
+}
+
+/**
+ * Warnings of a conversion result where an element was left out.
+ */
+function lostElements(result) {
+  return (result.warnings || []).filter((warning) => warning.lost);
+}
+
+/**
+ * Regenerate the marked Mermaid blocks in Markdown files. With `check`,
+ * nothing is written; stale blocks are printed as diffs instead. Exits
+ * non-zero when a block is stale (with `check`) or cannot be generated.
+ */
+function runSync(inputs, { options, check, strict }) {
+  const { files, unmatched } = expandInputs(inputs, INPUT_EXTENSIONS.markdown);
+  let stale = 0;
+  let failed = unmatched.length;
+  let total = 0;
+
+  for (const input of unmatched) {
+    console.error(`Error: ${input}: no matching files`);
+  }
+
+  for (const file of files) {
+    const name = displayPath(file.path);
+    const source = readFileSync(file.path, "utf-8");
+    const render = (path, markerOptions) => {
+      const sourcePath = resolve(dirname(file.path), path);
+      if (!existsSync(sourcePath)) throw new Error("file not found");
+      const result = convertFile(sourcePath, { ...options, ...markerOptions });
+      const lost = lostElements(result);
+      if (strict && lost.length > 0) throw new Error(`${lost.length} left out (--strict)`);
+      return result.mermaid;
+    };
+    const { text, blocks } = syncMarkdown(source, render);
+    total += blocks.length;
+
+    for (const block of blocks) {
+      if (block.error) {
+        failed++;
+        console.error(`Error: ${name}:${block.line}: ${block.path}: ${block.error}`);
+      } else if (block.stale) {
+        stale++;
+        if (check) {
+          console.log(`--- ${name}:${block.line} (${block.path})`);
+          console.log(diffText(block.before, block.after));
+        }
+      }
+    }
+
+    if (!check && text !== source) {
+      writeFileSync(file.path, text, "utf-8");
+      console.log(`Updated ${name}`);
+    }
+  }
+
+  const summary = `${total} ${total === 1 ? "block" : "blocks"}, ${stale} ${check ? "stale" : "updated"}`;
+  console.log(failed > 0 ? `${summary}, ${failed} failed` : summary);
+  if (failed > 0 || (check && stale > 0)) process.exit(1);
+}
+
+/**
+ * Compare two revisions of a flowchart and print the diff, or write it to
+ * `options.output` with a summary line. Either input may be - (stdin) or
+ * a data: URL. With `check`, exits non-zero when they differ.
+ */
+function runDiff(inputs, { options, check }) {
+  if (inputs.every((input) => input === STDIN)) {
+    throw new Error("Only one side of a diff can come from stdin");
+  }
+  const [before, after] = inputs.map((input) => {
+    if (input === STDIN || isDataUrl(input)) return readScene(readInput(input));
+    const path = resolve(input);
+    if (!existsSync(path)) throw new Error(`File not found: ${path}`);
+    return readScene(readInput(path));
+  });
+
+  const result = diffGraphs(before, after, options);
+  for (const warning of result.warnings) console.error(formatWarning(warning));
+  if (options.output) {
+    const summary = summarizeDiff(result);
+    console.log(`${summary[0].toUpperCase()}${summary.slice(1)} → ${displayPath(options.output)}`);
+  } else {
+    process.stdout.write(result.text);
+  }
+  if (check && result.changed) process.exit(1);
+}
+
+/**
+ * Analyze a flowchart and print the report, or the analysis as JSON.
+ * Exits non-zero when a rule is violated.
+ */
+function runAnalyze(input, { options, jsonOutput }) {
+  const inline = input === STDIN || isDataUrl(input);
+  const path = inline ? input : resolve(input);
+  if (!inline && !existsSync(path)) throw new Error(`File not found: ${path}`);
+
+  const { text, ...result } = analyze(readScene(readInput(path)), options);
+  if (jsonOutput) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    process.stdout.write(text);
+  }
+  if (!result.ok) process.exit(1);
+}
+
+/**
+ * Render batch results as a table with a count line.
+ */
+function formatSummary(results) {
+  const rows = results.map((result) => [
+    displayPath(result.input),
+    result.ok ? String(result.nodeCount) : "-",
+    result.ok ? String(result.edgeCount) : "-",
+    result.ok ? displayPath(result.output) : `Error: ${result.error}`,
+  ]);
+  const header = ["File", "Nodes", "Edges", "Result"];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) =>
+    cells
+      .map((cell, i) => (i === 1 || i === 2 ? cell.padStart(widths[i]) : cell.padEnd(widths[i])))
+      .join("  ")
+      .trimEnd();
+
+  const failed = results.filter((result) => !result.ok).length;
+  const counts = `${results.length - failed} converted, ${failed} failed`;
+  return [line(header), ...rows.map(line), "", counts].join("\n");
+}
+
+function displayPath(path) {
+  const rel = relative(process.cwd(), path);
+  return rel && !rel.startsWith("..") ? rel : path;
 }
 
 main();
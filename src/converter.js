@@ -2,97 +2,538 @@
  * Convert a parsed graph into Mermaid flowchart syntax.
  */
 
+import { readingOrder } from "./graph.js";
+import { createWarning } from "./warnings.js";
+
 /**
  * Characters that require quoting a Mermaid label.
  */
 const NEEDS_QUOTES = /[:"{}|[\]<>()#&]/;
 
+/**
+ * Opening and closing brackets for each node shape.
+ */
+export const SHAPE_BRACKETS = {
+  rectangle: ["[", "]"],
+  rounded: ["(", ")"],
+  diamond: ["{", "}"],
+  circle: ["((", "))"],
+  subroutine: ["[[", "]]"],
+  stadium: ["([", "])"],
+  "double-circle": ["(((", ")))"],
+};
+
+/**
+ * Shape name in Mermaid's expanded `A@{ shape: ... }` syntax for each node
+ * shape.
+ */
+export const EXPANDED_SHAPES = {
+  rectangle: "rect",
+  rounded: "rounded",
+  diamond: "diam",
+  circle: "circle",
+  subroutine: "subproc",
+  stadium: "stadium",
+  "double-circle": "dbl-circ",
+};
+
+/**
+ * First Mermaid version with the expanded shape syntax.
+ */
+export const EXPANDED_SHAPES_SINCE = [11, 3];
+
+/**
+ * Connector syntax for each edge style.
+ */
+export const CONNECTORS = {
+  arrow: "-->",
+  line: "---",
+  dotted: "-.->",
+  "dotted-line": "-.-",
+  thick: "==>",
+  "thick-line": "===",
+};
+
+/**
+ * Mermaid head for each Excalidraw arrowhead, as written at the end of a
+ * connector; at the start, `>` becomes `<`. Other heads draw as arrows.
+ */
+export const HEAD_MARKERS = {
+  arrow: ">",
+  triangle: ">",
+  triangle_outline: ">",
+  dot: "o",
+  circle: "o",
+  circle_outline: "o",
+  bar: "x",
+  cross: "x",
+};
+
+/**
+ * How node and subgraph IDs are chosen:
+ * - short: A, B, C, ... by position (subgraphs keep their element ID)
+ * - label: slugified labels, e.g. `process_order`
+ * - element: the first characters of the Excalidraw element ID
+ * - custom: `customData.mermaidId` on the element, else the label slug
+ */
+export const ID_STRATEGIES = ["short", "label", "element", "custom"];
+
+/**
+ * Orders in which nodes, subgraphs and edges are written:
+ * - document: the order of elements in the file (z-order)
+ * - stable: sorted by element ID, so reordering or adding shapes leaves
+ *   the other lines in place
+ * - layout: reading order along the flow direction, by rank and then by
+ *   position across the flow, so Mermaid's layout follows the sketch
+ */
+export const ORDERS = ["document", "stable", "layout"];
+
+/**
+ * Words Mermaid reads as keywords, which cannot be node IDs.
+ */
+const RESERVED_IDS = new Set([
+  "end", "graph", "flowchart", "subgraph", "style", "class", "classDef",
+  "click", "linkStyle", "direction", "default", "call", "href",
+]);
+
+/**
+ * Maximum length of a label slug and of a truncated element ID.
+ */
+const SLUG_LENGTH = 32;
+const ELEMENT_ID_LENGTH = 8;
+
+/**
+ * Excalidraw's default colors, which need no styling.
+ */
+const DEFAULT_STROKES = new Set(["#1e1e1e", "#000000", "#000"]);
+const DEFAULT_FILLS = new Set(["transparent", ""]);
+const DEFAULT_STROKE_WIDTHS = new Set([2, 4]);
+
+/**
+ * Dash patterns for non-solid strokes.
+ */
+const DASH_ARRAYS = {
+  dashed: "5 5",
+  dotted: "2 2",
+};
+
+/**
+ * Shapes drawn dashed in Excalidraw to tell them apart, whose dashes
+ * need no styling.
+ */
+const DASHED_SHAPES = new Set(["subroutine", "double-circle"]);
+
 /**
  * Convert a parsed graph to a Mermaid flowchart string.
  *
+ * Groups nest through their `parent` ID; groups without one are top-level.
+ *
+ * Node colors and stroke styles become `classDef` classes, and arrow
+ * colors and widths become `linkStyle` lines. Pass `styles: false` to
+ * leave them out, or a `palette` of named classes to use instead of
+ * generated ones, e.g. `{ external: { backgroundColor: "#ffc9c9" } }`.
+ *
+ * `ids` picks one of `ID_STRATEGIES` and `order` one of `ORDERS`.
+ *
+ * `target` is the Mermaid version the output is for, e.g. `"11"` or
+ * `"10.9"`. From 11.3 on, nodes use the expanded `A@{ shape, label }`
+ * syntax; without a target, or for older versions, they use the classic
+ * brackets.
+ *
+ * Nodes with a `link` (a URL or an Obsidian `[[Page]]` wiki-link) get a
+ * `click` line.
+ *
+ * An edge may end at a group, drawn as an edge to its subgraph. Edges left
+ * out are reported in `warnings`, when given an array.
+ *
  * @param {{ nodes: Map, edges: Array, groups: Map, direction: string }} graph
- * @param {{ direction?: string }} options
+ * @param {{ direction?: string, styles?: boolean, palette?: object, ids?: string, order?: string, target?: string, warnings?: Array }} options
  * @returns {string}
  */
 export function toMermaid(graph, options = {}) {
-  const { nodes, edges, groups, direction } = graph;
-  const dir = options.direction || direction || "TD";
+  const expanded = usesExpandedShapes(options.target);
+  const { direction, nodes, edges, idMap, groupIdMap, children, members, looseNodes } = resolveGraph(graph, options);
   const lines = [];
 
-  lines.push(`graph ${dir}`);
-
-  // Assign short IDs (A, B, C, ... AA, AB, ...)
-  const idMap = assignIds(nodes);
-
-  // Track which nodes are inside a group
-  const groupedNodes = new Set();
-  for (const group of groups.values()) {
-    for (const memberId of group.members) {
-      groupedNodes.add(memberId);
-    }
-  }
+  lines.push(`graph ${direction}`);
 
-  // Track rendered nodes to prevent duplicates across groups
-  const renderedNodes = new Set();
-
-  // Render groups with their contained nodes
-  for (const group of groups.values()) {
-    const groupShortId = sanitizeId(group.id);
+  // Render groups as nested subgraphs, each node in its innermost group
+  const renderGroup = (group, depth) => {
+    const indent = "    ".repeat(depth);
+    const groupShortId = groupIdMap.get(group.id);
     const label = group.label || "";
     if (label) {
-      lines.push(`    subgraph ${groupShortId}[${quoteLabel(label)}]`);
+      lines.push(`${indent}subgraph ${groupShortId}[${quoteLabel(label)}]`);
+    } else if (group.container) {
+      // A bare dashed box has no name; its element ID would be the title
+      lines.push(`${indent}subgraph ${groupShortId}[" "]`);
     } else {
-      lines.push(`    subgraph ${groupShortId}`);
+      lines.push(`${indent}subgraph ${groupShortId}`);
     }
 
-    for (const memberId of group.members) {
-      if (renderedNodes.has(memberId)) continue;
-      const node = nodes.get(memberId);
-      if (node) {
-        lines.push(`        ${renderNode(idMap.get(memberId), node)}`);
-        renderedNodes.add(memberId);
-      }
+    for (const memberId of members.get(group.id)) {
+      lines.push(`${indent}    ${renderNode(idMap.get(memberId), nodes.get(memberId), expanded)}`);
+    }
+    for (const child of children.get(group.id) || []) {
+      renderGroup(child, depth + 1);
     }
-    lines.push("    end");
+    lines.push(`${indent}end`);
+  };
+
+  for (const group of children.get(null) || []) {
+    renderGroup(group, 1);
   }
 
   // Render ungrouped nodes
-  for (const [nodeId, node] of nodes) {
-    if (groupedNodes.has(nodeId)) continue;
-    lines.push(`    ${renderNode(idMap.get(nodeId), node)}`);
+  for (const nodeId of looseNodes) {
+    lines.push(`    ${renderNode(idMap.get(nodeId), nodes.get(nodeId), expanded)}`);
   }
 
   // Render edges
   for (const edge of edges) {
-    const srcId = idMap.get(edge.source);
-    const tgtId = idMap.get(edge.target);
-    if (!srcId || !tgtId) continue;
-
     const connector = renderConnector(edge);
     if (edge.label) {
-      lines.push(`    ${srcId} ${connector}|${quoteLabel(edge.label)}| ${tgtId}`);
+      lines.push(`    ${edge.sourceId} ${connector}|${quoteLabel(edge.label)}| ${edge.targetId}`);
     } else {
-      lines.push(`    ${srcId} ${connector} ${tgtId}`);
+      lines.push(`    ${edge.sourceId} ${connector} ${edge.targetId}`);
     }
   }
 
+  // Render links on nodes as click handlers
+  for (const [nodeId, node] of nodes) {
+    if (node.link) lines.push(`    click ${idMap.get(nodeId)} "${linkTarget(node.link)}"`);
+  }
+
+  if (options.styles !== false) {
+    lines.push(...renderStyles(nodes, idMap, edges, options.palette));
+  }
+
   return lines.join("\n") + "\n";
 }
 
 /**
- * Assign short alphabetic IDs to nodes.
- * A, B, C, ... Z, AA, AB, ...
+ * Everything an emitter needs to write a graph, in output order:
+ *
+ * - `direction`: the flow direction, `options.direction` first
+ * - `nodes`, `groups`: ordered by `options.order`
+ * - `idMap`, `groupIdMap`: output IDs by `options.ids`
+ * - `children`: the groups inside each group ID, top-level ones under null
+ * - `members`: the nodes written inside each group; a node listed in
+ *   several is written in the first
+ * - `looseNodes`: IDs of the nodes in no group
+ * - `edges`: oriented edges with both ends in the output, each with its
+ *   `sourceId` and `targetId` (a node's or a subgraph's). The rest are
+ *   reported in `options.warnings`, when given an array.
+ *
+ * @param {{ nodes: Map, edges: Array, groups: Map, direction: string }} graph
+ * @param {{ direction?: string, ids?: string, order?: string, warnings?: Array }} [options]
  */
-export function assignIds(nodes) {
+export function resolveGraph(graph, options = {}) {
+  const direction = options.direction || graph.direction || "TD";
+  const oriented = { ...graph, edges: graph.edges.map(orientEdge) };
+  const { nodes, edges, groups } = orderGraph(oriented, options.order, direction);
+
+  const idMap = assignIds(nodes, options.ids);
+  const groupIdMap = assignGroupIds(groups, options.ids, new Set(idMap.values()));
+
+  const children = new Map();
+  for (const group of groups.values()) {
+    const parent = groups.has(group.parent) ? group.parent : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(group);
+  }
+
+  // Nodes go in the first group listing them, in the order groups are written
+  const members = new Map();
+  const placed = new Set();
+  const place = (group) => {
+    const own = group.members.filter((id) => nodes.has(id) && !placed.has(id));
+    for (const id of own) placed.add(id);
+    members.set(group.id, own);
+    for (const child of children.get(group.id) || []) place(child);
+  };
+  for (const group of children.get(null) || []) place(group);
+  const grouped = new Set([...groups.values()].flatMap((group) => group.members));
+  const looseNodes = [...nodes.keys()].filter((id) => !grouped.has(id));
+
+  const resolved = [];
+  for (const edge of edges) {
+    const sourceId = idMap.get(edge.source) ?? groupIdMap.get(edge.source);
+    const targetId = idMap.get(edge.target) ?? groupIdMap.get(edge.target);
+    if (!sourceId || !targetId) {
+      const end = sourceId ? "end" : "start";
+      options.warnings?.push(createWarning("missing-endpoint", `Edge ${end} has no node in the output and was dropped`, edge));
+      continue;
+    }
+    resolved.push({ ...edge, sourceId, targetId });
+  }
+
+  return { direction, nodes, groups, idMap, groupIdMap, children, members, looseNodes, edges: resolved };
+}
+
+/**
+ * Render `classDef`, `class` and `linkStyle` lines for colored nodes and
+ * edges. Nodes that share a style share a class.
+ */
+export function renderStyles(nodes, idMap, edges, palette = {}) {
+  const classes = new Map();
+  const styleOf = new Map();
+  let generated = 0;
+
+  for (const [nodeId, node] of nodes) {
+    const named = matchPalette(node, palette);
+    const style = named ? renderNodeStyle(palette[named]) : renderNodeStyle(node);
+    if (!style) continue;
+
+    let name = named || styleOf.get(style);
+    if (!name) {
+      generated++;
+      name = `style${generated}`;
+      styleOf.set(style, name);
+    }
+    if (!classes.has(name)) classes.set(name, { style, members: [] });
+    classes.get(name).members.push(idMap.get(nodeId));
+  }
+
+  const lines = [];
+  for (const [name, { style }] of classes) {
+    lines.push(`    classDef ${name} ${style}`);
+  }
+  for (const [name, { members }] of classes) {
+    lines.push(`    class ${members.join(",")} ${name}`);
+  }
+
+  const links = new Map();
+  edges.forEach((edge, index) => {
+    const style = renderEdgeStyle(edge);
+    if (!style) return;
+    if (!links.has(style)) links.set(style, []);
+    links.get(style).push(index);
+  });
+  for (const [style, indexes] of links) {
+    lines.push(`    linkStyle ${indexes.join(",")} ${style}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Render a node's colors and stroke style as Mermaid style properties.
+ * Returns an empty string when everything is at Excalidraw's defaults.
+ */
+export function renderNodeStyle(node) {
+  const props = [];
+  const fill = (node.backgroundColor || "").toLowerCase();
+  const stroke = (node.strokeColor || "").toLowerCase();
+  if (!DEFAULT_FILLS.has(fill)) props.push(`fill:${fill}`);
+  if (stroke && !DEFAULT_STROKES.has(stroke)) props.push(`stroke:${stroke}`);
+  if (DASH_ARRAYS[node.strokeStyle] && !DASHED_SHAPES.has(node.shape)) {
+    props.push(`stroke-dasharray:${DASH_ARRAYS[node.strokeStyle]}`);
+  }
+  return props.join(",");
+}
+
+/**
+ * Render an arrow's color and width as Mermaid link style properties.
+ * Dash and thickness are already carried by the connector.
+ */
+export function renderEdgeStyle(edge) {
+  const props = [];
+  const stroke = (edge.strokeColor || "").toLowerCase();
+  if (stroke && !DEFAULT_STROKES.has(stroke)) props.push(`stroke:${stroke}`);
+  if (edge.strokeWidth && !DEFAULT_STROKE_WIDTHS.has(edge.strokeWidth)) {
+    props.push(`stroke-width:${edge.strokeWidth}px`);
+  }
+  return props.join(",");
+}
+
+/**
+ * Find the palette class whose colors all match a node's.
+ */
+function matchPalette(node, palette) {
+  for (const [name, spec] of Object.entries(palette || {})) {
+    const keys = ["backgroundColor", "strokeColor", "strokeStyle"].filter((key) => spec[key]);
+    if (keys.length === 0) continue;
+    if (keys.every((key) => (node[key] || "").toLowerCase() === spec[key].toLowerCase())) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Put a graph's nodes, groups and edges in the given order (one of
+ * `ORDERS`). Edges follow their source, then their target; groups follow
+ * the first node inside them, and list their members in node order.
+ */
+export function orderGraph(graph, order = "document", direction = graph.direction) {
+  if (order === "document") return graph;
+
+  const compareIds = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  let nodeIds;
+  if (order === "stable") {
+    nodeIds = [...graph.nodes.keys()].sort(compareIds);
+  } else if (order === "layout") {
+    nodeIds = readingOrder(graph.nodes, graph.edges, direction || "TD");
+  } else {
+    throw new Error(`Unknown order "${order}" (expected ${ORDERS.join(", ")})`);
+  }
+
+  const nodes = new Map(nodeIds.map((id) => [id, graph.nodes.get(id)]));
+  const rank = new Map(nodeIds.map((id, i) => [id, i]));
+  const rankOf = (id) => rank.get(id) ?? Infinity;
+  const first = firstMemberRanks(graph.groups, rankOf);
+
+  let groupIds;
+  if (order === "stable") {
+    groupIds = [...graph.groups.keys()].sort(compareIds);
+  } else {
+    groupIds = [...graph.groups.keys()].sort((a, b) => compareRanks(first.get(a), first.get(b)));
+  }
+  // Members follow the node order too
+  const groups = new Map(groupIds.map((id) => {
+    const group = graph.groups.get(id);
+    return [id, { ...group, members: [...group.members].sort((a, b) => compareRanks(rankOf(a), rankOf(b))) }];
+  }));
+
+  // Edges to a subgraph rank with its first node
+  const endRank = (id) => rank.get(id) ?? first.get(id) ?? Infinity;
+  const edges = [...graph.edges].sort(
+    (a, b) =>
+      compareRanks(endRank(a.source), endRank(b.source)) ||
+      compareRanks(endRank(a.target), endRank(b.target)) ||
+      (order === "stable" ? compareIds(a.id, b.id) : 0)
+  );
+
+  return { ...graph, nodes, groups, edges };
+}
+
+/**
+ * Compare ranks, with unranked (Infinity) ends equal to each other.
+ */
+function compareRanks(a, b) {
+  return a === b ? 0 : a - b;
+}
+
+/**
+ * The earliest node rank inside each group, counting nested groups.
+ */
+function firstMemberRanks(groups, rankOf) {
+  const first = new Map();
+  for (const group of groups.values()) {
+    const own = Math.min(Infinity, ...group.members.map(rankOf));
+    for (let id = group.id; groups.has(id); id = groups.get(id).parent) {
+      first.set(id, Math.min(first.get(id) ?? Infinity, own));
+    }
+  }
+  return first;
+}
+
+/**
+ * Assign Mermaid IDs to nodes with one of `ID_STRATEGIES`.
+ * The default gives short alphabetic IDs: A, B, C, ... Z, AA, AB, ...
+ * Other strategies add `_2`, `_3`, ... when two nodes would collide.
+ */
+export function assignIds(nodes, strategy = "short", used = new Set()) {
+  checkStrategy(strategy);
   const idMap = new Map();
   let i = 0;
-  for (const nodeId of nodes.keys()) {
-    idMap.set(nodeId, shortId(i));
+  for (const [nodeId, node] of nodes) {
+    const preferred = strategy === "short" ? shortId(i) : preferredId(nodeId, node, strategy);
+    idMap.set(nodeId, uniqueId(preferred, used));
     i++;
   }
   return idMap;
 }
 
+/**
+ * Assign Mermaid IDs to subgraphs, avoiding the IDs in `used`. Under the
+ * short strategy a subgraph keeps its sanitized element ID.
+ */
+export function assignGroupIds(groups, strategy = "short", used = new Set()) {
+  checkStrategy(strategy);
+  const idMap = new Map();
+  for (const [groupId, group] of groups) {
+    const preferred = strategy === "short"
+      ? sanitizeId(groupId)
+      : preferredId(groupId, group, strategy);
+    idMap.set(groupId, uniqueId(preferred, used));
+  }
+  return idMap;
+}
+
+/**
+ * Turn a label into a lowercase ASCII word: "Process Order" → process_order.
+ */
+export function slugify(text) {
+  return (text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .substring(0, SLUG_LENGTH)
+    .replace(/_+$/, "");
+}
+
+/**
+ * The ID a node or group asks for under a non-short strategy. Anything
+ * without a usable label falls back to its truncated element ID. IDs
+ * that start with a digit get an `n` prefix, and keywords a `_` suffix.
+ */
+function preferredId(elementId, item, strategy) {
+  const fromElement = sanitizeId(elementId).substring(0, ELEMENT_ID_LENGTH) || "n";
+  let id;
+  if (strategy === "element") {
+    id = fromElement;
+  } else if (strategy === "custom" && item.customId) {
+    id = sanitizeId(String(item.customId)) || fromElement;
+  } else {
+    id = slugify(item.label) || fromElement;
+  }
+
+  if (/^\d/.test(id)) id = `n${id}`;
+  return RESERVED_IDS.has(id) ? `${id}_` : id;
+}
+
+/**
+ * Number repeats of an ID (`db`, `db_2`, `db_3`) and record it as used.
+ */
+function uniqueId(preferred, used) {
+  let id = preferred;
+  for (let n = 2; used.has(id); n++) id = `${preferred}_${n}`;
+  used.add(id);
+  return id;
+}
+
+function checkStrategy(strategy) {
+  if (!ID_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown ID strategy "${strategy}" (expected ${ID_STRATEGIES.join(", ")})`);
+  }
+}
+
+/**
+ * Use each item's label as its ID when it is a plain, unique word;
+ * otherwise fall back to a short alphabetic ID from its position.
+ */
+export function assignLabelIds(items) {
+  const counts = new Map();
+  for (const { label } of items) {
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+
+  const idMap = new Map();
+  const used = new Set();
+  items.forEach((item, i) => {
+    const { label } = item;
+    let id = /^[A-Za-z_]\w*$/.test(label) && counts.get(label) === 1 ? label : shortId(i);
+    while (used.has(id)) id = `${id}_`;
+    used.add(id);
+    idMap.set(item.id, id);
+  });
+  return idMap;
+}
+
 /**
  * Generate a short alphabetic ID from an index.
  * 0→A, 1→B, ..., 25→Z, 26→AA, 27→AB, ...
@@ -108,46 +549,90 @@ export function shortId(index) {
 }
 
 /**
- * Render a node declaration in Mermaid syntax.
+ * Whether a Mermaid version `target` takes the expanded shape syntax.
+ *
+ * @param {string|number} [target] - Version such as `"11"`, `"11.3"` or `"v10.9.1"`; a bare major version means its latest release
+ * @returns {boolean}
+ * @throws {Error} When the target is not a version
  */
-export function renderNode(shortId, node) {
+export function usesExpandedShapes(target) {
+  if (target == null || target === "") return false;
+  const version = String(target).match(/^v?(\d+)(?:\.(\d+))?(?:\.\d+)?$/);
+  if (!version) {
+    throw new Error(`Unknown Mermaid version "${target}" (expected a version such as 11 or 10.9)`);
+  }
+  const [major, minor] = [Number(version[1]), version[2] === undefined ? Infinity : Number(version[2])];
+  const [sinceMajor, sinceMinor] = EXPANDED_SHAPES_SINCE;
+  return major > sinceMajor || (major === sinceMajor && minor >= sinceMinor);
+}
+
+/**
+ * Render a node declaration in Mermaid syntax: `A[Label]`, or with
+ * `expanded`, `A@{ shape: rect, label: "Label" }`.
+ */
+export function renderNode(shortId, node, expanded = false) {
   const label = node.label || shortId;
-  const quoted = quoteLabel(label);
 
-  switch (node.shape) {
-    case "diamond":
-      return `${shortId}{${quoted}}`;
-    case "circle":
-      return `${shortId}((${quoted}))`;
-    case "rounded":
-      return `${shortId}(${quoted})`;
-    case "subroutine":
-      return `${shortId}[[${quoted}]]`;
-    case "rectangle":
-    default:
-      return `${shortId}[${quoted}]`;
+  if (expanded) {
+    const shape = EXPANDED_SHAPES[node.shape] || EXPANDED_SHAPES.rectangle;
+    const text = label.replace(/"/g, "#quot;").replace(/\n/g, "<br>");
+    return `${shortId}@{ shape: ${shape}, label: "${text}" }`;
   }
+
+  const quoted = quoteLabel(label);
+  const [open, close] = SHAPE_BRACKETS[node.shape] || SHAPE_BRACKETS.rectangle;
+  return `${shortId}${open}${quoted}${close}`;
 }
 
 /**
- * Render an edge connector string.
+ * Render an edge connector string: the line style with the heads at both
+ * ends, e.g. `-->`, `<==>`, `--o` or `-.-x`. Edges whose style has a head
+ * but no arrowheads recorded end in `>`.
  */
 export function renderConnector(edge) {
-  switch (edge.style) {
-    case "thick":
-      return "==>";
-    case "thick-line":
-      return "===";
-    case "dotted":
-      return "-.->";
-    case "dotted-line":
-      return "-.-";
-    case "line":
-      return "---";
-    case "arrow":
-    default:
-      return "-->";
-  }
+  const connector = CONNECTORS[edge.style] || CONNECTORS.arrow;
+  const { start, end } = edgeHeads(edge);
+  if (!end) return connector;
+  return `${start ? start.replace(">", "<") : ""}${connector.slice(0, -1)}${end}`;
+}
+
+/**
+ * The heads an edge is drawn with, as `HEAD_MARKERS` values (`>`, `o` or
+ * `x`) or null. Styles with a head get an end head, `>` unless the
+ * arrowhead says otherwise; arrows with heads at both ends get a start
+ * head too.
+ *
+ * @param {{ style?: string, startArrowhead?: string, endArrowhead?: string }} edge
+ * @returns {{ start: string|null, end: string|null }}
+ */
+export function edgeHeads(edge) {
+  const connector = CONNECTORS[edge.style] || CONNECTORS.arrow;
+  if (!connector.endsWith(">")) return { start: null, end: null };
+
+  const end = hasHead(edge.endArrowhead) ? HEAD_MARKERS[edge.endArrowhead] || ">" : ">";
+  const start = hasHead(edge.startArrowhead) && hasHead(edge.endArrowhead)
+    ? HEAD_MARKERS[edge.startArrowhead] || ">"
+    : null;
+  return { start, end };
+}
+
+/**
+ * An edge pointing the way its arrow is drawn: one with a head only at its
+ * start is flipped, so its source is where the head points from.
+ */
+export function orientEdge(edge) {
+  if (!hasHead(edge.startArrowhead) || hasHead(edge.endArrowhead)) return edge;
+  return {
+    ...edge,
+    source: edge.target,
+    target: edge.source,
+    startArrowhead: edge.endArrowhead,
+    endArrowhead: edge.startArrowhead,
+  };
+}
+
+function hasHead(arrowhead) {
+  return arrowhead != null && arrowhead !== "none";
 }
 
 /**
@@ -173,3 +658,13 @@ export function quoteLabel(text) {
 function sanitizeId(id) {
   return id.replace(/[^a-zA-Z0-9_]/g, "_").substring(0, 20);
 }
+
+/**
+ * URL for a node's link: a wiki-link (`[[Page#Heading|Alias]]`) points at
+ * its page, anything else is used as written.
+ */
+function linkTarget(link) {
+  const wiki = link.match(/^\[\[([^\]|]*)(?:\|[^\]]*)?\]\]$/);
+  const url = wiki ? encodeURI(wiki[1].trim()) : link.trim();
+  return url.replace(/"/g, "%22");
+}
@@ -0,0 +1,135 @@
+/**
+ * Convert a parsed graph into D2.
+ */
+
+import { resolveGraph, edgeHeads } from "./converter.js";
+
+/**
+ * D2 attributes for each node shape. Rectangles are D2's default shape.
+ */
+export const D2_SHAPES = {
+  rectangle: {},
+  rounded: { "style.border-radius": 8 },
+  diamond: { shape: "diamond" },
+  circle: { shape: "circle" },
+  subroutine: { "style.double-border": true },
+  stadium: { shape: "oval" },
+  "double-circle": { shape: "circle", "style.double-border": true },
+};
+
+/**
+ * D2 arrowhead shape for each head marker other than a plain arrow.
+ */
+const D2_HEADS = {
+  o: "circle",
+  x: "cross",
+};
+
+/**
+ * Words D2 reads as keywords, which must be quoted as IDs.
+ */
+const KEYWORDS = new Set([
+  "label", "shape", "icon", "near", "width", "height", "tooltip", "link",
+  "class", "classes", "style", "vars", "direction", "constraint", "top", "left",
+  "grid-rows", "grid-columns", "grid-gap", "vertical-gap", "horizontal-gap",
+  "source-arrowhead", "target-arrowhead", "layers", "scenarios", "steps",
+  "opacity", "stroke", "fill", "fill-pattern", "stroke-width", "stroke-dash",
+  "border-radius", "font", "font-size", "font-color", "filled", "multiple",
+  "animated", "bold", "italic", "underline", "3d", "shadow", "double-border",
+  "text-transform",
+]);
+
+/**
+ * D2 `direction` for each flow direction.
+ */
+const D2_DIRECTIONS = { TD: "down", LR: "right", BT: "up", RL: "left" };
+
+/**
+ * Convert a parsed graph to D2.
+ *
+ * Groups become containers. Edges are written at the top level, naming
+ * nodes by their path through the containers (`backend.api`); an edge to
+ * a group points at the container itself. Takes the same `direction`,
+ * `ids`, `order` and `warnings` options as `toMermaid`.
+ *
+ * @param {{ nodes: Map, edges: Array, groups: Map, direction: string }} graph
+ * @param {{ direction?: string, ids?: string, order?: string, warnings?: Array }} [options]
+ * @returns {string}
+ */
+export function toD2(graph, options = {}) {
+  const { direction, nodes, edges, idMap, groupIdMap, children, members, looseNodes } = resolveGraph(graph, options);
+  const lines = [`direction: ${D2_DIRECTIONS[direction] || "down"}`];
+
+  // Path of each node and group through the containers around it
+  const paths = new Map();
+
+  const renderNode = (nodeId, indent, prefix) => {
+    const node = nodes.get(nodeId);
+    const id = d2Id(idMap.get(nodeId));
+    paths.set(nodeId, prefix + id);
+    const attributes = renderAttributes(D2_SHAPES[node.shape] || D2_SHAPES.rectangle);
+    lines.push(`${indent}${id}: ${quoteD2(node.label || id)}${attributes}`);
+  };
+
+  const renderGroup = (group, depth, prefix) => {
+    const indent = "  ".repeat(depth);
+    const id = d2Id(groupIdMap.get(group.id));
+    const path = `${prefix}${id}.`;
+    paths.set(group.id, prefix + id);
+    lines.push(group.label ? `${indent}${id}: ${quoteD2(group.label)} {` : `${indent}${id}: {`);
+    for (const memberId of members.get(group.id)) renderNode(memberId, `${indent}  `, path);
+    for (const child of children.get(group.id) || []) renderGroup(child, depth + 1, path);
+    lines.push(`${indent}}`);
+  };
+
+  for (const group of children.get(null) || []) renderGroup(group, 0, "");
+  for (const nodeId of looseNodes) renderNode(nodeId, "", "");
+
+  for (const edge of edges) {
+    const { start, end } = edgeHeads(edge);
+    const arrow = `${start ? "<-" : "-"}${end ? ">" : "-"}`;
+    const label = edge.label ? `: ${quoteD2(edge.label)}` : "";
+    const from = paths.get(edge.source) ?? d2Id(edge.sourceId);
+    const to = paths.get(edge.target) ?? d2Id(edge.targetId);
+    lines.push(`${from} ${arrow} ${to}${label}${renderAttributes(edgeAttributes(edge, start, end))}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Line style, width and head shapes of an edge as D2 attributes.
+ */
+function edgeAttributes(edge, start, end) {
+  const attributes = {};
+  const style = edge.style || "arrow";
+  if (style.startsWith("dotted")) attributes["style.stroke-dash"] = 3;
+  if (style.startsWith("thick")) attributes["style.stroke-width"] = 4;
+  if (D2_HEADS[start]) attributes["source-arrowhead.shape"] = D2_HEADS[start];
+  if (D2_HEADS[end]) attributes["target-arrowhead.shape"] = D2_HEADS[end];
+  return attributes;
+}
+
+/**
+ * Render ` {key: value; ...}`, or nothing for no attributes.
+ */
+function renderAttributes(attributes) {
+  const pairs = Object.entries(attributes).map(([key, value]) => `${key}: ${value}`);
+  return pairs.length > 0 ? ` {${pairs.join("; ")}}` : "";
+}
+
+/**
+ * An ID as written in D2: bare, or quoted when it is a keyword.
+ */
+function d2Id(id) {
+  return KEYWORDS.has(id.toLowerCase()) ? `"${id}"` : id;
+}
+
+/**
+ * A label as written in D2: bare when it is plain text, double-quoted
+ * when it holds characters D2 reads as syntax or line breaks.
+ */
+export function quoteD2(text) {
+  if (/^[\p{L}\p{N}_ .,!?()/-]+$/u.test(text) && text.trim() === text && !text.includes("->")) return text;
+  return `"${text.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
@@ -0,0 +1,410 @@
+/**
+ * Compare two revisions of a flowchart: which nodes, edges and groups
+ * were added, removed, relabeled, restyled or moved between groups.
+ */
+
+import { toMermaid, resolveGraph } from "./converter.js";
+
+/**
+ * Output formats of a diff.
+ */
+export const DIFF_FORMATS = ["text", "json", "mermaid"];
+
+/**
+ * Node properties compared for `restyled`, with their names in text output.
+ */
+const NODE_STYLES = {
+  shape: "shape",
+  backgroundColor: "fill",
+  strokeColor: "stroke",
+  strokeStyle: "stroke style",
+};
+
+/**
+ * Edge properties compared for `restyled`, with their names in text output.
+ */
+const EDGE_STYLES = {
+  style: "style",
+  startArrowhead: "start head",
+  endArrowhead: "end head",
+  strokeColor: "color",
+  strokeWidth: "width",
+};
+
+/**
+ * Colors of added, removed and changed elements in the Mermaid diff, as
+ * a palette for `toMermaid`.
+ */
+export const DIFF_PALETTE = {
+  added: { backgroundColor: "#b2f2bb", strokeColor: "#2f9e44" },
+  removed: { backgroundColor: "#ffc9c9", strokeColor: "#e03131", strokeStyle: "dashed" },
+  changed: { backgroundColor: "#ffec99", strokeColor: "#f08c00" },
+};
+
+/**
+ * Dotted variant of each edge style, for removed edges.
+ */
+const REMOVED_STYLES = {
+  arrow: "dotted",
+  line: "dotted-line",
+  dotted: "dotted",
+  "dotted-line": "dotted-line",
+  thick: "dotted",
+  "thick-line": "dotted-line",
+};
+
+/**
+ * Compare two parsed graphs.
+ *
+ * Nodes are matched by element ID, then by label among the rest, so a
+ * shape that was deleted and drawn again still counts as the same node.
+ * Groups are matched the same way. Edges are matched by their ends; of
+ * several edges between the same nodes, by element ID, then label.
+ *
+ * Entries name nodes by label (`label`, `from`, `to`) for reading and by
+ * element ID (`id`, `source`, `target`) for tools. `restyled` entries
+ * list each changed property as `{ before, after }`; `moved` entries give
+ * the group labels (null at the top level).
+ *
+ * @param {{ nodes: Map, edges: Array, groups: Map }} before
+ * @param {{ nodes: Map, edges: Array, groups: Map }} after
+ * @returns {{ nodes: object, edges: object, groups: object }}
+ */
+export function compareGraphs(before, after) {
+  return matchGraphs(before, after).diff;
+}
+
+/**
+ * Count the changes in a diff.
+ *
+ * @param {{ nodes: object, edges: object, groups: object }} diff
+ * @returns {number}
+ */
+export function countChanges(diff) {
+  let count = 0;
+  for (const section of [diff.nodes, diff.edges, diff.groups]) {
+    for (const entries of Object.values(section)) count += entries.length;
+  }
+  return count;
+}
+
+/**
+ * Summarize a diff on one line, e.g.
+ * "nodes: 1 added, 1 relabeled; edges: 2 removed", or "no changes".
+ *
+ * @param {{ nodes: object, edges: object, groups: object }} diff
+ * @returns {string}
+ */
+export function summarizeDiff(diff) {
+  const parts = [];
+  for (const [name, section] of Object.entries({ nodes: diff.nodes, edges: diff.edges, groups: diff.groups })) {
+    const counts = Object.entries(section)
+      .filter(([, entries]) => entries.length > 0)
+      .map(([kind, entries]) => `${entries.length} ${kind}`);
+    if (counts.length > 0) parts.push(`${name}: ${counts.join(", ")}`);
+  }
+  return parts.length > 0 ? parts.join("; ") : "no changes";
+}
+
+/**
+ * Render a diff as text for reading: one line per change, `+` for added,
+ * `-` for removed and `~` for changed, then a summary line.
+ *
+ * @param {{ nodes: object, edges: object, groups: object }} diff
+ * @returns {string}
+ */
+export function formatDiff(diff) {
+  const lines = [];
+  const name = (text) => JSON.stringify(text);
+  const edgeName = (edge) => `${name(edge.from)} → ${name(edge.to)}`;
+  const styleChanges = (changes, names) =>
+    Object.entries(changes)
+      .map(([key, { before, after }]) => `${names[key]} ${before ?? "none"} → ${after ?? "none"}`)
+      .join(", ");
+
+  const section = (title, entries) => {
+    if (entries.length === 0) return;
+    lines.push(title, ...entries.map((entry) => `  ${entry}`));
+  };
+
+  const { nodes, edges, groups } = diff;
+  section("Nodes", [
+    ...nodes.added.map((node) => `+ ${name(node.label)}`),
+    ...nodes.removed.map((node) => `- ${name(node.label)}`),
+    ...nodes.relabeled.map((node) => `~ ${name(node.before)} → ${name(node.after)}`),
+    ...nodes.restyled.map((node) => `~ ${name(node.label)}: ${styleChanges(node.changes, NODE_STYLES)}`),
+    ...nodes.moved.map((node) => `~ ${name(node.label)}: moved from ${groupName(node.before)} to ${groupName(node.after)}`),
+  ]);
+  section("Edges", [
+    ...edges.added.map((edge) => `+ ${edgeName(edge)}${edge.label ? `: ${name(edge.label)}` : ""}`),
+    ...edges.removed.map((edge) => `- ${edgeName(edge)}${edge.label ? `: ${name(edge.label)}` : ""}`),
+    ...edges.relabeled.map((edge) => `~ ${edgeName(edge)}: label ${name(edge.before)} → ${name(edge.after)}`),
+    ...edges.restyled.map((edge) => `~ ${edgeName(edge)}: ${styleChanges(edge.changes, EDGE_STYLES)}`),
+  ]);
+  section("Groups", [
+    ...groups.added.map((group) => `+ ${name(group.label)}`),
+    ...groups.removed.map((group) => `- ${name(group.label)}`),
+    ...groups.renamed.map((group) => `~ ${name(group.before)} → ${name(group.after)}`),
+  ]);
+
+  if (lines.length > 0) lines.push("");
+  const summary = summarizeDiff(diff);
+  lines.push(summary[0].toUpperCase() + summary.slice(1));
+  return lines.join("\n") + "\n";
+}
+
+function groupName(label) {
+  return label === null ? "top level" : JSON.stringify(label);
+}
+
+/**
+ * Render the newer revision as a Mermaid flowchart with the changes
+ * highlighted: added nodes and edges in green, changed ones in orange, and
+ * removed ones put back in red, dashed or dotted. Other colors are left
+ * out. Takes the same `direction`, `ids`, `order`, `target` and
+ * `warnings` options as `toMermaid`.
+ *
+ * @param {{ nodes: Map, edges: Array, groups: Map, direction: string }} before
+ * @param {{ nodes: Map, edges: Array, groups: Map, direction: string }} after
+ * @param {object} [options]
+ * @returns {string}
+ */
+export function diffToMermaid(before, after, options = {}) {
+  const { nodeMatch, groupMatch, edgeMatch, status } = matchGraphs(before, after);
+  const plain = { backgroundColor: "transparent", strokeColor: "#1e1e1e", strokeStyle: "solid" };
+  const colors = (kind) => ({ ...plain, ...DIFF_PALETTE[kind] });
+
+  // Removed groups come back inside their old parent, when it is still there
+  const groups = new Map();
+  for (const [id, group] of after.groups) {
+    groups.set(id, { ...group, members: [...group.members] });
+  }
+  for (const [id, group] of before.groups) {
+    if (groupMatch.has(id)) continue;
+    groups.set(id, { ...group, members: [], parent: groupMatch.get(group.parent) ?? group.parent });
+  }
+
+  const beforeGroups = groupOf(before);
+  const nodes = new Map();
+  for (const [id, node] of after.nodes) {
+    nodes.set(id, { ...node, ...(status.get(id) ? colors(status.get(id)) : plain) });
+  }
+  for (const [id, node] of before.nodes) {
+    if (nodeMatch.has(id)) continue;
+    nodes.set(id, { ...node, ...colors("removed") });
+    const group = beforeGroups.get(id);
+    if (group) groups.get(groupMatch.get(group) ?? group).members.push(id);
+  }
+
+  const edgeColor = (kind) => ({ strokeColor: kind ? DIFF_PALETTE[kind].strokeColor : plain.strokeColor, strokeWidth: undefined });
+  const matchedEdges = new Set(edgeMatch.values());
+  const edges = after.edges.map((edge) => {
+    const kind = !matchedEdges.has(edge) ? "added" : status.get(edge) || null;
+    return { ...edge, ...edgeColor(kind) };
+  });
+  const endOf = (id) => nodeMatch.get(id) ?? groupMatch.get(id) ?? id;
+  for (const edge of before.edges) {
+    if (edgeMatch.has(edge)) continue;
+    edges.push({
+      ...edge,
+      source: endOf(edge.source),
+      target: endOf(edge.target),
+      style: REMOVED_STYLES[edge.style] || "dotted",
+      ...edgeColor("removed"),
+    });
+  }
+
+  const graph = { ...after, nodes, edges, groups };
+  const mermaid = toMermaid(graph, { ...options, styles: true, palette: DIFF_PALETTE });
+
+  // Subgraphs take a style line each
+  const { groupIdMap } = resolveGraph(graph, { ...options, warnings: undefined });
+  const groupStyles = [];
+  for (const id of groups.keys()) {
+    const kind = !after.groups.has(id) ? "removed" : status.get(id);
+    if (!kind) continue;
+    const { backgroundColor, strokeColor, strokeStyle } = DIFF_PALETTE[kind];
+    const dash = strokeStyle === "dashed" ? ",stroke-dasharray:5 5" : "";
+    groupStyles.push(`    style ${groupIdMap.get(id)} fill:${backgroundColor},stroke:${strokeColor}${dash}`);
+  }
+  return mermaid + (groupStyles.length > 0 ? groupStyles.join("\n") + "\n" : "");
+}
+
+/**
+ * Match the nodes, groups and edges of two revisions and work out the
+ * diff, along with the `added` or `changed` status of each newer node,
+ * group and edge.
+ */
+function matchGraphs(before, after) {
+  const nodeMatch = matchByIdOrLabel(before.nodes, after.nodes);
+  const groupMatch = matchByIdOrLabel(before.groups, after.groups);
+  const status = new Map();
+  const nameOf = (graph, id) => graph.nodes.get(id)?.label || graph.groups.get(id)?.label || id;
+
+  // Groups
+  const groupsDiff = { added: [], removed: [], renamed: [] };
+  const matchedGroups = new Set(groupMatch.values());
+  for (const [id, group] of after.groups) {
+    if (!matchedGroups.has(id)) {
+      groupsDiff.added.push({ id, label: group.label || id });
+      status.set(id, "added");
+    }
+  }
+  for (const [id, group] of before.groups) {
+    const afterId = groupMatch.get(id);
+    if (afterId === undefined) {
+      groupsDiff.removed.push({ id, label: group.label || id });
+    } else if ((group.label || "") !== (after.groups.get(afterId).label || "")) {
+      groupsDiff.renamed.push({ id: afterId, before: group.label || "", after: after.groups.get(afterId).label || "" });
+      status.set(afterId, "changed");
+    }
+  }
+
+  // Nodes
+  const nodesDiff = { added: [], removed: [], relabeled: [], restyled: [], moved: [] };
+  const matchedNodes = new Set(nodeMatch.values());
+  const beforeGroups = groupOf(before);
+  const afterGroups = groupOf(after);
+  for (const [id, node] of after.nodes) {
+    if (!matchedNodes.has(id)) {
+      nodesDiff.added.push({ id, label: node.label || id, shape: node.shape });
+      status.set(id, "added");
+    }
+  }
+  for (const [id, node] of before.nodes) {
+    const afterId = nodeMatch.get(id);
+    if (afterId === undefined) {
+      nodesDiff.removed.push({ id, label: node.label || id, shape: node.shape });
+      continue;
+    }
+    const current = after.nodes.get(afterId);
+    const label = current.label || afterId;
+    if ((node.label || "") !== (current.label || "")) {
+      nodesDiff.relabeled.push({ id: afterId, before: node.label || "", after: current.label || "" });
+      status.set(afterId, "changed");
+    }
+    const changes = compareProperties(node, current, Object.keys(NODE_STYLES));
+    if (changes) {
+      nodesDiff.restyled.push({ id: afterId, label, changes });
+      status.set(afterId, "changed");
+    }
+    const oldGroup = beforeGroups.get(id) ?? null;
+    const newGroup = afterGroups.get(afterId) ?? null;
+    if ((oldGroup === null ? null : groupMatch.get(oldGroup) ?? oldGroup) !== newGroup) {
+      const groupLabel = (graph, groupId) => (groupId === null ? null : graph.groups.get(groupId).label || groupId);
+      nodesDiff.moved.push({ id: afterId, label, before: groupLabel(before, oldGroup), after: groupLabel(after, newGroup) });
+      status.set(afterId, "changed");
+    }
+  }
+
+  // Edges, by their ends in the newer revision
+  const endOf = (id) => nodeMatch.get(id) ?? groupMatch.get(id) ?? `\0${id}`;
+  const unmatched = new Map();
+  for (const edge of after.edges) {
+    const key = `${edge.source}\0${edge.target}`;
+    if (!unmatched.has(key)) unmatched.set(key, []);
+    unmatched.get(key).push(edge);
+  }
+  const edgeMatch = new Map();
+  for (const edge of before.edges) {
+    const candidates = unmatched.get(`${endOf(edge.source)}\0${endOf(edge.target)}`) || [];
+    let best = candidates.findIndex((other) => other.id === edge.id);
+    if (best < 0) best = candidates.findIndex((other) => (other.label || "") === (edge.label || ""));
+    if (best < 0 && candidates.length > 0) best = 0;
+    if (best >= 0) edgeMatch.set(edge, candidates.splice(best, 1)[0]);
+  }
+
+  const edgesDiff = { added: [], removed: [], relabeled: [], restyled: [] };
+  const describe = (graph, edge) => ({
+    id: edge.id,
+    source: edge.source,
+    target: edge.target,
+    from: nameOf(graph, edge.source),
+    to: nameOf(graph, edge.target),
+  });
+  const matchedEdges = new Set(edgeMatch.values());
+  for (const edge of after.edges) {
+    if (!matchedEdges.has(edge)) edgesDiff.added.push({ ...describe(after, edge), label: edge.label || "" });
+  }
+  for (const edge of before.edges) {
+    const current = edgeMatch.get(edge);
+    if (!current) {
+      edgesDiff.removed.push({ ...describe(before, edge), label: edge.label || "" });
+      continue;
+    }
+    if ((edge.label || "") !== (current.label || "")) {
+      edgesDiff.relabeled.push({ ...describe(after, current), before: edge.label || "", after: current.label || "" });
+      status.set(current, "changed");
+    }
+    const changes = compareProperties(edge, current, Object.keys(EDGE_STYLES));
+    if (changes) {
+      edgesDiff.restyled.push({ ...describe(after, current), label: current.label || "", changes });
+      status.set(current, "changed");
+    }
+  }
+
+  return {
+    nodeMatch,
+    groupMatch,
+    edgeMatch,
+    status,
+    diff: { nodes: nodesDiff, edges: edgesDiff, groups: groupsDiff },
+  };
+}
+
+/**
+ * Pair the keys of two Maps of labeled items: the same key first, then
+ * the same non-empty label, in order. Returns older key → newer key.
+ */
+function matchByIdOrLabel(before, after) {
+  const matches = new Map();
+  for (const id of before.keys()) {
+    if (after.has(id)) matches.set(id, id);
+  }
+
+  const byLabel = new Map();
+  for (const [id, item] of after) {
+    if (before.has(id) || !item.label) continue;
+    if (!byLabel.has(item.label)) byLabel.set(item.label, []);
+    byLabel.get(item.label).push(id);
+  }
+  for (const [id, item] of before) {
+    if (matches.has(id) || !item.label) continue;
+    const candidates = byLabel.get(item.label);
+    if (candidates?.length) matches.set(id, candidates.shift());
+  }
+  return matches;
+}
+
+/**
+ * The group each node is written in: the first group listing it.
+ */
+function groupOf(graph) {
+  const groups = new Map();
+  for (const group of graph.groups.values()) {
+    for (const nodeId of group.members) {
+      if (!groups.has(nodeId)) groups.set(nodeId, group.id);
+    }
+  }
+  return groups;
+}
+
+/**
+ * The given properties that differ, as `{ key: { before, after } }`, or
+ * null when none do. Colors compare without case, and a transparent
+ * fill is the same as none.
+ */
+function compareProperties(before, after, keys) {
+  const normalize = (value) => {
+    if (typeof value !== "string") return value ?? null;
+    const lower = value.toLowerCase();
+    return lower === "transparent" || lower === "" ? null : lower;
+  };
+  const changes = {};
+  for (const key of keys) {
+    if (normalize(before[key]) !== normalize(after[key])) {
+      changes[key] = { before: before[key] ?? null, after: after[key] ?? null };
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
@@ -0,0 +1,162 @@
+/**
+ * Convert a parsed graph into Graphviz DOT.
+ */
+
+import { resolveGraph, edgeHeads } from "./converter.js";
+import { createWarning } from "./warnings.js";
+
+/**
+ * Node attributes for each node shape. Graphviz has no stadium, so
+ * stadiums are ovals.
+ */
+export const DOT_SHAPES = {
+  rectangle: { shape: "box" },
+  rounded: { shape: "box", style: "rounded" },
+  diamond: { shape: "diamond" },
+  circle: { shape: "circle" },
+  subroutine: { shape: "box", peripheries: 2 },
+  stadium: { shape: "oval" },
+  "double-circle": { shape: "doublecircle" },
+};
+
+/**
+ * Graphviz arrow shape for each head marker.
+ */
+const DOT_HEADS = {
+  ">": "normal",
+  o: "dot",
+  x: "tee",
+};
+
+/**
+ * `rankdir` for each flow direction.
+ */
+const RANK_DIRS = { TD: "TB", LR: "LR", BT: "BT", RL: "RL" };
+
+/**
+ * Words DOT reads as keywords, which must be quoted as IDs.
+ */
+const KEYWORDS = new Set(["node", "edge", "graph", "digraph", "subgraph", "strict"]);
+
+/**
+ * Convert a parsed graph to a Graphviz `digraph`.
+ *
+ * Groups become `cluster_` subgraphs. An edge to a group is drawn to its
+ * first node and clipped at the cluster (`lhead`/`ltail`), which needs
+ * `compound=true`. Takes the same `direction`, `ids`, `order` and
+ * `warnings` options as `toMermaid`.
+ *
+ * @param {{ nodes: Map, edges: Array, groups: Map, direction: string }} graph
+ * @param {{ direction?: string, ids?: string, order?: string, warnings?: Array }} [options]
+ * @returns {string}
+ */
+export function toDot(graph, options = {}) {
+  const { direction, nodes, groups, edges, idMap, groupIdMap, children, members, looseNodes } = resolveGraph(graph, options);
+  const clusterId = (groupId) => dotId(`cluster_${groupIdMap.get(groupId)}`);
+
+  // Edges to a group attach to the first node written inside it
+  const firstNode = (groupId) => {
+    const own = members.get(groupId);
+    if (own?.length) return own[0];
+    for (const child of children.get(groupId) || []) {
+      const found = firstNode(child.id);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const lines = ["digraph {", `    rankdir=${RANK_DIRS[direction] || "TB"};`];
+  if (edges.some((edge) => groups.has(edge.source) || groups.has(edge.target))) {
+    lines.push("    compound=true;");
+  }
+
+  const renderNode = (nodeId, indent) => {
+    const node = nodes.get(nodeId);
+    const id = idMap.get(nodeId);
+    const attributes = { label: node.label || id, ...(DOT_SHAPES[node.shape] || DOT_SHAPES.rectangle) };
+    lines.push(`${indent}${dotId(id)} ${renderAttributes(attributes)};`);
+  };
+
+  const renderGroup = (group, depth) => {
+    const indent = "    ".repeat(depth);
+    lines.push(`${indent}subgraph ${clusterId(group.id)} {`);
+    if (group.label) lines.push(`${indent}    label=${quoteDot(group.label)};`);
+    for (const memberId of members.get(group.id)) renderNode(memberId, `${indent}    `);
+    for (const child of children.get(group.id) || []) renderGroup(child, depth + 1);
+    lines.push(`${indent}}`);
+  };
+
+  for (const group of children.get(null) || []) renderGroup(group, 1);
+  for (const nodeId of looseNodes) renderNode(nodeId, "    ");
+
+  for (const edge of edges) {
+    const attributes = { ...(edge.label ? { label: edge.label } : {}), ...edgeAttributes(edge) };
+    let from = edge.sourceId;
+    let to = edge.targetId;
+    if (groups.has(edge.source)) {
+      from = idMap.get(firstNode(edge.source));
+      attributes.ltail = clusterId(edge.source);
+    }
+    if (groups.has(edge.target)) {
+      to = idMap.get(firstNode(edge.target));
+      attributes.lhead = clusterId(edge.target);
+    }
+    if (!from || !to) {
+      options.warnings?.push(createWarning("missing-endpoint", "Edge ends at a group with no nodes and was dropped", edge));
+      continue;
+    }
+
+    const list = Object.keys(attributes).length > 0 ? ` ${renderAttributes(attributes)}` : "";
+    lines.push(`    ${dotId(from)} -> ${dotId(to)}${list};`);
+  }
+
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Line style, width and heads of an edge as DOT attributes.
+ */
+function edgeAttributes(edge) {
+  const attributes = {};
+  const style = edge.style || "arrow";
+  if (style.startsWith("dotted")) attributes.style = "dashed";
+  if (style.startsWith("thick")) attributes.penwidth = 2;
+
+  const { start, end } = edgeHeads(edge);
+  if (!end) {
+    attributes.arrowhead = "none";
+  } else if (end !== ">") {
+    attributes.arrowhead = DOT_HEADS[end];
+  }
+  if (start) {
+    attributes.dir = "both";
+    attributes.arrowtail = DOT_HEADS[start];
+  }
+  return attributes;
+}
+
+/**
+ * Render `[key=value, ...]`, quoting values that are not plain words.
+ */
+function renderAttributes(attributes) {
+  const pairs = Object.entries(attributes).map(([key, value]) => `${key}=${dotId(String(value))}`);
+  return `[${pairs.join(", ")}]`;
+}
+
+/**
+ * An ID or value as written in DOT: bare when it is a plain word or
+ * number, quoted otherwise.
+ */
+function dotId(text) {
+  if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(text) && !KEYWORDS.has(text.toLowerCase())) return text;
+  if (/^-?\d+(?:\.\d+)?$/.test(text)) return text;
+  return quoteDot(text);
+}
+
+/**
+ * Quote a string for DOT. Newlines become `\n` line breaks.
+ */
+export function quoteDot(text) {
+  return `"${text.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
@@ -0,0 +1,64 @@
+/**
+ * Output formats for flowcharts. An emitter turns the graph
+ * `parseDocument` produces into text; Mermaid, Graphviz DOT, PlantUML, D2
+ * and graph JSON are built in, and more can be registered.
+ */
+
+import { toMermaid } from "./converter.js";
+import { toDot } from "./dot.js";
+import { toPlantUml } from "./plantuml.js";
+import { toD2 } from "./d2.js";
+import { toGraphJson } from "./graph-json.js";
+
+const emitters = new Map();
+
+/**
+ * Register an output format, or replace one. `emit(graph, options)`
+ * receives the parsed graph and `convert`'s options, with `warnings` as an
+ * array to push edges it leaves out onto, and returns the text.
+ *
+ * @param {string} format - Name used by `convert`'s `format` option and `--format`
+ * @param {(graph: { nodes: Map, edges: Array, groups: Map, direction: string }, options: object) => string} emit
+ * @param {object} [details]
+ * @param {string} [details.extension] - Extension of output files (default: `.<format>`)
+ * @param {string} [details.language] - Language of fenced Markdown blocks (default: the format)
+ */
+export function registerEmitter(format, emit, { extension = `.${format}`, language = format } = {}) {
+  if (typeof emit !== "function") {
+    throw new TypeError(`Emitter for "${format}" must be a function`);
+  }
+  emitters.set(format, { format, emit, extension, language });
+}
+
+/**
+ * The registered emitter for a format.
+ *
+ * @param {string} format
+ * @returns {{ format: string, emit: Function, extension: string, language: string }}
+ * @throws {Error} When no emitter is registered for the format
+ */
+export function getEmitter(format) {
+  const emitter = emitters.get(format);
+  if (!emitter) {
+    throw new Error(`Unknown format "${format}" (expected ${listFormats().join(", ")})`);
+  }
+  return emitter;
+}
+
+/**
+ * Names of the registered formats, built-in ones first.
+ *
+ * @returns {string[]}
+ */
+export function listFormats() {
+  return [...emitters.keys()];
+}
+
+registerEmitter("mermaid", toMermaid, { extension: ".mmd" });
+registerEmitter("dot", toDot);
+registerEmitter("plantuml", toPlantUml, { extension: ".puml" });
+registerEmitter("d2", toD2);
+registerEmitter("graph-json", (graph, options) => JSON.stringify(toGraphJson(graph, options), null, 2) + "\n", {
+  extension: ".json",
+  language: "json",
+});
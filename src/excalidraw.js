@@ -0,0 +1,439 @@
+/**
+ * Build an Excalidraw scene from a parsed graph.
+ *
+ * The inverse of parser.js: nodes become shapes with bound text, edges
+ * become arrows bound at both ends, and groups become frames. Shapes are
+ * placed by a simple layered layout along the graph direction.
+ */
+
+import { parseMermaid } from "./mermaid-parser.js";
+import { assignRanks } from "./graph.js";
+
+/**
+ * Element properties for each node shape. `mapShape` reads these back.
+ */
+export const SHAPE_ELEMENTS = {
+  rectangle: { type: "rectangle" },
+  rounded: { type: "rectangle", roundness: { type: 3 } },
+  diamond: { type: "diamond" },
+  circle: { type: "ellipse" },
+  subroutine: { type: "rectangle", strokeStyle: "dashed" },
+  stadium: { type: "ellipse" },
+  "double-circle": { type: "ellipse", strokeStyle: "dashed" },
+};
+
+/**
+ * Arrow properties for each edge style. `mapArrowStyle` reads these back.
+ */
+export const ARROW_ELEMENTS = {
+  arrow: { endArrowhead: "arrow" },
+  line: { endArrowhead: null },
+  dotted: { strokeStyle: "dashed", endArrowhead: "arrow" },
+  "dotted-line": { strokeStyle: "dashed", endArrowhead: null },
+  thick: { strokeWidth: 4, endArrowhead: "arrow" },
+  "thick-line": { strokeWidth: 4, endArrowhead: null },
+};
+
+const FONT_SIZE = 20;
+const CHAR_WIDTH = 11;
+const LINE_HEIGHT = 25;
+const MIN_WIDTH = 140;
+const MIN_HEIGHT = 60;
+const RANK_GAP = 100;
+const NODE_GAP = 60;
+const FRAME_PADDING = 40;
+const BINDING_GAP = 8;
+
+/**
+ * Convert a graph (or Mermaid flowchart source) to an Excalidraw scene.
+ *
+ * @param {string | { nodes: Map, edges: Array, groups: Map, direction: string }} input
+ * @param {{ direction?: string }} options
+ * @returns {{ type: string, version: number, source: string, elements: Array, appState: object, files: object }}
+ */
+export function toExcalidraw(input, options = {}) {
+  const graph = typeof input === "string" ? parseMermaid(input) : input;
+  const { nodes, edges, groups } = graph;
+  const dir = options.direction || graph.direction || "TD";
+
+  const boxes = layoutGraph(graph, dir);
+  const elements = [];
+  const shapeById = new Map();
+  const frameOf = new Map();
+  const frames = [];
+  const children = childGroups(groups);
+
+  // Frames wrap their own members and any nested frames, innermost first
+  const buildFrame = (group) => {
+    const members = group.members.filter((id) => boxes.has(id) && !frameOf.has(id));
+    const nested = (children.get(group.id) || []).map(buildFrame).filter(Boolean);
+    if (members.length === 0 && nested.length === 0) return null;
+
+    const frame = createFrame(group, [...members.map((id) => boxes.get(id)), ...nested]);
+    frames.push(frame);
+    for (const id of members) frameOf.set(id, frame.id);
+    return frame;
+  };
+  for (const group of children.get(null) || []) {
+    buildFrame(group);
+  }
+
+  for (const [nodeId, node] of nodes) {
+    const box = boxes.get(nodeId);
+    const shape = baseElement(`node-${nodeId}`, {
+      ...SHAPE_ELEMENTS.rectangle,
+      ...SHAPE_ELEMENTS[node.shape],
+      ...colorsOf(node),
+      ...box,
+      frameId: frameOf.get(nodeId) || null,
+    });
+    const text = boundText(`${shape.id}-text`, node.label || nodeId, shape);
+    shape.boundElements.push({ id: text.id, type: "text" });
+    shapeById.set(nodeId, shape);
+    elements.push(shape, text);
+  }
+
+  // Links to a subgraph bind to its frame
+  const frameById = new Map(frames.map((frame) => [frame.id, frame]));
+  edges.forEach((edge, i) => {
+    const src = shapeById.get(edge.source) || frameById.get(edge.source);
+    const tgt = shapeById.get(edge.target) || frameById.get(edge.target);
+    if (!src || !tgt) return;
+
+    const arrow = createArrow(`edge-${i}`, edge, src, tgt);
+    src.boundElements.push({ id: arrow.id, type: "arrow" });
+    if (tgt !== src) tgt.boundElements.push({ id: arrow.id, type: "arrow" });
+    elements.push(arrow);
+
+    if (edge.label) {
+      const text = boundText(`${arrow.id}-text`, edge.label, arrow);
+      arrow.boundElements.push({ id: text.id, type: "text" });
+      elements.push(text);
+    }
+  });
+
+  elements.push(...frames);
+
+  return {
+    type: "excalidraw",
+    version: 2,
+    source: "https://github.com/moona3k/excalidraw-to-mermaid",
+    elements,
+    appState: { viewBackgroundColor: "#ffffff", gridSize: null },
+    files: {},
+  };
+}
+
+/**
+ * Place every node on a grid of ranks (along the flow) and slots (across it).
+ *
+ * Each group gets its own band of slots, nested inside its parent's band,
+ * so that a frame drawn around its members never covers a node from
+ * outside the group.
+ */
+export function layoutGraph(graph, dir) {
+  const { nodes, edges, groups } = graph;
+  const children = childGroups(groups);
+
+  // A link to a subgraph ranks like links to every node inside it
+  const nodesIn = (id) =>
+    groups.has(id)
+      ? [...groups.get(id).members, ...(children.get(id) || []).flatMap((child) => nodesIn(child.id))]
+      : [id];
+  const ranks = assignRanks(
+    nodes,
+    edges.flatMap((edge) =>
+      nodesIn(edge.source).flatMap((source) => nodesIn(edge.target).map((target) => ({ source, target })))
+    )
+  );
+
+  const sizes = new Map();
+  let cellWidth = MIN_WIDTH;
+  let cellHeight = MIN_HEIGHT;
+  for (const [nodeId, node] of nodes) {
+    const size = measureNode(node.label || nodeId, node.shape);
+    sizes.set(nodeId, size);
+    cellWidth = Math.max(cellWidth, size.width);
+    cellHeight = Math.max(cellHeight, size.height);
+  }
+
+  const horizontal = dir === "LR" || dir === "RL";
+  const mainStep = (horizontal ? cellWidth : cellHeight) + RANK_GAP;
+  const crossStep = (horizontal ? cellHeight : cellWidth) + NODE_GAP;
+  const maxRank = Math.max(0, ...ranks.values());
+  const padding = FRAME_PADDING / crossStep;
+
+  // Each node is placed with its innermost group
+  const memberOf = new Map();
+  for (const group of groups.values()) {
+    for (const memberId of group.members) {
+      if (!memberOf.has(memberId)) memberOf.set(memberId, group.id);
+    }
+  }
+  const direct = new Map();
+  for (const nodeId of nodes.keys()) {
+    const containerId = memberOf.get(nodeId) ?? null;
+    if (!direct.has(containerId)) direct.set(containerId, []);
+    direct.get(containerId).push(nodeId);
+  }
+
+  const boxes = new Map();
+  let cursor = 0;
+  const placeBand = (containerId) => {
+    // Leave room for the frame's padding on both sides of a group's band
+    if (containerId !== null) cursor += padding;
+
+    const byRank = new Map();
+    for (const nodeId of direct.get(containerId) || []) {
+      const rank = ranks.get(nodeId);
+      if (!byRank.has(rank)) byRank.set(rank, []);
+      byRank.get(rank).push(nodeId);
+    }
+    let slots = 0;
+    for (const members of byRank.values()) {
+      members.forEach((nodeId, slot) => {
+        const rank = dir === "BT" || dir === "RL" ? maxRank - ranks.get(nodeId) : ranks.get(nodeId);
+        const main = rank * mainStep;
+        const cross = (cursor + slot) * crossStep;
+        const { width, height } = sizes.get(nodeId);
+        const cx = horizontal ? main + cellWidth / 2 : cross + cellWidth / 2;
+        const cy = horizontal ? cross + cellHeight / 2 : main + cellHeight / 2;
+        boxes.set(nodeId, { x: cx - width / 2, y: cy - height / 2, width, height });
+      });
+      slots = Math.max(slots, members.length);
+    }
+    cursor += slots;
+
+    for (const child of children.get(containerId) || []) {
+      placeBand(child.id);
+    }
+    if (containerId !== null) cursor += padding;
+  };
+  placeBand(null);
+
+  return boxes;
+}
+
+/**
+ * Index groups by their parent ID; top-level groups sit under null.
+ */
+function childGroups(groups) {
+  const children = new Map();
+  for (const group of groups.values()) {
+    const parent = groups.has(group.parent) ? group.parent : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(group);
+  }
+  return children;
+}
+
+/**
+ * Estimate the box needed to fit a label inside a shape.
+ */
+function measureNode(label, shape) {
+  const lines = label.split("\n");
+  const longest = Math.max(...lines.map((line) => line.length));
+  let width = Math.max(MIN_WIDTH, longest * CHAR_WIDTH + 40);
+  let height = Math.max(MIN_HEIGHT, lines.length * LINE_HEIGHT + 30);
+  // Text only fits in the middle of diamonds and ellipses. Circles stay
+  // round and stadiums long, since `mapShape` tells them apart by shape
+  if (shape === "diamond") {
+    width *= 1.5;
+    height *= 1.5;
+  } else if (shape === "circle" || shape === "double-circle") {
+    width = height = Math.max(width, height) * 1.2;
+  } else if (shape === "stadium") {
+    width = Math.max(width + height / 2, height * 2);
+  }
+  return { width: Math.round(width), height: Math.round(height) };
+}
+
+/**
+ * Colors and stroke style a node carries, leaving the rest at defaults.
+ * Rectangles and double circles take their stroke style from the shape,
+ * since dashes are what mark subroutines and double circles.
+ */
+function colorsOf(node) {
+  const props = {};
+  if (node.strokeColor) props.strokeColor = node.strokeColor;
+  if (node.backgroundColor) props.backgroundColor = node.backgroundColor;
+  if (node.strokeStyle && !["rectangle", "subroutine", "double-circle"].includes(node.shape)) {
+    props.strokeStyle = node.strokeStyle;
+  }
+  return props;
+}
+
+/**
+ * Create a frame around a group's member boxes and nested frames.
+ */
+function createFrame(group, boxes) {
+  const minX = Math.min(...boxes.map((b) => b.x)) - FRAME_PADDING;
+  const minY = Math.min(...boxes.map((b) => b.y)) - FRAME_PADDING;
+  const maxX = Math.max(...boxes.map((b) => b.x + b.width)) + FRAME_PADDING;
+  const maxY = Math.max(...boxes.map((b) => b.y + b.height)) + FRAME_PADDING;
+  return baseElement(group.id, {
+    type: "frame",
+    x: minX,
+    y: minY,
+    width: maxX - minX,
+    height: maxY - minY,
+    name: group.label || null,
+    roundness: null,
+  });
+}
+
+/**
+ * Create an arrow bound to its source and target shapes or frames.
+ */
+function createArrow(id, edge, src, tgt) {
+  const points =
+    src === tgt ? selfLoopPoints(src) : [clipToBox(src, center(tgt)), clipToBox(tgt, center(src))];
+  const [start] = points;
+  const relative = points.map((p) => [p.x - start.x, p.y - start.y]);
+  const xs = relative.map(([x]) => x);
+  const ys = relative.map(([, y]) => y);
+
+  const style = { ...ARROW_ELEMENTS.arrow, ...ARROW_ELEMENTS[edge.style] };
+  // Heads read from Mermaid or Excalidraw are kept; otherwise the style's
+  if (edge.endArrowhead !== undefined) style.endArrowhead = edge.endArrowhead;
+  // A width only applies while it keeps the arrow on the same side of thick
+  if (edge.strokeWidth && (edge.strokeWidth >= 4) === ((style.strokeWidth || 2) >= 4)) {
+    style.strokeWidth = edge.strokeWidth;
+  }
+
+  return baseElement(id, {
+    type: "arrow",
+    ...style,
+    ...(edge.strokeColor ? { strokeColor: edge.strokeColor } : {}),
+    x: start.x,
+    y: start.y,
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys),
+    points: relative,
+    startArrowhead: edge.startArrowhead ?? null,
+    startBinding: { elementId: src.id, focus: 0, gap: BINDING_GAP },
+    endBinding: { elementId: tgt.id, focus: 0, gap: BINDING_GAP },
+    frameId: null,
+    roundness: { type: 2 },
+  });
+}
+
+/**
+ * Route an arrow from the top of a box around to its right side.
+ */
+function selfLoopPoints(box) {
+  const c = center(box);
+  const top = box.y - BINDING_GAP;
+  const right = box.x + box.width + BINDING_GAP;
+  return [
+    { x: c.x, y: top },
+    { x: c.x, y: top - 30 },
+    { x: right + 30, y: top - 30 },
+    { x: right + 30, y: c.y },
+    { x: right, y: c.y },
+  ];
+}
+
+function center(box) {
+  return { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+}
+
+/**
+ * Find where the line from a box's center toward a point leaves the box.
+ */
+function clipToBox(box, toward) {
+  const c = center(box);
+  const dx = toward.x - c.x;
+  const dy = toward.y - c.y;
+  const halfW = box.width / 2 + BINDING_GAP;
+  const halfH = box.height / 2 + BINDING_GAP;
+  if (dx === 0 && dy === 0) return c;
+  const scale = Math.min(
+    dx === 0 ? Infinity : halfW / Math.abs(dx),
+    dy === 0 ? Infinity : halfH / Math.abs(dy)
+  );
+  return { x: c.x + dx * scale, y: c.y + dy * scale };
+}
+
+/**
+ * Create a text element bound to a shape or arrow.
+ */
+function boundText(id, text, container) {
+  const lines = text.split("\n");
+  const width = Math.max(...lines.map((line) => line.length)) * CHAR_WIDTH;
+  const height = lines.length * LINE_HEIGHT;
+
+  let cx;
+  let cy;
+  if (container.type === "arrow") {
+    const pts = container.points;
+    const [px, py] =
+      pts.length === 2
+        ? [(pts[0][0] + pts[1][0]) / 2, (pts[0][1] + pts[1][1]) / 2]
+        : pts[Math.floor(pts.length / 2)];
+    cx = container.x + px;
+    cy = container.y + py;
+  } else {
+    ({ x: cx, y: cy } = center(container));
+  }
+
+  return baseElement(id, {
+    type: "text",
+    x: cx - width / 2,
+    y: cy - height / 2,
+    width,
+    height,
+    text,
+    originalText: text,
+    fontSize: FONT_SIZE,
+    fontFamily: 1,
+    textAlign: "center",
+    verticalAlign: "middle",
+    containerId: container.id,
+    lineHeight: LINE_HEIGHT / FONT_SIZE,
+    autoResize: true,
+    frameId: container.frameId ?? null,
+    roundness: null,
+  });
+}
+
+/**
+ * Fill in the properties every Excalidraw element carries.
+ */
+function baseElement(id, props) {
+  return {
+    id,
+    angle: 0,
+    strokeColor: "#1e1e1e",
+    backgroundColor: "transparent",
+    fillStyle: "solid",
+    strokeWidth: 2,
+    strokeStyle: "solid",
+    roughness: 1,
+    opacity: 100,
+    groupIds: [],
+    frameId: null,
+    roundness: null,
+    seed: hashSeed(id),
+    version: 1,
+    versionNonce: hashSeed(`${id}:nonce`),
+    isDeleted: false,
+    boundElements: [],
+    updated: 1,
+    link: null,
+    locked: false,
+    ...props,
+  };
+}
+
+/**
+ * Derive a stable seed from an element ID so output is reproducible.
+ */
+function hashSeed(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) % 2147483647;
+}
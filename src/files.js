@@ -0,0 +1,212 @@
+/**
+ * Resolve CLI inputs (files, directories and glob patterns) into the list
+ * of files to convert, and map each one to its output path.
+ */
+
+import { readdirSync, readFileSync, statSync, existsSync } from "fs";
+import { resolve, relative, join, dirname, basename, sep } from "path";
+
+/**
+ * File extensions picked up when an input is a directory, by input kind.
+ */
+export const INPUT_EXTENSIONS = {
+  excalidraw: [".excalidraw", ".excalidraw.png", ".excalidraw.svg", ".excalidraw.md"],
+  mermaid: [".mmd", ".mermaid"],
+  markdown: [".md", ".markdown"],
+};
+
+/**
+ * Output extensions a batch can write.
+ */
+export const OUTPUT_EXTENSIONS = [".mmd", ".md"];
+
+/**
+ * Input name that reads from standard input.
+ */
+export const STDIN = "-";
+
+/**
+ * Directories never searched when walking a directory or a `**` pattern.
+ */
+const SKIPPED_DIRS = new Set(["node_modules", ".git"]);
+
+const GLOB_CHARS = /[*?{]/;
+
+/**
+ * Whether an input is a glob pattern rather than a path.
+ */
+export function isGlob(input) {
+  return !isDataUrl(input) && GLOB_CHARS.test(input);
+}
+
+/**
+ * Whether an input is a `data:` URL carrying the file contents inline.
+ */
+export function isDataUrl(input) {
+  return /^data:/i.test(input);
+}
+
+/**
+ * Contents of a `data:` URL, base64 or percent-encoded.
+ *
+ * @param {string} url
+ * @returns {Buffer}
+ */
+export function decodeDataUrl(url) {
+  const match = url.match(/^data:[^,]*?(;base64)?,([\s\S]*)$/i);
+  if (!match) throw new Error("Invalid data: URL (expected data:[<type>][;base64],<data>)");
+  return match[1] ? Buffer.from(match[2], "base64") : Buffer.from(decodeURIComponent(match[2]), "utf-8");
+}
+
+/**
+ * Contents of a single input: a file path, `-` for standard input, or a
+ * `data:` URL.
+ *
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export function readInput(input) {
+  if (input === STDIN) return readFileSync(0);
+  if (isDataUrl(input)) return decodeDataUrl(input);
+  return readFileSync(input);
+}
+
+/**
+ * Expand inputs into files. Each file keeps the directory it was found
+ * under (`base`), so outputs can mirror the tree below it. Inputs that
+ * match nothing are returned in `unmatched`.
+ *
+ * @param {string[]} inputs - Files, directories or glob patterns
+ * @param {string[]} extensions - Extensions to pick up inside directories
+ * @returns {{ files: Array<{ path: string, base: string }>, unmatched: string[] }}
+ */
+export function expandInputs(inputs, extensions) {
+  const files = [];
+  const unmatched = [];
+  const seen = new Set();
+  let matched = false;
+  const add = (path, base) => {
+    matched = true;
+    if (seen.has(path)) return;
+    seen.add(path);
+    files.push({ path, base });
+  };
+
+  for (const input of inputs) {
+    matched = false;
+
+    if (isGlob(input)) {
+      const { base, pattern } = splitGlob(input);
+      const matcher = globToRegExp(pattern);
+      for (const path of walk(base)) {
+        if (matcher.test(toPosix(relative(base, path)))) add(path, base);
+      }
+    } else {
+      const path = resolve(input);
+      if (existsSync(path) && statSync(path).isDirectory()) {
+        for (const file of walk(path)) {
+          if (extensions.some((ext) => file.endsWith(ext))) add(file, path);
+        }
+      } else if (existsSync(path)) {
+        add(path, dirname(path));
+      }
+    }
+
+    if (!matched) unmatched.push(input);
+  }
+
+  return { files, unmatched };
+}
+
+/**
+ * Output path for a batch file: the same path below `outDir` as the file
+ * has below its base (or next to the file without `outDir`), with its
+ * input extension replaced.
+ */
+export function outputPathFor(file, outDir, extension, inputExtensions) {
+  const name = basename(file.path);
+  const inputExt = inputExtensions.find((ext) => name.endsWith(ext));
+  const stem = inputExt ? name.slice(0, -inputExt.length) : name.replace(/\.[^.]*$/, "");
+  const dir = outDir
+    ? join(resolve(outDir), relative(file.base, dirname(file.path)))
+    : dirname(file.path);
+  return join(dir, stem + extension);
+}
+
+/**
+ * Text to write for a converted file: Markdown outputs wrap the source in
+ * a fenced code block labeled with its `language`.
+ */
+export function renderOutput(text, extension, language = "mermaid") {
+  return extension === ".md" ? "```" + language + "\n" + text + "```\n" : text;
+}
+
+/**
+ * Translate a glob pattern into a regular expression over `/`-separated
+ * paths. Supports `*`, `?`, `**` (any depth) and `{a,b}` alternatives.
+ */
+export function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      if (glob[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else if (ch === "{" && glob.indexOf("}", i) !== -1) {
+      const end = glob.indexOf("}", i);
+      source += `(?:${glob.slice(i + 1, end).split(",").map(escapeRegExp).join("|")})`;
+      i = end;
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Split a glob into the directory before its first wildcard and the
+ * pattern below it: `docs/**\/*.excalidraw` → `docs`, `**\/*.excalidraw`.
+ */
+function splitGlob(input) {
+  const parts = toPosix(input).split("/");
+  const first = parts.findIndex((part) => isGlob(part));
+  const baseParts = parts.slice(0, first);
+  const base = baseParts.length === 0 ? "." : baseParts.join("/") || "/";
+  return { base: resolve(base), pattern: parts.slice(first).join("/") };
+}
+
+/**
+ * All files below a directory, in sorted order.
+ */
+function walk(dir) {
+  if (!existsSync(dir) || !statSync(dir).isDirectory()) return [];
+  const files = [];
+  const entries = readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  for (const entry of entries) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRS.has(entry.name)) files.push(...walk(path));
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+function toPosix(path) {
+  return path.split(sep).join("/");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,196 @@
+/**
+ * Serialize the parsed flowchart graph as JSON, in the shape of the JSON
+ * Graph Format (JGF v2), and read it back.
+ *
+ * Schema (version 1):
+ *
+ *     { "graph": {
+ *         "type": "flowchart",
+ *         "directed": true,
+ *         "metadata": {
+ *           "schema": "excalidraw-to-mermaid/graph", "version": 1,
+ *           "direction": "TD", "ids": "short",
+ *           "groups": [{ "id", "label", "parent", "members", "shortId", "customId", "container" }]
+ *         },
+ *         "nodes": { "<element ID>": { "label", "metadata": {
+ *           "shortId", "shape", "geometry": { "x", "y", "width", "height" },
+ *           "style": { "strokeColor", "backgroundColor", "strokeStyle" },
+ *           "groupIds", "frameId", "customId", "link" } } },
+ *         "edges": [{ "id", "source", "target", "label", "directed", "metadata": {
+ *           "style", "inferred", "startArrowhead", "endArrowhead",
+ *           "strokeColor", "strokeWidth" } }] } }
+ *
+ * Node keys, edge IDs and group IDs are the Excalidraw element IDs (or
+ * `groupIds` entries). An edge's `source` or `target` is a node key, or a
+ * group ID for an arrow bound to a frame. Version 1 readers reject later
+ * versions; fields may be added within a version.
+ */
+
+import { resolveGraph, edgeHeads } from "./converter.js";
+
+/**
+ * `graph.metadata.schema` of a graph JSON document.
+ */
+export const GRAPH_JSON_SCHEMA = "excalidraw-to-mermaid/graph";
+
+/**
+ * Schema version written, and the latest one read.
+ */
+export const GRAPH_JSON_VERSION = 1;
+
+/**
+ * Serialize a parsed graph. Nodes and groups are listed in output order
+ * and carry the IDs `toMermaid` gives them, for the same `ids`, `order`
+ * and `direction` options. Edges with a missing end are left out and
+ * reported in `options.warnings`, when given an array.
+ *
+ * @param {{ nodes: Map, edges: Array, groups: Map, direction: string }} graph
+ * @param {{ direction?: string, ids?: string, order?: string, warnings?: Array }} [options]
+ * @returns {{ graph: object }}
+ */
+export function toGraphJson(graph, options = {}) {
+  const { direction, nodes, groups, edges, idMap, groupIdMap } = resolveGraph(graph, options);
+
+  const jsonNodes = {};
+  for (const [nodeId, node] of nodes) {
+    jsonNodes[nodeId] = {
+      label: node.label,
+      metadata: {
+        shortId: idMap.get(nodeId),
+        shape: node.shape,
+        geometry: { x: node.x, y: node.y, width: node.width, height: node.height },
+        style: {
+          strokeColor: node.strokeColor ?? null,
+          backgroundColor: node.backgroundColor ?? null,
+          strokeStyle: node.strokeStyle ?? null,
+        },
+        groupIds: node.groupIds || [],
+        frameId: node.frameId ?? null,
+        customId: node.customId ?? null,
+        link: node.link ?? null,
+      },
+    };
+  }
+
+  return {
+    graph: {
+      type: "flowchart",
+      directed: true,
+      metadata: {
+        schema: GRAPH_JSON_SCHEMA,
+        version: GRAPH_JSON_VERSION,
+        direction,
+        ids: options.ids || "short",
+        groups: [...groups.values()].map((group) => ({
+          id: group.id,
+          label: group.label || "",
+          parent: groups.has(group.parent) ? group.parent : null,
+          members: group.members,
+          shortId: groupIdMap.get(group.id),
+          customId: group.customId ?? null,
+          container: Boolean(group.container),
+        })),
+      },
+      nodes: jsonNodes,
+      edges: edges.map((edge) => ({
+        id: edge.id,
+        source: edge.source,
+        target: edge.target,
+        label: edge.label || "",
+        directed: edgeHeads(edge).end !== null,
+        metadata: {
+          style: edge.style,
+          inferred: Boolean(edge.inferred),
+          startArrowhead: edge.startArrowhead ?? null,
+          endArrowhead: edge.endArrowhead ?? null,
+          strokeColor: edge.strokeColor ?? null,
+          strokeWidth: edge.strokeWidth ?? null,
+        },
+      })),
+    },
+  };
+}
+
+/**
+ * Whether parsed JSON is a graph JSON document.
+ *
+ * @param {unknown} data
+ * @returns {boolean}
+ */
+export function isGraphJson(data) {
+  return data?.graph?.metadata?.schema === GRAPH_JSON_SCHEMA;
+}
+
+/**
+ * Read a graph JSON document back into the graph `parseDocument` returns,
+ * ready for `toMermaid` or any emitter. Output IDs are assigned again by
+ * the emitter's `ids` option; with the options the JSON was written with,
+ * they come out the same.
+ *
+ * @param {string|object} input - Graph JSON text or parsed document
+ * @returns {{ nodes: Map, edges: Array, groups: Map, direction: string, unattachedText: Array, warnings: Array }}
+ * @throws {Error} When the input is not graph JSON or is a later version
+ */
+export function fromGraphJson(input) {
+  const data = typeof input === "string" ? JSON.parse(input) : input;
+  if (!isGraphJson(data)) {
+    throw new Error(`Not graph JSON (expected graph.metadata.schema "${GRAPH_JSON_SCHEMA}")`);
+  }
+  const { metadata, nodes: jsonNodes = {}, edges: jsonEdges = [] } = data.graph;
+  if (!(metadata.version <= GRAPH_JSON_VERSION)) {
+    throw new Error(`Unsupported graph JSON version ${metadata.version} (expected ${GRAPH_JSON_VERSION} or earlier)`);
+  }
+
+  const nodes = new Map();
+  for (const [id, node] of Object.entries(jsonNodes)) {
+    const meta = node.metadata || {};
+    const geometry = meta.geometry || {};
+    const style = meta.style || {};
+    nodes.set(id, {
+      id,
+      label: node.label ?? "",
+      shape: meta.shape || "rectangle",
+      x: geometry.x ?? 0,
+      y: geometry.y ?? 0,
+      width: geometry.width ?? 0,
+      height: geometry.height ?? 0,
+      strokeStyle: style.strokeStyle || "solid",
+      strokeColor: style.strokeColor ?? undefined,
+      backgroundColor: style.backgroundColor ?? undefined,
+      groupIds: meta.groupIds || [],
+      frameId: meta.frameId ?? null,
+      customId: meta.customId ?? null,
+      link: meta.link ?? null,
+    });
+  }
+
+  const edges = jsonEdges.map((edge, index) => {
+    const meta = edge.metadata || {};
+    return {
+      id: edge.id ?? `e${index}`,
+      source: edge.source,
+      target: edge.target,
+      label: edge.label ?? "",
+      style: meta.style || (edge.directed === false ? "line" : "arrow"),
+      inferred: Boolean(meta.inferred),
+      strokeColor: meta.strokeColor ?? undefined,
+      strokeWidth: meta.strokeWidth ?? undefined,
+      startArrowhead: meta.startArrowhead ?? null,
+      endArrowhead: meta.endArrowhead ?? null,
+    };
+  });
+
+  const groups = new Map();
+  for (const group of metadata.groups || []) {
+    groups.set(group.id, {
+      id: group.id,
+      label: group.label || "",
+      members: group.members || [],
+      parent: group.parent ?? null,
+      customId: group.customId ?? null,
+      ...(group.container ? { container: true } : {}),
+    });
+  }
+
+  return { nodes, edges, groups, direction: metadata.direction || "TD", unattachedText: [], warnings: [] };
+}
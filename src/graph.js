@@ -0,0 +1,189 @@
+/**
+ * Graph algorithms shared by layout, ordering and analysis. They work on
+ * the graph shape parser.js produces: a `nodes` Map and an `edges` array.
+ */
+
+/**
+ * Assign each node a rank by longest path from the sources.
+ * Edges that close a cycle are ignored.
+ */
+export function assignRanks(nodes, edges) {
+  const { order, forward } = acyclicOrder(nodes, edges);
+  const ranks = new Map();
+  for (const nodeId of nodes.keys()) ranks.set(nodeId, 0);
+  for (let i = order.length - 1; i >= 0; i--) {
+    const nodeId = order[i];
+    for (const target of forward.get(nodeId)) {
+      ranks.set(target, Math.max(ranks.get(target), ranks.get(nodeId) + 1));
+    }
+  }
+  return ranks;
+}
+
+/**
+ * The longest path along the edges, as node IDs from start to end, or an
+ * empty array when there are no edges. Edges that close a cycle are
+ * ignored; of paths of the same length, the one starting first wins.
+ */
+export function longestPath(nodes, edges) {
+  const { order, forward } = acyclicOrder(nodes, edges);
+
+  // Post-order visits every target before the nodes pointing at it
+  const length = new Map();
+  const next = new Map();
+  for (const nodeId of order) {
+    let best = 0;
+    let bestNext = null;
+    for (const target of forward.get(nodeId)) {
+      if (length.get(target) + 1 > best) {
+        best = length.get(target) + 1;
+        bestNext = target;
+      }
+    }
+    length.set(nodeId, best);
+    next.set(nodeId, bestNext);
+  }
+
+  let start = null;
+  for (const nodeId of nodes.keys()) {
+    if (start === null || length.get(nodeId) > length.get(start)) start = nodeId;
+  }
+  if (start === null || length.get(start) === 0) return [];
+  const path = [];
+  for (let nodeId = start; nodeId !== null; nodeId = next.get(nodeId)) path.push(nodeId);
+  return path;
+}
+
+/**
+ * Strongly connected components (Tarjan's algorithm): sets of nodes that
+ * can all reach each other. Every node is in exactly one; a node on no
+ * cycle is a component of its own. Components and their nodes are in
+ * document order.
+ */
+export function stronglyConnected(nodes, edges) {
+  const outgoing = outgoingEdges(nodes, edges);
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const visit = (nodeId) => {
+    index.set(nodeId, index.size);
+    low.set(nodeId, index.get(nodeId));
+    stack.push(nodeId);
+    onStack.add(nodeId);
+  };
+
+  for (const start of nodes.keys()) {
+    if (index.has(start)) continue;
+    visit(start);
+    const work = [[start, 0]];
+    while (work.length > 0) {
+      const top = work[work.length - 1];
+      const [nodeId, i] = top;
+      const targets = outgoing.get(nodeId);
+      if (i < targets.length) {
+        top[1]++;
+        const target = targets[i];
+        if (!index.has(target)) {
+          visit(target);
+          work.push([target, 0]);
+        } else if (onStack.has(target)) {
+          low.set(nodeId, Math.min(low.get(nodeId), index.get(target)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1][0];
+        low.set(parent, Math.min(low.get(parent), low.get(nodeId)));
+      }
+      if (low.get(nodeId) === index.get(nodeId)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== nodeId);
+        components.push(component);
+      }
+    }
+  }
+
+  const position = new Map([...nodes.keys()].map((id, i) => [id, i]));
+  for (const component of components) component.sort((a, b) => position.get(a) - position.get(b));
+  return components.sort((a, b) => position.get(a[0]) - position.get(b[0]));
+}
+
+/**
+ * The targets of each node's edges, for edges between two nodes.
+ */
+export function outgoingEdges(nodes, edges) {
+  const outgoing = new Map();
+  for (const nodeId of nodes.keys()) outgoing.set(nodeId, []);
+  for (const edge of edges) {
+    if (outgoing.has(edge.source) && nodes.has(edge.target)) {
+      outgoing.get(edge.source).push(edge.target);
+    }
+  }
+  return outgoing;
+}
+
+/**
+ * Depth-first post-order of the nodes, skipping back edges, which gives a
+ * topological order when reversed. `forward` holds the targets of each
+ * node's edges that were kept.
+ */
+function acyclicOrder(nodes, edges) {
+  const outgoing = outgoingEdges(nodes, edges);
+  const state = new Map();
+  const order = [];
+  const forward = new Map();
+  for (const start of nodes.keys()) {
+    if (state.has(start)) continue;
+    const stack = [[start, 0]];
+    state.set(start, "active");
+    forward.set(start, []);
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      const [nodeId, index] = top;
+      const targets = outgoing.get(nodeId);
+      if (index < targets.length) {
+        top[1]++;
+        const target = targets[index];
+        if (state.get(target) === "active") continue;
+        forward.get(nodeId).push(target);
+        if (!state.has(target)) {
+          state.set(target, "active");
+          forward.set(target, []);
+          stack.push([target, 0]);
+        }
+      } else {
+        state.set(nodeId, "done");
+        order.push(nodeId);
+        stack.pop();
+      }
+    }
+  }
+  return { order, forward };
+}
+
+/**
+ * Sort node IDs in reading order along a flow direction: by rank, then
+ * by position across the flow (x for TD and BT, y for LR and RL). Nodes
+ * without a position keep their order within a rank.
+ */
+export function readingOrder(nodes, edges, direction = "TD") {
+  const ranks = assignRanks(nodes, edges);
+  const horizontal = direction === "LR" || direction === "RL";
+  const cross = (id) => {
+    const node = nodes.get(id);
+    return horizontal
+      ? (node.y ?? 0) + (node.height || 0) / 2
+      : (node.x ?? 0) + (node.width || 0) / 2;
+  };
+  return [...nodes.keys()].sort((a, b) => ranks.get(a) - ranks.get(b) || cross(a) - cross(b));
+}
@@ -1,52 +1,336 @@
 /**
  * excalidraw-to-mermaid
  *
- * Convert Excalidraw diagrams to Mermaid flowchart syntax.
+ * Convert Excalidraw diagrams to Mermaid flowchart, sequence, state,
+ * class and ER diagram syntax, and Mermaid flowcharts back to Excalidraw.
+ * Flowcharts can also be written as Graphviz DOT, PlantUML, D2, graph
+ * JSON or any registered format, and read back from graph JSON. Two
+ * revisions of a flowchart can be compared with `diffGraphs`, and one
+ * checked for cycles, dead ends and other rules with `analyze`.
  */
 
 import { readFileSync, writeFileSync } from "fs";
-import { parseDocument } from "./parser.js";
-import { toMermaid } from "./converter.js";
+import { parseDocument, parseSequence, parseModel } from "./parser.js";
+import { toSequenceDiagram } from "./sequence.js";
+import { toStateDiagram, findPseudoStates } from "./state.js";
+import { toClassDiagram, toErDiagram } from "./model.js";
+import { parseMermaid } from "./mermaid-parser.js";
+import { toExcalidraw } from "./excalidraw.js";
+import { readScene, toScene } from "./scene.js";
+import { getEmitter } from "./emitters.js";
+import { isGraphJson, fromGraphJson } from "./graph-json.js";
+import { compareGraphs, countChanges, formatDiff, diffToMermaid, DIFF_FORMATS } from "./diff.js";
+import { analyzeGraph, checkRules, formatAnalysis } from "./analysis.js";
 
 /**
- * Convert an Excalidraw file to Mermaid syntax.
+ * Convert an Excalidraw file to Mermaid syntax. The file may be
+ * `.excalidraw` JSON, a PNG or SVG export with the scene embedded, or an
+ * Obsidian `.excalidraw.md` drawing.
  *
- * @param {string} inputPath - Path to .excalidraw file
- * @param {object} [options]
- * @param {string} [options.direction] - Force direction ("TD", "LR", "BT", "RL")
- * @param {string} [options.output] - Path to write output file
- * @returns {{ mermaid: string, nodeCount: number, edgeCount: number, direction: string }}
+ * @param {string} inputPath - Path to .excalidraw, .excalidraw.png, .excalidraw.svg or .excalidraw.md file
+ * @param {object} [options] - Same options as `convert`
+ * @returns {{ type: string, format: string, text: string, mermaid?: string, nodeCount: number, edgeCount: number, direction: string }}
  */
 export function convertFile(inputPath, options = {}) {
-  const raw = readFileSync(inputPath, "utf-8");
-  const doc = JSON.parse(raw);
+  const doc = readScene(readFileSync(inputPath));
   return convert(doc, options);
 }
 
 /**
  * Convert an Excalidraw document object to Mermaid syntax.
  *
- * @param {object} doc - Parsed Excalidraw JSON object
+ * @param {object|Array} doc - Parsed Excalidraw JSON object, clipboard payload, element array, or graph JSON (flowcharts only)
  * @param {object} [options]
+ * @param {string} [options.type="flowchart"] - Diagram type, one of `DIAGRAM_TYPES`
+ * @param {string} [options.format="mermaid"] - Output format for flowcharts, one of `listFormats()`; other types are Mermaid only
  * @param {string} [options.direction] - Force direction ("TD", "LR", "BT", "RL")
  * @param {string} [options.output] - Path to write output file
- * @returns {{ mermaid: string, nodeCount: number, edgeCount: number, direction: string }}
+ * @param {boolean} [options.inferBindings=true] - Attach unbound arrow ends to nearby shapes
+ * @param {number} [options.bindingTolerance] - Max distance (px) for an inferred binding
+ * @param {boolean} [options.attachText=true] - Use unbound text near shapes and arrows as labels
+ * @param {number} [options.labelTolerance] - Max distance (px) for such text
+ * @param {boolean} [options.styles=true] - Emit classDef/linkStyle lines for colors
+ * @param {object} [options.palette] - Named classes matched by color, e.g. `{ external: { backgroundColor: "#ffc9c9" } }`
+ * @param {string} [options.ids="short"] - Flowchart node ID strategy, one of `ID_STRATEGIES`
+ * @param {string} [options.order="document"] - Flowchart line order, one of `ORDERS`
+ * @param {string} [options.target] - Mermaid version to write flowcharts for; 11.3 and later get the expanded `@{ shape }` node syntax
+ * @param {string} [options.root] - Element ID or label of the node flowchart analysis counts reachability from
+ * @returns {{ type: string, format: string, text: string, mermaid?: string, nodeCount: number, edgeCount: number, direction: string, inferredEdges?: Array, unattachedText: Array, analysis?: object, warnings: Array }}
+ *   `text` is the output in `format`; `mermaid` holds it too when the format is Mermaid.
+ *   Flowcharts have an `analysis` from `analyzeGraph`
  */
 export function convert(doc, options = {}) {
-  const graph = parseDocument(doc);
-  const mermaid = toMermaid(graph, { direction: options.direction });
+  const type = options.type || "flowchart";
+  const render = RENDERERS[type];
+  if (!render) {
+    throw new Error(`Unknown diagram type "${type}" (expected ${DIAGRAM_TYPES.join(", ")})`);
+  }
+  const format = options.format || "mermaid";
+  getEmitter(format);
+  if (format !== "mermaid" && type !== "flowchart") {
+    throw new Error(`Format "${format}" only supports flowcharts; ${type} diagrams are written as Mermaid`);
+  }
+  if (type !== "flowchart" && isGraphJson(doc)) {
+    throw new Error("Graph JSON holds a flowchart; it cannot be read as a " + type + " diagram");
+  }
+
+  const result = render(toScene(doc), { ...options, format });
+  const text = result.text ?? result.mermaid;
+
+  if (options.output) {
+    writeFileSync(options.output, text, "utf-8");
+  }
+
+  return { type, format, text, ...result };
+}
+
+/**
+ * Parser options shared by every diagram type.
+ */
+function parseOptions(options) {
+  return {
+    inferBindings: options.inferBindings,
+    bindingTolerance: options.bindingTolerance,
+    attachText: options.attachText,
+    labelTolerance: options.labelTolerance,
+  };
+}
+
+/**
+ * Read a flowchart graph from an Excalidraw document or graph JSON.
+ */
+function readFlowchart(doc, options) {
+  return isGraphJson(doc) ? fromGraphJson(doc) : parseDocument(doc, { ...parseOptions(options), groupEdges: true });
+}
+
+/**
+ * A flowchart graph as it is, or read from anything `convert` reads.
+ */
+function flowchartOf(input, options) {
+  return input?.nodes instanceof Map ? input : readFlowchart(toScene(input), options);
+}
+
+function convertFlowchart(doc, options) {
+  const graph = readFlowchart(doc, options);
+  const warnings = [...graph.warnings];
+  const text = getEmitter(options.format).emit(graph, { ...options, warnings });
+
+  return {
+    ...(options.format === "mermaid" ? { mermaid: text } : { text }),
+    nodeCount: graph.nodes.size,
+    edgeCount: graph.edges.length,
+    direction: options.direction || graph.direction,
+    inferredEdges: graph.edges
+      .filter((edge) => edge.inferred)
+      .map(({ id, source, target }) => ({ id, source, target })),
+    unattachedText: graph.unattachedText,
+    analysis: analyzeGraph(graph, { root: options.root }),
+    warnings,
+  };
+}
+
+function convertSequence(doc, options) {
+  const sequence = parseSequence(doc, parseOptions(options));
+  return {
+    mermaid: toSequenceDiagram(sequence),
+    nodeCount: sequence.participants.length,
+    edgeCount: sequence.messages.length,
+    direction: null,
+    unattachedText: sequence.unattachedText,
+    warnings: sequence.warnings,
+  };
+}
+
+function convertState(doc, options) {
+  const graph = parseDocument(doc, { ...parseOptions(options), groupEdges: true });
+  const pseudo = findPseudoStates(graph.nodes);
+  return {
+    mermaid: toStateDiagram(graph, { direction: options.direction }),
+    nodeCount: graph.nodes.size - pseudo.size,
+    edgeCount: graph.edges.length,
+    direction: options.direction || graph.direction,
+    unattachedText: graph.unattachedText,
+    // Start and end dots are unlabeled by design
+    warnings: graph.warnings.filter(({ code, elementId }) => !(code === "empty-label" && pseudo.has(elementId))),
+  };
+}
+
+function convertModel(emit) {
+  return (doc, options) => {
+    const model = parseModel(doc, parseOptions(options));
+    return {
+      mermaid: emit(model),
+      nodeCount: model.classes.length,
+      edgeCount: model.relations.length,
+      direction: null,
+      unattachedText: model.unattachedText,
+      warnings: model.warnings,
+    };
+  };
+}
+
+/**
+ * Mermaid output for each diagram type.
+ */
+const RENDERERS = {
+  flowchart: convertFlowchart,
+  sequence: convertSequence,
+  state: convertState,
+  class: convertModel(toClassDiagram),
+  er: convertModel(toErDiagram),
+};
+
+/**
+ * Diagram types accepted by `convert`'s `type` option.
+ */
+export const DIAGRAM_TYPES = Object.keys(RENDERERS);
+
+/**
+ * Analyze a flowchart drawing (see `analyzeGraph`) and check it against
+ * rules from `RULES`, such as `no-cycles` or `decisions-branch`. The
+ * drawing may be anything `convert` reads, or a graph from
+ * `parseDocument`.
+ *
+ * @param {object|Array} doc
+ * @param {object} [options] - Parser options as for `convert`, and:
+ * @param {string} [options.root] - Element ID or label of the node reachability is counted from
+ * @param {string[]} [options.rules] - Rules to check
+ * @returns {{ text: string, ok: boolean, violations: Array<{ rule: string, message: string, nodes: string[] }>, entries: string[], exits: string[], isolated: string[], unreachable: string[], cycles: string[][], longestPath: string[] }}
+ */
+export function analyze(doc, options = {}) {
+  const graph = flowchartOf(doc, options);
+  const rules = options.rules || [];
+  const analysis = analyzeGraph(graph, { root: options.root });
+  const violations = checkRules(graph, analysis, rules);
+  return {
+    text: formatAnalysis(graph, analysis, { rules, violations }),
+    ok: violations.length === 0,
+    ...analysis,
+    violations,
+  };
+}
+
+/**
+ * Render a file's contents for `git diff` and `git log -p`, as a git
+ * textconv filter. The output is the `convert` text with element IDs,
+ * stable order and a top-down direction by default, so an edit shows as
+ * the lines it changed and moving shapes around shows nothing. Options
+ * are as for `convert`.
+ *
+ * Never throws: git runs textconv on every revision, including broken
+ * ones. Contents that cannot be converted give a line saying why, then
+ * the contents themselves when they are text.
+ *
+ * @param {Buffer|string} data - File contents, in any format `readScene` reads
+ * @param {object} [options]
+ * @returns {string}
+ */
+export function textconv(data, options = {}) {
+  try {
+    const { output, ...rest } = options;
+    return convert(readScene(data), { ids: "element", order: "stable", direction: "TD", ...rest }).text;
+  } catch (err) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data ?? ""), "utf-8");
+    const raw = buffer.includes(0) ? "" : buffer.toString("utf-8");
+    return `excalidraw-to-mermaid: cannot convert (${err.message})\n${raw && !raw.endsWith("\n") ? raw + "\n" : raw}`;
+  }
+}
+
+/**
+ * Compare two revisions of a flowchart drawing and report the nodes,
+ * edges and groups added, removed, relabeled, restyled or moved between
+ * groups (see `compareGraphs`). Each revision may be anything `convert`
+ * reads, or a graph from `parseDocument`.
+ *
+ * `format` picks the `text` returned: a readable list of changes, the
+ * diff as JSON, or a Mermaid flowchart of the newer revision with the
+ * changes highlighted, which takes `convert`'s `direction`, `ids`,
+ * `order` and `target` options.
+ *
+ * @param {object|Array} before - Older revision
+ * @param {object|Array} after - Newer revision
+ * @param {object} [options] - Parser options as for `convert`, and:
+ * @param {string} [options.format="text"] - One of `DIFF_FORMATS`
+ * @param {string} [options.output] - Path to write the text to
+ * @returns {{ format: string, text: string, changed: boolean, nodes: object, edges: object, groups: object, warnings: Array }}
+ */
+export function diffGraphs(before, after, options = {}) {
+  const format = options.format || "text";
+  if (!DIFF_FORMATS.includes(format)) {
+    throw new Error(`Unknown diff format "${format}" (expected ${DIFF_FORMATS.join(", ")})`);
+  }
+  const older = flowchartOf(before, options);
+  const newer = flowchartOf(after, options);
+  const diff = compareGraphs(older, newer);
+  const warnings = [];
+
+  let text;
+  if (format === "json") {
+    text = JSON.stringify(diff, null, 2) + "\n";
+  } else if (format === "mermaid") {
+    text = diffToMermaid(older, newer, { ...options, warnings });
+  } else {
+    text = formatDiff(diff);
+  }
+
+  if (options.output) {
+    writeFileSync(options.output, text, "utf-8");
+  }
+
+  return { format, text, changed: countChanges(diff) > 0, ...diff, warnings };
+}
+
+/**
+ * Convert a Mermaid flowchart file to an Excalidraw scene.
+ *
+ * @param {string} inputPath - Path to .mmd file
+ * @param {object} [options]
+ * @param {string} [options.direction] - Force direction ("TD", "LR", "BT", "RL")
+ * @param {string} [options.output] - Path to write the .excalidraw file
+ * @returns {{ scene: object, nodeCount: number, edgeCount: number, direction: string }}
+ */
+export function convertMermaidFile(inputPath, options = {}) {
+  const source = readFileSync(inputPath, "utf-8");
+  return convertMermaid(source, options);
+}
+
+/**
+ * Convert Mermaid flowchart source to an Excalidraw scene.
+ *
+ * @param {string} source - Mermaid flowchart text
+ * @param {object} [options]
+ * @param {string} [options.direction] - Force direction ("TD", "LR", "BT", "RL")
+ * @param {string} [options.output] - Path to write the .excalidraw file
+ * @returns {{ scene: object, nodeCount: number, edgeCount: number, direction: string }}
+ */
+export function convertMermaid(source, options = {}) {
+  const graph = parseMermaid(source);
+  const scene = toExcalidraw(graph, { direction: options.direction });
 
   if (options.output) {
-    writeFileSync(options.output, mermaid, "utf-8");
+    writeFileSync(options.output, JSON.stringify(scene, null, 2) + "\n", "utf-8");
   }
 
   return {
-    mermaid,
+    scene,
     nodeCount: graph.nodes.size,
     edgeCount: graph.edges.length,
     direction: options.direction || graph.direction,
   };
 }
 
-export { parseDocument } from "./parser.js";
-export { toMermaid } from "./converter.js";
+export { parseDocument, parseSequence, parseModel } from "./parser.js";
+export { toMermaid, resolveGraph, usesExpandedShapes, ID_STRATEGIES, ORDERS } from "./converter.js";
+export { toDot } from "./dot.js";
+export { toPlantUml } from "./plantuml.js";
+export { toD2 } from "./d2.js";
+export { registerEmitter, getEmitter, listFormats } from "./emitters.js";
+export { toGraphJson, fromGraphJson, isGraphJson, GRAPH_JSON_SCHEMA, GRAPH_JSON_VERSION } from "./graph-json.js";
+export { compareGraphs, countChanges, summarizeDiff, formatDiff, diffToMermaid, DIFF_FORMATS } from "./diff.js";
+export { analyzeGraph, checkRules, formatAnalysis, RULES } from "./analysis.js";
+export { toSequenceDiagram } from "./sequence.js";
+export { toStateDiagram } from "./state.js";
+export { toClassDiagram, toErDiagram } from "./model.js";
+export { parseMermaid } from "./mermaid-parser.js";
+export { toExcalidraw } from "./excalidraw.js";
+export { readScene, toScene } from "./scene.js";
@@ -0,0 +1,101 @@
+/**
+ * LZ-String decompression, as used by the Obsidian Excalidraw plugin for
+ * `compressed-json` drawings. Only `decompressFromBase64` is needed.
+ */
+
+const BASE64_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=";
+
+/**
+ * Decompress a string produced by LZ-String's `compressToBase64`.
+ * Whitespace in the input (the plugin wraps long lines) is ignored.
+ *
+ * @param {string} input
+ * @returns {string}
+ * @throws {Error} When the input is not valid LZ-String data
+ */
+export function decompressFromBase64(input) {
+  const data = input.replace(/\s+/g, "");
+  if (data === "") return "";
+
+  const values = [];
+  for (const ch of data) {
+    const value = BASE64_ALPHABET.indexOf(ch);
+    if (value === -1) throw new Error(`Invalid compressed data: unexpected "${ch}"`);
+    values.push(value);
+  }
+
+  const result = decompress(values, 32);
+  if (result === null) throw new Error("Invalid compressed data");
+  return result;
+}
+
+/**
+ * LZ-String's core decoder over `values`, each holding bits below
+ * `resetValue` (32 for 6-bit base64), most significant first.
+ */
+function decompress(values, resetValue) {
+  let index = 0;
+  let value = values[index++];
+  let position = resetValue;
+
+  const readBits = (count) => {
+    let bits = 0;
+    for (let power = 1; power < 1 << count; power <<= 1) {
+      if (value & position) bits |= power;
+      position >>= 1;
+      if (position === 0) {
+        position = resetValue;
+        value = values[index++];
+      }
+    }
+    return bits;
+  };
+
+  // Codes 0 and 1 introduce an 8- or 16-bit character, 2 ends the stream
+  const dictionary = [0, 1, 2];
+  let enlargeIn = 4;
+  let numBits = 3;
+
+  const first = readBits(2);
+  if (first === 2) return "";
+  if (first > 2) return null;
+  let word = String.fromCharCode(readBits(first === 0 ? 8 : 16));
+  dictionary[3] = word;
+  const result = [word];
+
+  while (true) {
+    if (index > values.length) return null;
+
+    let code = readBits(numBits);
+    if (code === 0 || code === 1) {
+      dictionary.push(String.fromCharCode(readBits(code === 0 ? 8 : 16)));
+      code = dictionary.length - 1;
+      enlargeIn--;
+    } else if (code === 2) {
+      return result.join("");
+    }
+
+    if (enlargeIn === 0) {
+      enlargeIn = 1 << numBits;
+      numBits++;
+    }
+
+    let entry;
+    if (code < dictionary.length && code > 2) {
+      entry = dictionary[code];
+    } else if (code === dictionary.length) {
+      entry = word + word.charAt(0);
+    } else {
+      return null;
+    }
+    result.push(entry);
+    dictionary.push(word + entry.charAt(0));
+    enlargeIn--;
+    word = entry;
+
+    if (enlargeIn === 0) {
+      enlargeIn = 1 << numBits;
+      numBits++;
+    }
+  }
+}
@@ -0,0 +1,461 @@
+/**
+ * Parse Mermaid flowchart syntax into the same graph shape that
+ * parser.js produces from Excalidraw JSON.
+ *
+ * Node shapes and edge styles are read back through the tables that
+ * converter.js renders with, so `parseMermaid(toMermaid(graph))` yields
+ * an equivalent graph.
+ */
+
+import { SHAPE_BRACKETS, EXPANDED_SHAPES, CONNECTORS } from "./converter.js";
+
+/**
+ * Classic bracket shapes converter.js does not write: cylinders,
+ * parallelograms, trapezoids, hexagons and flags, read as rectangles like
+ * unknown expanded shapes.
+ */
+const OTHER_BRACKETS = [
+  { shape: "rectangle", open: "[(", close: ")]" },
+  { shape: "rectangle", open: "[/", close: "/]" },
+  { shape: "rectangle", open: "[\\", close: "\\]" },
+  { shape: "rectangle", open: "[/", close: "\\]" },
+  { shape: "rectangle", open: "[\\", close: "/]" },
+  { shape: "rectangle", open: "{{", close: "}}" },
+  { shape: "rectangle", open: ">", close: "]" },
+];
+
+/**
+ * Shape openers, longest first so "((" wins over "(".
+ */
+const SHAPE_OPENERS = [
+  ...Object.entries(SHAPE_BRACKETS).map(([shape, [open, close]]) => ({ shape, open, close })),
+  ...OTHER_BRACKETS,
+].sort((a, b) => b.open.length - a.open.length);
+
+/**
+ * Node shape for each shape name in the expanded `A@{ shape: ... }` syntax.
+ */
+const SHAPE_BY_EXPANDED = new Map(
+  Object.entries(EXPANDED_SHAPES).map(([shape, name]) => [name, shape])
+);
+
+/**
+ * Edge style for each connector string.
+ */
+const STYLE_BY_CONNECTOR = new Map(
+  Object.entries(CONNECTORS).map(([style, connector]) => [connector, style])
+);
+
+/**
+ * Excalidraw arrowhead for each head a connector starts or ends in, the
+ * inverse of `HEAD_MARKERS`.
+ */
+const ARROWHEADS = {
+  "<": "arrow",
+  ">": "arrow",
+  o: "circle",
+  x: "bar",
+};
+
+/**
+ * Statements that carry interaction or layout hints this parser ignores.
+ */
+const IGNORED_STATEMENTS = /^(click|direction)\b/;
+
+/**
+ * Node and edge properties for each Mermaid style property.
+ */
+const STYLE_PROPERTIES = {
+  fill: (value) => ({ backgroundColor: value }),
+  stroke: (value) => ({ strokeColor: value }),
+  "stroke-width": (value) => ({ strokeWidth: parseFloat(value) }),
+  "stroke-dasharray": (value) => ({
+    strokeStyle: parseFloat(value) >= 4 ? "dashed" : "dotted",
+  }),
+};
+
+const NODE_ID = /^[\p{L}\p{N}_]+/u;
+const EXPANDED_NODE = /^@\{((?:[^}"]|"[^"]*")*)\}/;
+const EXPANDED_PROPERTY = /([\w-]+)\s*:\s*("[^"]*"|[^,]*)/g;
+const CONNECTOR = /^([<ox])?(-\.+-|-{2,}|={2,})(>|[ox](?![\p{L}\p{N}_]))?/u;
+const INLINE_LABEL = /^([<ox])?(--|==|-\.)\s+(.+?)\s+(-{2,}|={2,}|\.+-)(>|[ox](?![\p{L}\p{N}_]))?(?=[\s\p{L}\p{N}_]|$)/u;
+const PIPE_LABEL = /^\|([^|]*)\|/;
+const INVISIBLE_LINK = /^~{3,}/;
+
+/**
+ * Parse a Mermaid flowchart into nodes, edges, and groups.
+ *
+ * @param {string} text - Mermaid source (`graph` or `flowchart`)
+ * @returns {{ nodes: Map, edges: Array, groups: Map, direction: string }}
+ */
+export function parseMermaid(text) {
+  const nodes = new Map();
+  const edges = [];
+  const links = [];
+  const groups = new Map();
+  const open = [];
+  const classDefs = new Map();
+  const classAssignments = [];
+  const linkStyles = [];
+  const shaped = new Set();
+  let direction = null;
+
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const lineNo = i + 1;
+    const stmt = lines[i].replace(/%%.*$/, "").trim().replace(/;$/, "");
+    if (!stmt) continue;
+
+    if (direction === null) {
+      const header = stmt.match(/^(?:graph|flowchart)(?:\s+(\w+))?$/);
+      if (!header) {
+        throw new Error(`Line ${lineNo}: expected "graph" or "flowchart" header`);
+      }
+      direction = normalizeDirection(header[1]);
+      continue;
+    }
+
+    if (stmt === "end") {
+      if (open.length === 0) {
+        throw new Error(`Line ${lineNo}: "end" without matching "subgraph"`);
+      }
+      open.pop();
+      continue;
+    }
+
+    const sub = stmt.match(/^subgraph\s+(.+)$/);
+    if (sub) {
+      const group = parseSubgraphHeader(sub[1], groups.size);
+      group.parent = open.length > 0 ? open[open.length - 1].id : null;
+      groups.set(group.id, group);
+      open.push(group);
+      continue;
+    }
+
+    const classDef = stmt.match(/^classDef\s+([\w,-]+)\s+(.+)$/);
+    if (classDef) {
+      for (const name of classDef[1].split(",")) {
+        classDefs.set(name, parseStyle(classDef[2]));
+      }
+      continue;
+    }
+
+    const classStmt = stmt.match(/^class\s+([^\s]+)\s+([\w-]+)$/);
+    if (classStmt) {
+      for (const nodeId of classStmt[1].split(",")) {
+        classAssignments.push([nodeId, classStmt[2]]);
+      }
+      continue;
+    }
+
+    const style = stmt.match(/^style\s+([^\s]+)\s+(.+)$/);
+    if (style) {
+      const node = nodes.get(style[1]);
+      if (node) Object.assign(node, parseStyle(style[2]));
+      continue;
+    }
+
+    const linkStyle = stmt.match(/^linkStyle\s+([\d,]+|default)\s+(.+)$/);
+    if (linkStyle) {
+      linkStyles.push([linkStyle[1], parseStyle(linkStyle[2])]);
+      continue;
+    }
+
+    if (IGNORED_STATEMENTS.test(stmt)) continue;
+
+    const current = open[open.length - 1] || null;
+    parseStatement(stmt, lineNo, { nodes, edges, links, current, classAssignments, shaped });
+  }
+
+  if (direction === null) {
+    throw new Error('Expected "graph" or "flowchart" header');
+  }
+
+  // A link to a subgraph's ID ends at the subgraph, like an arrow bound
+  // to a frame, unless that ID is also declared as a node
+  for (const id of groups.keys()) {
+    if (!nodes.has(id) || shaped.has(id)) continue;
+    nodes.delete(id);
+    for (const group of groups.values()) {
+      group.members = group.members.filter((memberId) => memberId !== id);
+    }
+  }
+
+  // Styles may be declared after the nodes and links they apply to
+  for (const [nodeId, name] of classAssignments) {
+    const node = nodes.get(nodeId);
+    if (node && classDefs.has(name)) Object.assign(node, classDefs.get(name));
+  }
+  for (const [indexes, props] of linkStyles) {
+    const targets = indexes === "default"
+      ? edges
+      : indexes.split(",").map((i) => links[Number(i)]).filter(Boolean);
+    for (const edge of targets) Object.assign(edge, props);
+  }
+
+  return { nodes, edges, groups, direction };
+}
+
+/**
+ * Parse Mermaid style properties (`fill:#f00,stroke:#333`) into the node
+ * and edge properties parser.js reads from Excalidraw elements.
+ */
+export function parseStyle(text) {
+  const props = {};
+  for (const part of text.replace(/;$/, "").split(",")) {
+    const colon = part.indexOf(":");
+    if (colon === -1) continue;
+    const key = part.slice(0, colon).trim();
+    const value = part.slice(colon + 1).trim();
+    if (STYLE_PROPERTIES[key]) Object.assign(props, STYLE_PROPERTIES[key](value));
+  }
+  return props;
+}
+
+/**
+ * Normalize a flowchart direction keyword. TB is an alias for TD.
+ */
+function normalizeDirection(dir) {
+  const upper = (dir || "TD").toUpperCase();
+  if (upper === "TB") return "TD";
+  return ["TD", "LR", "BT", "RL"].includes(upper) ? upper : "TD";
+}
+
+/**
+ * Parse the text after `subgraph` into a group.
+ * Accepts `id`, `id[label]`, `id ["label"]` and `"label"`.
+ */
+function parseSubgraphHeader(text, index) {
+  const withLabel = text.match(/^([\p{L}\p{N}_]+)\s*\[(.*)\]$/u);
+  if (withLabel) {
+    return { id: withLabel[1], label: unquoteLabel(withLabel[2]), members: [] };
+  }
+  if (NODE_ID.test(text) && text.match(NODE_ID)[0] === text) {
+    return { id: text, label: "", members: [] };
+  }
+  return { id: `subgraph${index}`, label: unquoteLabel(text), members: [] };
+}
+
+/**
+ * Parse a node declaration or an edge chain such as `A[Start] --> B & C`.
+ */
+function parseStatement(stmt, lineNo, ctx) {
+  const fail = (rest) => {
+    throw new Error(`Line ${lineNo}: cannot parse "${rest.trim()}"`);
+  };
+
+  let rest = stmt;
+  let sources = null;
+  let pending = null;
+
+  while (rest.length > 0) {
+    const refs = [];
+    do {
+      rest = rest.replace(/^&\s*/, "");
+      const ref = readNode(rest);
+      if (!ref) fail(rest);
+      declareNode(ctx, ref);
+      if (ref.className) ctx.classAssignments.push([ref.id, ref.className]);
+      refs.push(ref.id);
+      rest = ref.rest.trimStart();
+    } while (rest.startsWith("&"));
+
+    // Invisible links only steer Mermaid's layout, but count for linkStyle
+    if (sources) {
+      for (const source of sources) {
+        for (const target of refs) {
+          if (pending.invisible) {
+            ctx.links.push(null);
+            continue;
+          }
+          const edge = {
+            id: `e${ctx.edges.length}`,
+            source,
+            target,
+            label: pending.label,
+            style: pending.style,
+            startArrowhead: pending.startArrowhead,
+            endArrowhead: pending.endArrowhead,
+          };
+          ctx.edges.push(edge);
+          ctx.links.push(edge);
+        }
+      }
+    }
+
+    if (rest.length === 0) break;
+
+    pending = readConnector(rest);
+    if (!pending) fail(rest);
+    rest = pending.rest.trimStart();
+    sources = refs;
+  }
+}
+
+/**
+ * Read a node reference with an optional shape and label, in brackets or
+ * as `A@{ shape: rect, label: "Label" }`.
+ */
+function readNode(text) {
+  const idMatch = text.match(NODE_ID);
+  if (!idMatch) return null;
+
+  const id = idMatch[0];
+  const rest = text.slice(id.length);
+
+  const expanded = rest.match(EXPANDED_NODE);
+  if (expanded) {
+    const props = {};
+    for (const [, key, value] of expanded[1].matchAll(EXPANDED_PROPERTY)) {
+      props[key] = value.trim();
+    }
+    // Shapes this tool never writes are drawn as rectangles
+    const shape = SHAPE_BY_EXPANDED.get(props.shape) || "rectangle";
+    const label = props.label === undefined ? id : unquoteLabel(props.label);
+    return { id, shape, label, ...readClassName(rest.slice(expanded[0].length)) };
+  }
+
+  // Only the longest openers that match count, so an unclosed `{{` is an
+  // error rather than a `{` label; of those, the one closing first wins,
+  // so `[/a/]` is not read up to a later `\]`
+  let longest = 0;
+  let best = null;
+  for (const opener of SHAPE_OPENERS) {
+    if (!rest.startsWith(opener.open) || opener.open.length < longest) continue;
+    longest = opener.open.length;
+    const end = findClose(rest.slice(opener.open.length), opener.close);
+    if (end !== -1 && (!best || end < best.end)) best = { ...opener, end };
+  }
+  if (longest === 0) return { id, shape: null, label: null, ...readClassName(rest) };
+  if (!best) return null;
+
+  const body = rest.slice(best.open.length);
+  const label = unquoteLabel(body.slice(0, best.end));
+  return { id, shape: best.shape, label, ...readClassName(body.slice(best.end + best.close.length)) };
+}
+
+/**
+ * Index of a shape's closing bracket in the text after its opener, past
+ * a quoted label, or -1.
+ */
+function findClose(body, close) {
+  if (!body.startsWith('"')) return body.indexOf(close);
+  const closeQuote = body.indexOf('"', 1);
+  return closeQuote === -1 ? -1 : body.indexOf(close, closeQuote + 1);
+}
+
+/**
+ * Read an optional `:::className` suffix after a node.
+ */
+function readClassName(text) {
+  const match = text.match(/^:::([\w-]+)/);
+  if (!match) return { className: null, rest: text };
+  return { className: match[1], rest: text.slice(match[0].length) };
+}
+
+/**
+ * Read a connector with an optional `|label|` or inline `-- label -->` text.
+ * Heads at either end (`<-->`, `--o`, `x-.-x`) become the edge's
+ * arrowheads.
+ */
+function readConnector(text) {
+  const invisible = text.match(INVISIBLE_LINK);
+  if (invisible) return { invisible: true, rest: text.slice(invisible[0].length) };
+
+  const inline = text.match(INLINE_LABEL);
+  if (inline) {
+    const [whole, start, opener, label, tail, end] = inline;
+    const line = tail.startsWith(".") ? `-${tail}` : tail;
+    const style = connectorStyle(line, end);
+    if (!style || (start && !end) || line[0] !== opener[0]) return null;
+    return {
+      style,
+      label: unquoteLabel(label),
+      ...connectorHeads(start, end),
+      rest: text.slice(whole.length),
+    };
+  }
+
+  const match = text.match(CONNECTOR);
+  if (!match) return null;
+
+  const [whole, start, line, end] = match;
+  const style = connectorStyle(line, end);
+  if (!style || (start && !end)) return null;
+
+  let rest = text.slice(whole.length).trimStart();
+  let label = "";
+  const pipe = rest.match(PIPE_LABEL);
+  if (pipe) {
+    label = unquoteLabel(pipe[1]);
+    rest = rest.slice(pipe[0].length);
+  }
+  return { style, label, ...connectorHeads(start, end), rest };
+}
+
+/**
+ * Edge style of a connector's line (`--`, `-..-`, `===`) with or without
+ * an end head.
+ */
+function connectorStyle(line, end) {
+  return STYLE_BY_CONNECTOR.get(normalizeConnector(end ? `${line}>` : line));
+}
+
+/**
+ * Arrowheads for the heads a connector starts and ends in.
+ */
+function connectorHeads(start, end) {
+  return {
+    startArrowhead: start ? ARROWHEADS[start] : null,
+    endArrowhead: end ? ARROWHEADS[end] : null,
+  };
+}
+
+/**
+ * Collapse lengthened connectors (`--->`, `-..->`, `====`) to their
+ * canonical form.
+ */
+function normalizeConnector(raw) {
+  return raw
+    .replace(/\.{2,}/g, ".")
+    .replace(/^-{3,}>$/, "-->")
+    .replace(/^-{4,}$/, "---")
+    .replace(/^={3,}>$/, "==>")
+    .replace(/^={4,}$/, "===");
+}
+
+/**
+ * Register a node, or update the label and shape of one seen before.
+ * A node belongs to the subgraph it first appears in.
+ */
+function declareNode(ctx, ref) {
+  if (ref.shape) ctx.shaped.add(ref.id);
+  const existing = ctx.nodes.get(ref.id);
+  if (existing) {
+    if (ref.shape) {
+      existing.shape = ref.shape;
+      existing.label = ref.label;
+    }
+    return;
+  }
+
+  ctx.nodes.set(ref.id, {
+    id: ref.id,
+    label: ref.shape ? ref.label : ref.id,
+    shape: ref.shape || "rectangle",
+  });
+  if (ctx.current) {
+    ctx.current.members.push(ref.id);
+  }
+}
+
+/**
+ * Undo the quoting applied by `quoteLabel`.
+ */
+export function unquoteLabel(raw) {
+  let text = raw.trim();
+  if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) {
+    text = text.slice(1, -1);
+  }
+  return text.replace(/#quot;/g, '"').replace(/<br\s*\/?>/gi, "\n");
+}
@@ -0,0 +1,196 @@
+/**
+ * Convert a parsed domain model into Mermaid classDiagram or erDiagram
+ * syntax.
+ */
+
+import { assignLabelIds } from "./converter.js";
+
+/**
+ * classDiagram relation marker for each Excalidraw arrowhead, as written
+ * on the source (start) and target (end) side of the link.
+ */
+export const CLASS_MARKERS = {
+  triangle: ["<|", "|>"],
+  triangle_outline: ["<|", "|>"],
+  diamond: ["*", "*"],
+  diamond_outline: ["o", "o"],
+  arrow: ["<", ">"],
+};
+
+/**
+ * Multiplicity implied by an arrowhead when no end label is written.
+ */
+export const HEAD_MULTIPLICITY = {
+  bar: "1",
+  crowfoot_one: "1",
+  dot: "0..1",
+  circle: "0..1",
+  circle_outline: "0..1",
+  crowfoot_many: "0..*",
+  crowfoot_one_or_many: "1..*",
+};
+
+/**
+ * Convert a parsed model to a Mermaid classDiagram string.
+ *
+ * @param {{ classes: Array, relations: Array }} model
+ * @returns {string}
+ */
+export function toClassDiagram(model) {
+  const { classes, relations } = model;
+  const lines = ["classDiagram"];
+  const idMap = assignLabelIds(classes.map(({ id, name }) => ({ id, label: name })));
+
+  for (const cls of classes) {
+    const id = idMap.get(cls.id);
+    const head = cls.name && cls.name !== id ? `class ${id}["${escapeName(cls.name)}"]` : `class ${id}`;
+    const body = [
+      ...(cls.annotation ? [`<<${cls.annotation}>>`] : []),
+      ...cls.attributes,
+      ...cls.methods,
+    ];
+    if (body.length === 0) {
+      lines.push(`    ${head}`);
+      continue;
+    }
+    lines.push(`    ${head} {`);
+    for (const member of body) lines.push(`        ${member}`);
+    lines.push("    }");
+  }
+
+  for (const relation of relations) {
+    const from = idMap.get(relation.source);
+    const to = idMap.get(relation.target);
+    if (!from || !to) continue;
+
+    const left = CLASS_MARKERS[relation.startArrowhead]?.[0] || "";
+    const right = CLASS_MARKERS[relation.endArrowhead]?.[1] || "";
+    const link = `${left}${isDashed(relation) ? ".." : "--"}${right}`;
+
+    const startLabel = multiplicityOf(relation.startLabel, relation.startArrowhead);
+    const endLabel = multiplicityOf(relation.endLabel, relation.endArrowhead);
+    let line = `    ${from}${startLabel ? ` "${startLabel}"` : ""} ${link}${endLabel ? ` "${endLabel}"` : ""} ${to}`;
+    if (relation.label) line += ` : ${relation.label.replace(/\n/g, " ")}`;
+    lines.push(line);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Convert a parsed model to a Mermaid erDiagram string.
+ *
+ * Each end's cardinality comes from its multiplicity label or arrowhead,
+ * and is "exactly one" when neither says otherwise. Dashed relations are
+ * non-identifying.
+ *
+ * @param {{ classes: Array, relations: Array }} model
+ * @returns {string}
+ */
+export function toErDiagram(model) {
+  const { classes, relations } = model;
+  const lines = ["erDiagram"];
+  const idMap = assignLabelIds(classes.map(({ id, name }) => ({ id, label: name })));
+
+  for (const entity of classes) {
+    const id = idMap.get(entity.id);
+    const head = entity.name && entity.name !== id ? `${id}["${escapeName(entity.name)}"]` : id;
+    if (entity.attributes.length === 0) {
+      lines.push(`    ${head}`);
+      continue;
+    }
+    lines.push(`    ${head} {`);
+    for (const attribute of entity.attributes) {
+      lines.push(`        ${renderAttribute(attribute)}`);
+    }
+    lines.push("    }");
+  }
+
+  for (const relation of relations) {
+    const from = idMap.get(relation.source);
+    const to = idMap.get(relation.target);
+    if (!from || !to) continue;
+
+    const [startMax, startMin] = cardinality(multiplicityOf(relation.startLabel, relation.startArrowhead));
+    const [endMax, endMin] = cardinality(multiplicityOf(relation.endLabel, relation.endArrowhead));
+    const left = `${startMax ? "}" : "|"}${startMin}`;
+    const right = `${endMin}${endMax ? "{" : "|"}`;
+    const link = isDashed(relation) ? ".." : "--";
+    lines.push(`    ${from} ${left}${link}${right} ${to} : ${renderRelationLabel(relation.label)}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * An end's multiplicity: its label, or the one its arrowhead implies.
+ */
+function multiplicityOf(label, arrowhead) {
+  return label || HEAD_MULTIPLICITY[arrowhead] || "";
+}
+
+/**
+ * Read a multiplicity ("0..1", "1..*", "*") as [many, minimum marker],
+ * where the marker is "o" for zero and "|" for one.
+ */
+function cardinality(multiplicity) {
+  if (!multiplicity) return [false, "|"];
+  const [min, max = min] = multiplicity.split("..").map((part) => part.trim());
+  const many = !/^\d+$/.test(max) || Number(max) > 1;
+  const optional = min === "0" || (min === max && !/^\d+$/.test(min));
+  return [many, optional ? "o" : "|"];
+}
+
+/**
+ * Render an attribute line as `type name [keys]`. Accepts `name: type`,
+ * `type name` and a bare name (typed as `string`), each with optional
+ * visibility prefix and trailing PK/FK/UK keys.
+ */
+function renderAttribute(line) {
+  const words = line.replace(/^[+\-#~]\s*/, "").split(/\s+/);
+  const keys = [];
+  while (words.length > 1 && /^(PK|FK|UK),?$/i.test(words[words.length - 1])) {
+    keys.unshift(words.pop().replace(/,$/, "").toUpperCase());
+  }
+
+  const text = words.join(" ");
+  const typed = text.match(/^(.+?)\s*:\s*(.+)$/);
+  let type;
+  let name;
+  if (typed) {
+    [, name, type] = typed;
+  } else if (words.length === 2) {
+    [type, name] = words;
+  } else {
+    [type, name] = ["string", text];
+  }
+
+  const attribute = `${toWord(type)} ${toWord(name)}`;
+  return keys.length > 0 ? `${attribute} ${keys.join(",")}` : attribute;
+}
+
+/**
+ * Quote a relationship label unless it is a single word.
+ */
+function renderRelationLabel(label) {
+  const text = (label || "").replace(/\n/g, " ").replace(/"/g, "'");
+  return /^\w+$/.test(text) ? text : `"${text}"`;
+}
+
+/**
+ * Make a type or attribute name a single Mermaid word.
+ */
+function toWord(text) {
+  return text.trim().replace(/[^\w[\]()-]+/g, "_");
+}
+
+/**
+ * Escape a display name for `["..."]`.
+ */
+function escapeName(name) {
+  return name.replace(/"/g, "#quot;").replace(/\n/g, " ");
+}
+
+function isDashed(relation) {
+  return relation.style === "dotted" || relation.style === "dotted-line";
+}
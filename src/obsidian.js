@@ -0,0 +1,98 @@
+/**
+ * Read drawings saved by the Obsidian Excalidraw plugin (`.excalidraw.md`):
+ * Markdown with front matter, a `Text Elements` section holding each text
+ * element's source text, and a `Drawing` section with the scene as a
+ * `json` or LZ-String `compressed-json` code block.
+ */
+
+import { decompressFromBase64 } from "./lz-string.js";
+
+const DRAWING_BLOCK = /^#{1,2} Drawing[ \t]*\r?\n+```(compressed-json|json)[ \t]*\r?\n([\s\S]*?)\r?\n```/m;
+const SECTION_END = /^(?:#{1,6} |%%)/m;
+const TEXT_ELEMENT = /([\s\S]*?) \^([\w-]+)[ \t]*(?:\r?\n|$)/g;
+const ELEMENT_LINK = /^([\w-]+):\s*(.+?)\s*$/gm;
+const WIKI_LINK = /\[\[([^\]|#]*)(#[^\]|]*)?(?:\|([^\]]*))?\]\]/g;
+
+/**
+ * Whether a file's contents are an Obsidian Excalidraw drawing.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isObsidianDrawing(text) {
+  return DRAWING_BLOCK.test(text);
+}
+
+/**
+ * Parse the scene out of an Obsidian Excalidraw drawing.
+ *
+ * Text elements take their text from the `Text Elements` section, where
+ * the plugin keeps the source. A wiki-link (`[[Page]]`, `[[Page|Alias]]`)
+ * there is shown as its page name or alias and becomes the element's
+ * `link`, as do the entries of an `Element Links` section.
+ *
+ * @param {string} text - Markdown source
+ * @returns {object} Parsed Excalidraw document
+ */
+export function readObsidian(text) {
+  const drawing = text.match(DRAWING_BLOCK);
+  if (!drawing) throw new Error("No Excalidraw drawing found in Markdown");
+
+  const [, format, body] = drawing;
+  const json = format === "compressed-json" ? decompressFromBase64(body) : body;
+  const doc = JSON.parse(json);
+  const byId = new Map((doc.elements || []).map((el) => [el.id, el]));
+
+  for (const [id, source] of readTextElements(text)) {
+    const el = byId.get(id);
+    if (!el || el.type !== "text") continue;
+
+    const links = [...source.matchAll(WIKI_LINK)];
+    if (links.length === 0) {
+      if (!el.text) el.text = source;
+      continue;
+    }
+    const shown = source.replace(WIKI_LINK, (match, page, heading, alias) => alias || page + (heading || ""));
+    el.text = shown;
+    el.originalText = shown;
+    el.link ??= links[0][0];
+  }
+
+  for (const [id, link] of readElementLinks(text)) {
+    const el = byId.get(id);
+    if (el && !el.link) el.link = link;
+  }
+
+  return doc;
+}
+
+/**
+ * Source text of each text element, by element ID. Entries are
+ * `text ^id`, separated by blank lines; the text may span lines.
+ */
+function readTextElements(text) {
+  const section = readSection(text, "Text Elements");
+  const entries = new Map();
+  for (const [, source, id] of section.matchAll(TEXT_ELEMENT)) {
+    entries.set(id, source.replace(/^\s+/, ""));
+  }
+  return entries;
+}
+
+/**
+ * `id: link` entries of the `Element Links` section.
+ */
+function readElementLinks(text) {
+  return [...readSection(text, "Element Links").matchAll(ELEMENT_LINK)].map(([, id, link]) => [id, link]);
+}
+
+/**
+ * Body of a `#` or `##` section, up to the next heading or `%%`.
+ */
+function readSection(text, title) {
+  const heading = new RegExp(`^#{1,2} ${title}[ \\t]*\\r?\\n`, "m").exec(text);
+  if (!heading) return "";
+  const rest = text.slice(heading.index + heading[0].length);
+  const end = rest.search(SECTION_END);
+  return end === -1 ? rest : rest.slice(0, end);
+}
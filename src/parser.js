@@ -5,6 +5,8 @@
  * and groups (frames or grouped elements).
  */
 
+import { createWarning } from "./warnings.js";
+
 /**
  * Shape types that represent graph nodes.
  */
@@ -15,13 +17,59 @@ const NODE_TYPES = new Set(["rectangle", "ellipse", "diamond"]);
  */
 const EDGE_TYPES = new Set(["arrow", "line"]);
 
+/**
+ * How far (in scene pixels) an unbound arrow end may sit from a shape
+ * and still be attached to it.
+ */
+export const DEFAULT_BINDING_TOLERANCE = 24;
+
+/**
+ * How far (in scene pixels) a free-floating text element may sit from an
+ * unlabeled shape or arrow and still become its label.
+ */
+export const DEFAULT_LABEL_TOLERANCE = 40;
+
+/**
+ * How many times longer than wide an ellipse is drawn to read as a stadium.
+ */
+export const STADIUM_RATIO = 1.5;
+
+/**
+ * Lines of dashes, underscores, equals signs or box-drawing rules that
+ * divide a label into compartments.
+ */
+const SEPARATOR = /^[-_=\u2500\u2014]{2,}$/;
+
+/**
+ * A UML stereotype line such as `<<interface>>`.
+ */
+const ANNOTATION = /^(?:<<|\u00ab)(.+?)(?:>>|\u00bb)$/;
+
+/**
+ * Multiplicities written at an arrow's end: 1, *, n, 0..1, 1..*, 2..n.
+ */
+const MULTIPLICITY = /^(?:\d+|\*|[nm])(?:\s*\.\.\s*(?:\d+|\*|[nm]))?$/i;
+
 /**
  * Parse an Excalidraw document into nodes, edges, and groups.
  *
  * @param {object} doc - Parsed Excalidraw JSON
- * @returns {{ nodes: Map, edges: Array, groups: Map, direction: string }}
+ * @param {object} [options]
+ * @param {boolean} [options.inferBindings=true] - Attach unbound arrow ends to nearby shapes
+ * @param {number} [options.bindingTolerance] - Max distance from a shape for an inferred end
+ * @param {boolean} [options.attachText=true] - Use unbound text near shapes and arrows as labels
+ * @param {number} [options.labelTolerance] - Max distance from a shape or arrow for such text
+ * @param {boolean} [options.groupEdges=false] - Keep arrows bound to frames and dashed containers, with the group's ID as their end
+ * @returns {{ nodes: Map, edges: Array, groups: Map, direction: string, unattachedText: Array, warnings: Array }}
  */
-export function parseDocument(doc) {
+export function parseDocument(doc, options = {}) {
+  const {
+    inferBindings = true,
+    bindingTolerance = DEFAULT_BINDING_TOLERANCE,
+    attachText = true,
+    labelTolerance = DEFAULT_LABEL_TOLERANCE,
+    groupEdges = false,
+  } = options;
   const elements = (doc.elements || []).filter((el) => !el.isDeleted);
 
   // Build element lookup
@@ -30,18 +78,43 @@ export function parseDocument(doc) {
     byId.set(el.id, el);
   }
 
-  // Extract bound text for each container
+  const warnings = [];
+
+  // Extract bound text (and any link on it) for each container
   const textByContainer = new Map();
+  const linkByContainer = new Map();
   for (const el of elements) {
     if (el.type === "text" && el.containerId) {
-      textByContainer.set(el.containerId, el.text || el.originalText || "");
+      if (!byId.has(el.containerId)) {
+        warnings.push(createWarning("missing-container", `Text "${preview(textOf(el))}" is bound to a missing container`, el));
+      }
+      textByContainer.set(el.containerId, textOf(el));
+      if (el.link) linkByContainer.set(el.containerId, el.link);
     }
   }
 
+  // Dashed rectangles drawn around other shapes are containers, read like
+  // frames, when labeled or an arrow ends at them; bare ones are decoration
+  const arrowEnds = new Set(
+    elements
+      .filter((el) => EDGE_TYPES.has(el.type))
+      .flatMap((el) => [el.startBinding?.elementId, el.endBinding?.elementId])
+  );
+  const containers = elements
+    .filter(
+      (el) =>
+        el.type === "rectangle" &&
+        el.strokeStyle === "dashed" &&
+        (textByContainer.has(el.id) || arrowEnds.has(el.id)) &&
+        elements.some((other) => other !== el && NODE_TYPES.has(other.type) && encloses(el, other))
+    )
+    .map((el) => ({ ...el, type: "frame", name: textByContainer.get(el.id) || "", isContainer: true }));
+  const containerIds = new Set(containers.map((container) => container.id));
+
   // Extract nodes
   const nodes = new Map();
   for (const el of elements) {
-    if (!NODE_TYPES.has(el.type)) continue;
+    if (!NODE_TYPES.has(el.type) || containerIds.has(el.id)) continue;
 
     const label = textByContainer.get(el.id) || "";
 
@@ -56,6 +129,7 @@ export function parseDocument(doc) {
       id: el.id,
       label,
       shape,
+      elementType: el.type,
       x: el.x,
       y: el.y,
       width: el.width || 0,
@@ -64,20 +138,54 @@ export function parseDocument(doc) {
       strokeColor: el.strokeColor,
       backgroundColor: el.backgroundColor,
       groupIds: el.groupIds || [],
+      frameId: el.frameId || null,
+      customId: el.customData?.mermaidId ?? null,
+      link: el.link || linkByContainer.get(el.id) || null,
     });
   }
 
   // Extract edges
-  const edges = [];
+  const isEnd = (id) => nodes.has(id) || (groupEdges && (byId.get(id)?.type === "frame" || containerIds.has(id)));
+  let edges = [];
   for (const el of elements) {
     if (!EDGE_TYPES.has(el.type)) continue;
 
-    const startId = el.startBinding?.elementId;
-    const endId = el.endBinding?.elementId;
+    let startId = el.startBinding?.elementId;
+    let endId = el.endBinding?.elementId;
+    let inferred = false;
+
+    // Hand-drawn arrows often stop near a shape without binding to it.
+    // Lines are left alone, since dividers and underlines end near shapes too
+    if (inferBindings && el.type === "arrow" && (!startId || !endId)) {
+      const ends = arrowEndpoints(el);
+      if (ends) {
+        if (!startId) startId = findNodeNear(ends.start, nodes, bindingTolerance);
+        if (!endId) endId = findNodeNear(ends.end, nodes, bindingTolerance);
+        inferred = true;
+      }
+    }
 
-    // Only include edges that connect two known nodes
-    if (!startId || !endId) continue;
-    if (!nodes.has(startId) || !nodes.has(endId)) continue;
+    // Only include edges that connect two known nodes (or frames).
+    // Unbound lines are usually decoration, so only arrows are reported
+    if (!startId || !endId) {
+      if (el.type === "arrow") {
+        const ends = [!startId && "start", !endId && "end"].filter(Boolean).join(" and ");
+        warnings.push(createWarning("unbound-arrow", `Arrow has an unbound ${ends} and was dropped`, el));
+      }
+      continue;
+    }
+    // An arrow drawn across a single shape attaches both ends to it
+    if (inferred && startId === endId) {
+      if (el.type === "arrow") {
+        warnings.push(createWarning("self-loop", "Arrow starts and ends at the same shape and was dropped", el));
+      }
+      continue;
+    }
+    if (!isEnd(startId) || !isEnd(endId)) {
+      const [end, id] = isEnd(startId) ? ["end", endId] : ["start", startId];
+      warnings.push(createWarning("arrow-to-non-node", `Arrow ${end} is bound to ${describeElement(byId.get(id))} and was dropped`, el));
+      continue;
+    }
 
     // Get arrow label (bound text on the arrow itself)
     const label = textByContainer.get(el.id) || "";
@@ -90,27 +198,305 @@ export function parseDocument(doc) {
       target: endId,
       label,
       style,
+      inferred,
+      strokeColor: el.strokeColor,
+      strokeWidth: el.strokeWidth,
+      startArrowhead: el.startArrowhead ?? null,
+      endArrowhead: el.endArrowhead ?? null,
     });
   }
 
+  // Attach free-floating text to the nearest unlabeled node or edge
+  const freeText = elements.filter(
+    (el) => el.type === "text" && !el.containerId && textOf(el).trim()
+  );
+  const attached = attachText
+    ? attachFreeText(freeText, nodes, edges, byId, labelTolerance)
+    : new Set();
+  const unattachedText = freeText
+    .filter((el) => !attached.has(el.id))
+    .map((el) => ({ id: el.id, text: textOf(el), x: el.x, y: el.y }));
+  for (const text of unattachedText) {
+    warnings.push(createWarning("unattached-text", `Text "${preview(text.text)}" is not near any shape or arrow`, text));
+  }
+  for (const node of nodes.values()) {
+    if (!node.label.trim()) warnings.push(createWarning("empty-label", "Shape has no label", node, false));
+  }
+
   // Detect groups (frames or groupIds)
-  const groups = extractGroups(elements, nodes, byId);
+  const groups = extractGroups(elements, nodes, containers);
+  if (groupEdges) {
+    const isGroupEnd = (id) => nodes.has(id) || groups.has(id);
+    edges = edges.filter((edge) => {
+      if (isGroupEnd(edge.source) && isGroupEnd(edge.target)) return true;
+      warnings.push(createWarning("arrow-to-non-node", "Arrow is bound to a frame or container with no shapes and was dropped", byId.get(edge.id)));
+      return false;
+    });
+  }
+
+  // Detect flow direction, with arrows to a frame or container measured
+  // to its bounds
+  const groupBounds = new Map(
+    [...groups.keys()].filter((id) => byId.has(id)).map((id) => [id, byId.get(id)])
+  );
+  const direction = detectDirection(nodes, edges, groupBounds);
+
+  return { nodes, edges, groups, direction, unattachedText, warnings };
+}
+
+/**
+ * Recognize a sequence-style sketch: labeled boxes across the top
+ * (participants), vertical lines beneath them (lifelines), and arrows
+ * between the lifelines (messages), ordered top to bottom.
+ *
+ * Without any lifelines, the top row of boxes are the participants.
+ *
+ * @param {object} doc - Parsed Excalidraw JSON
+ * @param {object} [options] - Same options as `parseDocument`
+ * @returns {{ participants: Array, messages: Array, unattachedText: Array, warnings: Array }}
+ */
+export function parseSequence(doc, options = {}) {
+  const { labelTolerance = DEFAULT_LABEL_TOLERANCE, attachText = true } = options;
+  const graph = parseDocument(doc, { ...options, inferBindings: false });
+  const elements = (doc.elements || []).filter((el) => !el.isDeleted);
+  const byId = new Map(elements.map((el) => [el.id, el]));
+
+  // Lifelines: mostly-vertical lines, each hanging from the box above it
+  const participants = [];
+  const lifelineOwner = new Map();
+  for (const el of elements) {
+    if (el.type !== "line") continue;
+    const ends = arrowEndpoints(el);
+    if (!ends) continue;
+    const dx = Math.abs(ends.end.x - ends.start.x);
+    const dy = Math.abs(ends.end.y - ends.start.y);
+    if (dy < 40 || dx * 4 > dy) continue;
+
+    const x = (ends.start.x + ends.end.x) / 2;
+    const top = Math.min(ends.start.y, ends.end.y);
+    const owner = findBoxAbove({ x, y: top }, graph.nodes);
+    if (!owner) continue;
+
+    lifelineOwner.set(el.id, owner.id);
+    if (!participants.some((p) => p.id === owner.id)) {
+      participants.push({ id: owner.id, label: owner.label, x });
+    }
+  }
+
+  if (participants.length === 0) {
+    const boxes = [...graph.nodes.values()];
+    const topRow = Math.min(...boxes.map((node) => node.y + node.height / 2));
+    for (const node of boxes) {
+      if (Math.abs(node.y + node.height / 2 - topRow) <= node.height / 2) {
+        participants.push({ id: node.id, label: node.label, x: node.x + node.width / 2 });
+      }
+    }
+  }
+  participants.sort((a, b) => a.x - b.x);
+
+  // Messages: arrows whose ends are each nearest to a participant's lifeline
+  const boundText = new Map();
+  for (const el of elements) {
+    if (el.type === "text" && el.containerId) boundText.set(el.containerId, textOf(el));
+  }
+  const participantOf = (binding, point) => {
+    const bound = binding?.elementId;
+    const boundId = lifelineOwner.get(bound) || bound;
+    if (participants.some((p) => p.id === boundId)) return boundId;
+    let best = null;
+    for (const p of participants) {
+      if (!best || Math.abs(point.x - p.x) < Math.abs(point.x - best.x)) best = p;
+    }
+    return best?.id ?? null;
+  };
+
+  const messages = [];
+  for (const el of elements) {
+    if (el.type !== "arrow") continue;
+    const ends = arrowEndpoints(el);
+    if (!ends) continue;
+
+    const source = participantOf(el.startBinding, ends.start);
+    const target = participantOf(el.endBinding, ends.end);
+    if (!source || !target) continue;
+
+    messages.push({
+      id: el.id,
+      source,
+      target,
+      label: boundText.get(el.id) || "",
+      style: mapArrowStyle(el),
+      y: Math.min(ends.start.y, ends.end.y),
+    });
+  }
+  messages.sort((a, b) => a.y - b.y);
+
+  // Text written above a message arrow is its label
+  const freeText = graph.unattachedText.map(({ id }) => byId.get(id));
+  const attached = attachText
+    ? attachFreeText(freeText, new Map(), messages, byId, labelTolerance)
+    : new Set();
+  const unattachedText = graph.unattachedText.filter(({ id }) => !attached.has(id));
+
+  // Arrows here need not be bound, so only text warnings apply
+  const warnings = settleWarnings(graph.warnings, attached, graph.nodes).filter(
+    ({ code }) => code === "unattached-text" || code === "missing-container"
+  );
+
+  return { participants, messages, unattachedText, warnings };
+}
+
+/**
+ * Recognize a domain-model sketch: boxes whose label is a name, a
+ * separator line, then one member per line, joined by relation arrows.
+ *
+ * Free text next to an arrow's end that reads as a multiplicity ("1",
+ * "0..1", "1..*", "*") becomes that end's `startLabel` or `endLabel`.
+ *
+ * @param {object} doc - Parsed Excalidraw JSON
+ * @param {object} [options] - Same options as `parseDocument`
+ * @returns {{ classes: Array, relations: Array, unattachedText: Array, warnings: Array }}
+ */
+export function parseModel(doc, options = {}) {
+  const { labelTolerance = DEFAULT_LABEL_TOLERANCE, attachText = true } = options;
+  const graph = parseDocument(doc, { ...options, attachText: false });
+  const elements = (doc.elements || []).filter((el) => !el.isDeleted);
+  const byId = new Map(elements.map((el) => [el.id, el]));
+
+  const freeText = graph.unattachedText.map(({ id }) => byId.get(id));
+  const attached = new Set();
+  if (attachText) {
+    for (const id of attachEndLabels(freeText, graph.edges, byId, labelTolerance)) {
+      attached.add(id);
+    }
+    const rest = freeText.filter((el) => !attached.has(el.id));
+    for (const id of attachFreeText(rest, graph.nodes, graph.edges, byId, labelTolerance)) {
+      attached.add(id);
+    }
+  }
+
+  const classes = [...graph.nodes.values()].map((node) => ({
+    id: node.id,
+    ...parseCompartments(node.label),
+  }));
+  const relations = graph.edges.map((edge) => ({
+    startLabel: "",
+    endLabel: "",
+    ...edge,
+  }));
+  const unattachedText = graph.unattachedText.filter(({ id }) => !attached.has(id));
+  const warnings = settleWarnings(graph.warnings, attached, graph.nodes);
+
+  return { classes, relations, unattachedText, warnings };
+}
+
+/**
+ * Split a compartmented label into a name, an optional `<<annotation>>`,
+ * attributes and methods.
+ *
+ * With two or more separators the compartments are name, attributes and
+ * methods, as in UML. Otherwise members with parentheses are methods.
+ */
+export function parseCompartments(label) {
+  const sections = [[]];
+  for (const raw of (label || "").split("\n")) {
+    const line = raw.trim();
+    if (SEPARATOR.test(line)) {
+      sections.push([]);
+    } else if (line) {
+      sections[sections.length - 1].push(line);
+    }
+  }
+
+  const [head, ...body] = sections;
+  const annotationLine = head.find((line) => ANNOTATION.test(line));
+  const [name = "", ...extra] = head.filter((line) => line !== annotationLine);
+  const annotation = annotationLine ? annotationLine.match(ANNOTATION)[1].trim() : "";
+
+  if (body.length >= 2) {
+    return {
+      name,
+      annotation,
+      attributes: [...extra, ...body[0]],
+      methods: body.slice(1).flat(),
+    };
+  }
+
+  const members = [...extra, ...(body[0] || [])];
+  return {
+    name,
+    annotation,
+    attributes: members.filter((line) => !line.includes("(")),
+    methods: members.filter((line) => line.includes("(")),
+  };
+}
+
+/**
+ * Assign multiplicity text to the nearest free arrow end within the
+ * tolerance, closest pairs first. Returns the IDs of the text used.
+ */
+function attachEndLabels(texts, edges, byId, tolerance) {
+  const candidates = [];
+  for (const el of texts) {
+    if (!MULTIPLICITY.test(textOf(el).trim())) continue;
+    const point = {
+      x: el.x + (el.width || 0) / 2,
+      y: el.y + (el.height || 0) / 2,
+    };
+    for (const edge of edges) {
+      const ends = arrowEndpoints(byId.get(edge.id));
+      if (!ends) continue;
+      for (const [key, end] of [["startLabel", ends.start], ["endLabel", ends.end]]) {
+        const distance = Math.hypot(point.x - end.x, point.y - end.y);
+        if (distance <= tolerance) candidates.push({ el, edge, key, distance });
+      }
+    }
+  }
 
-  // Detect flow direction
-  const direction = detectDirection(nodes, edges);
+  candidates.sort((a, b) => a.distance - b.distance);
+  const used = new Set();
+  for (const { el, edge, key } of candidates) {
+    if (used.has(el.id) || edge[key]) continue;
+    edge[key] = textOf(el).trim();
+    used.add(el.id);
+  }
+  return used;
+}
 
-  return { nodes, edges, groups, direction };
+/**
+ * Find the box directly above a point, such as the participant a lifeline
+ * hangs from. The line may start inside the box's lower half.
+ */
+function findBoxAbove(point, nodes) {
+  let best = null;
+  let bestGap = Infinity;
+  for (const node of nodes.values()) {
+    if (point.x < node.x || point.x > node.x + node.width) continue;
+    const gap = point.y - (node.y + node.height);
+    if (gap < -node.height / 2 || gap > DEFAULT_BINDING_TOLERANCE) continue;
+    if (Math.abs(gap) < bestGap) {
+      best = node;
+      bestGap = Math.abs(gap);
+    }
+  }
+  return best;
 }
 
 /**
- * Map an Excalidraw element to a Mermaid node shape type.
+ * Map an Excalidraw element to a Mermaid node shape type. Ellipses are
+ * circles, stadiums when drawn at least `STADIUM_RATIO` times longer than
+ * they are wide, and double circles when dashed.
  */
 export function mapShape(el) {
   switch (el.type) {
     case "diamond":
       return "diamond";
-    case "ellipse":
-      return "circle";
+    case "ellipse": {
+      if (el.strokeStyle === "dashed") return "double-circle";
+      const long = Math.max(el.width || 0, el.height || 0);
+      const short = Math.min(el.width || 0, el.height || 0);
+      return short > 0 && long >= short * STADIUM_RATIO ? "stadium" : "circle";
+    }
     case "rectangle":
       if (el.roundness && el.roundness.type) {
         return "rounded";
@@ -125,66 +511,341 @@ export function mapShape(el) {
 }
 
 /**
- * Map an Excalidraw arrow to a Mermaid edge style.
+ * Map an Excalidraw arrow to a Mermaid edge style. A head at either end
+ * makes it an arrow; which heads it has is kept on the edge.
  */
 export function mapArrowStyle(el) {
-  const hasEnd = el.endArrowhead != null && el.endArrowhead !== "none";
+  const hasHead = [el.startArrowhead, el.endArrowhead].some((head) => head != null && head !== "none");
   const isDashed =
     el.strokeStyle === "dashed" || el.strokeStyle === "dotted";
   const isThick = (el.strokeWidth || 1) >= 4;
 
   if (isThick) {
-    return hasEnd ? "thick" : "thick-line";
+    return hasHead ? "thick" : "thick-line";
   }
   if (isDashed) {
-    return hasEnd ? "dotted" : "dotted-line";
+    return hasHead ? "dotted" : "dotted-line";
   }
-  if (hasEnd) {
+  if (hasHead) {
     return "arrow";
   }
   return "line";
 }
 
 /**
- * Extract groups from frames and groupIds.
+ * Absolute scene coordinates of an arrow's first and last points.
+ */
+export function arrowEndpoints(el) {
+  const points = el.points;
+  if (!Array.isArray(points) || points.length < 2) return null;
+  const first = points[0];
+  const last = points[points.length - 1];
+  return {
+    start: { x: el.x + first[0], y: el.y + first[1] },
+    end: { x: el.x + last[0], y: el.y + last[1] },
+  };
+}
+
+/**
+ * Find the node whose bounds contain or lie closest to a point, within
+ * `tolerance`. When several qualify, the smallest shape wins so that an
+ * arrow ending inside a nested shape binds to the inner one.
+ */
+export function findNodeNear(point, nodes, tolerance) {
+  let best = null;
+  let bestDistance = Infinity;
+  let bestArea = Infinity;
+  for (const [nodeId, node] of nodes) {
+    const distance = distanceToBox(point, node);
+    if (distance > tolerance) continue;
+
+    const area = node.width * node.height;
+    if (distance < bestDistance || (distance === bestDistance && area < bestArea)) {
+      best = nodeId;
+      bestDistance = distance;
+      bestArea = area;
+    }
+  }
+  return best;
+}
+
+/**
+ * Use free-floating text elements as labels for unlabeled nodes and edges.
+ *
+ * Each text goes to the closest target within `tolerance`, measured from
+ * the text's center to a node's bounds or an arrow's path. Closer pairs are
+ * matched first and each target takes at most one text.
+ *
+ * @returns {Set<string>} IDs of the text elements that were used
+ */
+function attachFreeText(texts, nodes, edges, byId, tolerance) {
+  const candidates = [];
+  for (const el of texts) {
+    const point = {
+      x: el.x + (el.width || 0) / 2,
+      y: el.y + (el.height || 0) / 2,
+    };
+    for (const node of nodes.values()) {
+      if (node.label) continue;
+      const distance = distanceToBox(point, node);
+      if (distance <= tolerance) candidates.push({ el, target: node, distance });
+    }
+    for (const edge of edges) {
+      if (edge.label) continue;
+      const distance = distanceToPath(point, byId.get(edge.id));
+      if (distance <= tolerance) candidates.push({ el, target: edge, distance });
+    }
+  }
+
+  candidates.sort((a, b) => a.distance - b.distance);
+  const used = new Set();
+  const labeled = new Set();
+  for (const { el, target } of candidates) {
+    if (used.has(el.id) || labeled.has(target)) continue;
+    target.label = textOf(el);
+    if (el.link && "link" in target && !target.link) target.link = el.link;
+    used.add(el.id);
+    labeled.add(target);
+  }
+  return used;
+}
+
+/**
+ * Distance from a point to a box's bounds; zero when inside.
+ */
+function distanceToBox(point, box) {
+  const dx = Math.max(box.x - point.x, 0, point.x - (box.x + box.width));
+  const dy = Math.max(box.y - point.y, 0, point.y - (box.y + box.height));
+  return Math.hypot(dx, dy);
+}
+
+/**
+ * Distance from a point to the nearest segment of an arrow's path.
+ */
+function distanceToPath(point, el) {
+  const points = el?.points;
+  if (!Array.isArray(points) || points.length < 2) return Infinity;
+
+  let best = Infinity;
+  for (let i = 1; i < points.length; i++) {
+    const ax = el.x + points[i - 1][0];
+    const ay = el.y + points[i - 1][1];
+    const bx = el.x + points[i][0];
+    const by = el.y + points[i][1];
+    const lengthSq = (bx - ax) ** 2 + (by - ay) ** 2;
+    const t = lengthSq === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((point.x - ax) * (bx - ax) + (point.y - ay) * (by - ay)) / lengthSq));
+    best = Math.min(best, Math.hypot(point.x - (ax + t * (bx - ax)), point.y - (ay + t * (by - ay))));
+  }
+  return best;
+}
+
+/**
+ * Text content of a text element.
+ */
+function textOf(el) {
+  return el.text || el.originalText || "";
+}
+
+/**
+ * Drop the text warnings of `parseDocument` that a later pass resolved by
+ * attaching text itself.
+ */
+function settleWarnings(warnings, attached, nodes) {
+  return warnings.filter(({ code, elementId }) => {
+    if (code === "unattached-text") return !attached.has(elementId);
+    if (code === "empty-label") return !nodes.get(elementId)?.label.trim();
+    return true;
+  });
+}
+
+/**
+ * Text shortened to one line for a warning message.
+ */
+function preview(text) {
+  const line = text.replace(/\s+/g, " ").trim();
+  return line.length > 40 ? `${line.slice(0, 39)}…` : line;
+}
+
+/**
+ * What an arrow end is bound to, for a warning message.
+ */
+function describeElement(el) {
+  if (!el) return "a missing element";
+  if (el.type === "rectangle" && el.strokeStyle === "dashed") return "an unlabeled dashed container";
+  if (el.type === "frame" || el.type === "magicframe") return "a frame";
+  return `a ${el.type} element`;
+}
+
+/**
+ * Extract groups from frames, dashed containers and groupIds as a
+ * containment tree.
+ *
+ * Every group records its `parent` group (or null) and only the nodes it
+ * contains directly, so each node belongs to its innermost container.
+ * Frames and containers nest by bounds; groupIds nest in array order
+ * (innermost first) and sit inside the innermost frame that holds all of
+ * their nodes.
  */
-function extractGroups(elements, nodes, byId) {
+function extractGroups(elements, nodes, containers = []) {
   const groups = new Map();
 
-  // Frames: elements contained within frame bounds
-  const frames = elements.filter((el) => el.type === "frame");
-  for (const frame of frames) {
-    const label = frame.name || "";
-    const members = [];
-    for (const [nodeId, node] of nodes) {
-      if (isInsideFrame(node, frame)) {
-        members.push(nodeId);
-      }
+  // Frames: each nests in the smallest frame around it
+  const frames = [...elements.filter((el) => el.type === "frame"), ...containers];
+  const frameById = new Map(frames.map((frame) => [frame.id, frame]));
+
+  // An element's frameId names its Excalidraw frame, but a container drawn
+  // inside that frame and around the element holds it more closely
+  const frameOf = (box) => {
+    const explicit = frameById.has(box.frameId) ? box.frameId : null;
+    const container = smallestFrameAround(box, containers);
+    if (explicit === null) return smallestFrameAround(box, frames);
+    if (container && container !== explicit && isInsideFrame(frameById.get(container), frameById.get(explicit))) {
+      return container;
     }
-    if (members.length > 0) {
-      groups.set(frame.id, { id: frame.id, label, members });
+    return explicit;
+  };
+
+  const frameParent = new Map();
+  for (const frame of frames) {
+    frameParent.set(frame.id, frameOf(frame));
+  }
+
+  // Innermost frame holding each node
+  const nodeFrame = new Map();
+  for (const [nodeId, node] of nodes) {
+    nodeFrame.set(nodeId, frameOf(node));
+  }
+
+  // GroupIds: a group is worth a subgraph when it holds more than one node
+  const groupSizes = new Map();
+  for (const node of nodes.values()) {
+    for (const gid of node.groupIds) {
+      groupSizes.set(gid, (groupSizes.get(gid) || 0) + 1);
     }
   }
 
-  // GroupIds: elements sharing the same groupId
-  const groupIdSets = new Map();
+  const container = new Map(nodeFrame);
+  const groupParent = new Map();
+  const groupMembers = new Map();
   for (const [nodeId, node] of nodes) {
+    // Groups nest innermost first; an outer group with the same nodes adds nothing
+    const chain = [];
     for (const gid of node.groupIds) {
-      if (!groupIdSets.has(gid)) {
-        groupIdSets.set(gid, []);
-      }
-      groupIdSets.get(gid).push(nodeId);
+      const size = groupSizes.get(gid);
+      if (size < 2 || frameById.has(gid)) continue;
+      if (chain.length > 0 && groupSizes.get(chain[chain.length - 1]) === size) continue;
+      chain.push(gid);
+    }
+    if (chain.length === 0) continue;
+
+    container.set(nodeId, chain[0]);
+    for (let i = 0; i < chain.length; i++) {
+      if (!groupMembers.has(chain[i])) groupMembers.set(chain[i], []);
+      groupMembers.get(chain[i]).push(nodeId);
+      if (i + 1 < chain.length) groupParent.set(chain[i], chain[i + 1]);
     }
   }
-  for (const [gid, members] of groupIdSets) {
-    if (members.length > 1 && !groups.has(gid)) {
-      groups.set(gid, { id: gid, label: "", members });
+
+  // Outermost groups sit in the innermost frame shared by all their nodes
+  for (const [gid, members] of groupMembers) {
+    if (groupParent.has(gid)) continue;
+    groupParent.set(gid, commonFrame(members.map((id) => nodeFrame.get(id)), frameParent));
+  }
+
+  // Assemble frames, then groups, each with its direct members
+  const direct = new Map();
+  for (const [nodeId, containerId] of container) {
+    if (!containerId) continue;
+    if (!direct.has(containerId)) direct.set(containerId, []);
+    direct.get(containerId).push(nodeId);
+  }
+  for (const frame of frames) {
+    groups.set(frame.id, {
+      id: frame.id,
+      label: frame.name || "",
+      members: direct.get(frame.id) || [],
+      parent: frameParent.get(frame.id),
+      customId: frame.customData?.mermaidId ?? null,
+      ...(frame.isContainer ? { container: true } : {}),
+    });
+  }
+  for (const gid of groupMembers.keys()) {
+    groups.set(gid, {
+      id: gid,
+      label: "",
+      members: direct.get(gid) || [],
+      parent: groupParent.get(gid),
+      customId: null,
+    });
+  }
+
+  // Drop frames with no nodes anywhere inside them
+  const occupied = new Set();
+  for (const group of groups.values()) {
+    if (group.members.length === 0) continue;
+    for (let id = group.id; id && !occupied.has(id); id = groups.get(id)?.parent) {
+      occupied.add(id);
     }
   }
+  for (const id of [...groups.keys()]) {
+    if (!occupied.has(id)) groups.delete(id);
+  }
 
   return groups;
 }
 
+/**
+ * Find the smallest frame whose bounds hold the center of a box.
+ */
+function smallestFrameAround(box, frames) {
+  let best = null;
+  let bestArea = Infinity;
+  for (const frame of frames) {
+    if (frame === box || !isInsideFrame(box, frame)) continue;
+    const area = (frame.width || 0) * (frame.height || 0);
+    const boxArea = (box.width || 0) * (box.height || 0);
+    if (box.type === "frame" && area <= boxArea) continue;
+    if (area < bestArea) {
+      best = frame.id;
+      bestArea = area;
+    }
+  }
+  return best;
+}
+
+/**
+ * Find the innermost frame that encloses every one of the given frames.
+ */
+function commonFrame(frameIds, frameParent) {
+  const ancestry = (id) => {
+    const chain = [];
+    for (let current = id; current; current = frameParent.get(current)) {
+      chain.push(current);
+    }
+    return chain;
+  };
+  let shared = ancestry(frameIds[0]);
+  for (const id of frameIds.slice(1)) {
+    const chain = new Set(ancestry(id));
+    shared = shared.filter((candidate) => chain.has(candidate));
+  }
+  return shared[0] || null;
+}
+
+/**
+ * Check if a box lies wholly inside another's bounds.
+ */
+function encloses(outer, inner) {
+  return (
+    inner.x >= outer.x &&
+    inner.y >= outer.y &&
+    inner.x + (inner.width || 0) <= outer.x + (outer.width || 0) &&
+    inner.y + (inner.height || 0) <= outer.y + (outer.height || 0)
+  );
+}
+
 /**
  * Check if a node is inside a frame's bounds.
  */
@@ -200,17 +861,18 @@ function isInsideFrame(node, frame) {
 }
 
 /**
- * Detect whether the diagram flows left-to-right or top-to-bottom.
+ * Detect whether the diagram flows left-to-right or top-to-bottom. Edges
+ * to a group count when `groupBounds` has its box.
  */
-export function detectDirection(nodes, edges) {
+export function detectDirection(nodes, edges, groupBounds = new Map()) {
   if (edges.length === 0) return "TD";
 
   let horizontalScore = 0;
   let verticalScore = 0;
 
   for (const edge of edges) {
-    const src = nodes.get(edge.source);
-    const tgt = nodes.get(edge.target);
+    const src = nodes.get(edge.source) || groupBounds.get(edge.source);
+    const tgt = nodes.get(edge.target) || groupBounds.get(edge.target);
     if (!src || !tgt) continue;
 
     const dx = Math.abs(
@@ -0,0 +1,107 @@
+/**
+ * Convert a parsed graph into a PlantUML diagram of deployment elements.
+ */
+
+import { resolveGraph, edgeHeads } from "./converter.js";
+
+/**
+ * PlantUML element for each node shape. PlantUML has no diamond or
+ * stadium element, so decisions are hexagons and ellipses of any
+ * proportion are use cases; subroutines keep their dashed outline.
+ */
+export const PLANTUML_ELEMENTS = {
+  rectangle: "rectangle",
+  rounded: "card",
+  diamond: "hexagon",
+  circle: "usecase",
+  subroutine: "rectangle",
+  stadium: "usecase",
+  "double-circle": "usecase",
+};
+
+/**
+ * Inline style for shapes an element alone does not tell apart.
+ */
+const ELEMENT_STYLES = {
+  subroutine: "#line.dashed",
+  "double-circle": "#line.bold",
+};
+
+/**
+ * Arrow end for each head marker, at the end and at the start.
+ */
+const END_HEADS = { ">": ">", o: "o", x: "x" };
+const START_HEADS = { ">": "<", o: "o", x: "x" };
+
+/**
+ * Convert a parsed graph to PlantUML, from `@startuml` to `@enduml`.
+ *
+ * Groups become `rectangle` containers, which edges may point at directly.
+ * PlantUML lays out top to bottom or left to right only, so BT and RL
+ * follow TD and LR. Takes the same `direction`, `ids`, `order` and
+ * `warnings` options as `toMermaid`.
+ *
+ * @param {{ nodes: Map, edges: Array, groups: Map, direction: string }} graph
+ * @param {{ direction?: string, ids?: string, order?: string, warnings?: Array }} [options]
+ * @returns {string}
+ */
+export function toPlantUml(graph, options = {}) {
+  const { direction, nodes, edges, idMap, groupIdMap, children, members, looseNodes } = resolveGraph(graph, options);
+  const lines = ["@startuml"];
+  if (direction === "LR" || direction === "RL") lines.push("left to right direction");
+
+  const renderNode = (nodeId, indent) => {
+    const node = nodes.get(nodeId);
+    const id = idMap.get(nodeId);
+    const element = PLANTUML_ELEMENTS[node.shape] || PLANTUML_ELEMENTS.rectangle;
+    const style = ELEMENT_STYLES[node.shape] ? ` ${ELEMENT_STYLES[node.shape]}` : "";
+    lines.push(`${indent}${element} ${quotePlantUml(node.label || id)} as ${id}${style}`);
+  };
+
+  const renderGroup = (group, depth) => {
+    const indent = "    ".repeat(depth);
+    const id = groupIdMap.get(group.id);
+    const name = group.label ? `${quotePlantUml(group.label)} as ${id}` : id;
+    lines.push(`${indent}rectangle ${name} {`);
+    for (const memberId of members.get(group.id)) renderNode(memberId, `${indent}    `);
+    for (const child of children.get(group.id) || []) renderGroup(child, depth + 1);
+    lines.push(`${indent}}`);
+  };
+
+  for (const group of children.get(null) || []) renderGroup(group, 0);
+  for (const nodeId of looseNodes) renderNode(nodeId, "");
+
+  for (const edge of edges) {
+    const label = edge.label ? ` : ${escapePlantUml(edge.label)}` : "";
+    lines.push(`${edge.sourceId} ${renderArrow(edge)} ${edge.targetId}${label}`);
+  }
+
+  lines.push("@enduml");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * PlantUML arrow for an edge, e.g. `-->`, `--`, `-[dashed]->`, `<-[bold]->`
+ * or `--o`.
+ */
+function renderArrow(edge) {
+  const style = edge.style || "arrow";
+  const { start, end } = edgeHeads(edge);
+  const line = style.startsWith("dotted") ? "-[dashed]-" : style.startsWith("thick") ? "-[bold]-" : "--";
+  return `${start ? START_HEADS[start] : ""}${line}${end ? END_HEADS[end] : ""}`;
+}
+
+/**
+ * Quote an element name. PlantUML strings cannot escape a double quote,
+ * so quotes are written as the `<U+0022>` code.
+ */
+export function quotePlantUml(text) {
+  return `"${escapePlantUml(text).replace(/"/g, "<U+0022>")}"`;
+}
+
+/**
+ * Write line breaks as PlantUML's `\n`.
+ */
+function escapePlantUml(text) {
+  return text.replace(/\n/g, "\\n");
+}
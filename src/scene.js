@@ -0,0 +1,141 @@
+/**
+ * Read an Excalidraw scene from a file's contents: plain `.excalidraw`
+ * JSON (or a clipboard payload or element array), a PNG or SVG exported
+ * with "Embed scene", or an Obsidian `.excalidraw.md` drawing.
+ */
+
+import { inflateSync } from "zlib";
+import { isObsidianDrawing, readObsidian } from "./obsidian.js";
+
+/**
+ * MIME type Excalidraw uses to label embedded scene data.
+ */
+export const SCENE_MIME_TYPE = "application/vnd.excalidraw+json";
+
+/**
+ * `type` of the JSON Excalidraw puts on the clipboard when copying.
+ */
+export const CLIPBOARD_TYPE = "excalidraw/clipboard";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const SVG_PAYLOAD = /<!--\s*payload-start\s*-->\s*([\s\S]+?)\s*<!--\s*payload-end\s*-->/;
+const SVG_VERSION = /<!--\s*payload-version:(\d+)\s*-->/;
+
+/**
+ * Parse a scene from file contents. The format is detected from the
+ * contents, so the file extension does not matter.
+ *
+ * @param {Buffer|string} data - File contents
+ * @returns {object} Parsed Excalidraw document
+ */
+export function readScene(data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, "utf-8");
+
+  if (buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return toScene(JSON.parse(decodePng(buffer)));
+  }
+
+  const text = buffer.toString("utf-8").replace(/^\uFEFF/, "");
+  if (/^\s*</.test(text)) return toScene(JSON.parse(decodeSvg(text)));
+  if (isObsidianDrawing(text)) return toScene(readObsidian(text));
+  return toScene(JSON.parse(text));
+}
+
+/**
+ * The document for parsed scene data: an Excalidraw document as it is, or
+ * one wrapped around the elements of a clipboard payload
+ * (`{ type: "excalidraw/clipboard", elements }`) or a bare element array.
+ *
+ * @param {object|Array} data
+ * @returns {object}
+ */
+export function toScene(data) {
+  if (Array.isArray(data)) return { type: "excalidraw", elements: data };
+  if (data?.type === CLIPBOARD_TYPE) {
+    return { type: "excalidraw", elements: data.elements || [], files: data.files || {} };
+  }
+  return data;
+}
+
+/**
+ * Scene JSON embedded in a PNG's `tEXt`, `zTXt` or `iTXt` chunk.
+ *
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {string}
+ */
+export function decodePng(buffer) {
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === "IEND") break;
+    const text = readTextChunk(type, data);
+    if (text) return decodePayload(text.bytes, text.charset);
+  }
+  throw new Error('No Excalidraw scene found in PNG (export it with "Embed scene")');
+}
+
+/**
+ * Scene JSON embedded between an SVG's `payload-start` and `payload-end`
+ * comments.
+ *
+ * @param {string} svg - SVG source
+ * @returns {string}
+ */
+export function decodeSvg(svg) {
+  const payload = svg.match(SVG_PAYLOAD);
+  if (!payload) {
+    throw new Error('No Excalidraw scene found in SVG (export it with "Embed scene")');
+  }
+
+  // Version 1 payloads are base64 of the UTF-8 scene; later ones are
+  // base64 of a byte string
+  const version = svg.match(SVG_VERSION)?.[1] || "1";
+  return decodePayload(Buffer.from(payload[1], "base64"), version === "1" ? "utf-8" : "latin1");
+}
+
+/**
+ * Decode an embedded payload: either an encoding wrapper
+ * (`{ encoding: "bstring", compressed, encoded }`) read in `charset`, or,
+ * in older exports, the UTF-8 scene JSON itself.
+ */
+function decodePayload(payload, charset) {
+  let data;
+  try {
+    data = JSON.parse(payload.toString(charset));
+  } catch {
+    throw new Error("Embedded Excalidraw scene is not valid JSON");
+  }
+  if (!("encoded" in data)) return payload.toString("utf-8");
+
+  if (data.encoding !== "bstring") {
+    throw new Error(`Unknown Excalidraw scene encoding "${data.encoding}"`);
+  }
+  const bytes = Buffer.from(data.encoded, "latin1");
+  return (data.compressed ? inflateSync(bytes) : bytes).toString("utf-8");
+}
+
+/**
+ * Text bytes and their charset from a PNG text chunk labeled with the
+ * scene MIME type, or null.
+ */
+function readTextChunk(type, data) {
+  if (type !== "tEXt" && type !== "zTXt" && type !== "iTXt") return null;
+
+  const keywordEnd = data.indexOf(0);
+  if (keywordEnd === -1 || data.toString("latin1", 0, keywordEnd) !== SCENE_MIME_TYPE) return null;
+
+  if (type === "tEXt") return { bytes: data.subarray(keywordEnd + 1), charset: "latin1" };
+  if (type === "zTXt") return { bytes: inflateSync(data.subarray(keywordEnd + 2)), charset: "latin1" };
+
+  // iTXt: compression flag and method, then language tag and translated
+  // keyword (each NUL-terminated), then UTF-8 text
+  const compressed = data[keywordEnd + 1] === 1;
+  const languageEnd = data.indexOf(0, keywordEnd + 3);
+  const translatedEnd = data.indexOf(0, languageEnd + 1);
+  const text = data.subarray(translatedEnd + 1);
+  return { bytes: compressed ? inflateSync(text) : text, charset: "utf-8" };
+}
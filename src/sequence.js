@@ -0,0 +1,61 @@
+/**
+ * Convert a parsed sequence sketch into Mermaid sequenceDiagram syntax.
+ */
+
+import { assignLabelIds } from "./converter.js";
+
+/**
+ * Message arrow for each edge style. Dashed arrows are replies.
+ */
+export const MESSAGE_ARROWS = {
+  arrow: "->>",
+  thick: "->>",
+  dotted: "-->>",
+  line: "->",
+  "thick-line": "->",
+  "dotted-line": "-->",
+};
+
+/**
+ * Convert a parsed sequence to a Mermaid sequenceDiagram string.
+ *
+ * @param {{ participants: Array, messages: Array }} sequence
+ * @returns {string}
+ */
+export function toSequenceDiagram(sequence) {
+  const { participants, messages } = sequence;
+  const lines = ["sequenceDiagram"];
+
+  const idMap = assignLabelIds(participants);
+  for (const participant of participants) {
+    const id = idMap.get(participant.id);
+    const label = participant.label.replace(/\n/g, "<br>");
+    if (id === label) {
+      lines.push(`    participant ${id}`);
+    } else {
+      lines.push(`    participant ${id} as ${label || id}`);
+    }
+  }
+
+  for (const message of messages) {
+    const from = idMap.get(message.source);
+    const to = idMap.get(message.target);
+    if (!from || !to) continue;
+
+    const arrow = MESSAGE_ARROWS[message.style] || MESSAGE_ARROWS.arrow;
+    const text = escapeMessage(message.label);
+    lines.push(`    ${from}${arrow}${to}: ${text}`.trimEnd());
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Make text safe for a message line. Semicolons end a statement and `#`
+ * starts an entity code in Mermaid, so both are written as entities.
+ */
+function escapeMessage(text) {
+  return (text || "")
+    .replace(/[#;]/g, (ch) => `#${ch.charCodeAt(0)};`)
+    .replace(/\n/g, "<br>");
+}
@@ -0,0 +1,152 @@
+/**
+ * Convert a parsed graph into Mermaid stateDiagram-v2 syntax.
+ */
+
+import { assignLabelIds, orientEdge } from "./converter.js";
+
+/**
+ * Largest width or height (in scene pixels) of an unlabeled ellipse that
+ * still reads as a start/end dot rather than a state.
+ */
+export const PSEUDO_STATE_SIZE = 40;
+
+/**
+ * Convert a parsed graph to a Mermaid stateDiagram-v2 string.
+ *
+ * Small filled circles become `[*]`, other shapes become states, and
+ * groups become composite states; edges may end at a group's ID (see
+ * `parseDocument`'s `groupEdges`). A transition is written inside the
+ * innermost composite state that holds both of its ends, so `[*]` inside
+ * a composite state is that state's own start or end.
+ *
+ * @param {{ nodes: Map, edges: Array, groups: Map, direction: string }} graph
+ * @param {{ direction?: string }} options
+ * @returns {string}
+ */
+export function toStateDiagram(graph, options = {}) {
+  const { nodes, edges, groups } = graph;
+  const dir = options.direction || graph.direction || "TD";
+  const lines = ["stateDiagram-v2"];
+
+  if (dir !== "TD") {
+    lines.push(`    direction ${dir}`);
+  }
+
+  const pseudo = findPseudoStates(nodes);
+  const states = [...nodes.values()].filter((node) => !pseudo.has(node.id));
+  const idMap = assignLabelIds([...states, ...groups.values()]);
+
+  // Each node and group belongs to its innermost group
+  const groupOf = new Map();
+  const children = new Map();
+  for (const group of groups.values()) {
+    const parent = groups.has(group.parent) ? group.parent : null;
+    groupOf.set(group.id, parent);
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(group);
+    for (const memberId of group.members) groupOf.set(memberId, group.id);
+  }
+
+  const transitions = new Map();
+  for (const edge of edges.map(orientEdge)) {
+    if (!idMap.has(edge.source) && !pseudo.has(edge.source)) continue;
+    if (!idMap.has(edge.target) && !pseudo.has(edge.target)) continue;
+    const scope = commonScope(groupOf.get(edge.source) ?? null, groupOf.get(edge.target) ?? null, groupOf);
+    if (!transitions.has(scope)) transitions.set(scope, []);
+    transitions.get(scope).push(edge);
+  }
+
+  const refOf = (nodeId) => (pseudo.has(nodeId) ? "[*]" : idMap.get(nodeId));
+
+  const renderScope = (scope, depth) => {
+    const indent = "    ".repeat(depth);
+
+    for (const node of states) {
+      if ((groupOf.get(node.id) ?? null) !== scope) continue;
+      lines.push(`${indent}${renderState(idMap.get(node.id), node.label)}`);
+    }
+
+    for (const group of children.get(scope) || []) {
+      const id = idMap.get(group.id);
+      lines.push(`${indent}${renderState(id, group.label, true)} {`);
+      renderScope(group.id, depth + 1);
+      lines.push(`${indent}}`);
+    }
+
+    for (const edge of transitions.get(scope) || []) {
+      const line = `${indent}${refOf(edge.source)} --> ${refOf(edge.target)}`;
+      lines.push(edge.label ? `${line} : ${escapeTransition(edge.label)}` : line);
+    }
+  };
+
+  renderScope(null, 1);
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Find the nodes drawn as start/end dots: small unlabeled filled ellipses,
+ * and small unlabeled rings drawn around one (the "bullseye" end state).
+ * This goes by the element drawn rather than the mapped shape, which
+ * makes a slightly oblong dot a stadium and a dashed ring a double circle.
+ */
+export function findPseudoStates(nodes) {
+  const isSmallCircle = (node) =>
+    node.elementType === "ellipse" &&
+    !node.label &&
+    node.width <= PSEUDO_STATE_SIZE &&
+    node.height <= PSEUDO_STATE_SIZE;
+
+  const dots = [...nodes.values()].filter(
+    (node) => isSmallCircle(node) && !["", "transparent"].includes(node.backgroundColor || "")
+  );
+
+  const pseudo = new Set(dots.map((node) => node.id));
+  for (const node of nodes.values()) {
+    if (pseudo.has(node.id) || !isSmallCircle(node)) continue;
+    const ring = dots.some(
+      (dot) =>
+        dot.x >= node.x &&
+        dot.y >= node.y &&
+        dot.x + dot.width <= node.x + node.width &&
+        dot.y + dot.height <= node.y + node.height
+    );
+    if (ring) pseudo.add(node.id);
+  }
+  return pseudo;
+}
+
+/**
+ * Render a state declaration. Plain word labels are their own ID.
+ * Composite states always take the `state` keyword.
+ */
+function renderState(id, label, composite = false) {
+  if (!label || label === id) return composite ? `state ${id}` : id;
+  return `state ${quoteState(label)} as ${id}`;
+}
+
+/**
+ * Quote a state description for `state "..." as ID`.
+ */
+function quoteState(label) {
+  return `"${label.replace(/"/g, "#quot;").replace(/\n/g, "<br>")}"`;
+}
+
+/**
+ * Make text safe for a transition label, which runs to the end of the line.
+ */
+function escapeTransition(text) {
+  return text.replace(/[#;]/g, (ch) => `#${ch.charCodeAt(0)};`).replace(/\n/g, "<br>");
+}
+
+/**
+ * Find the innermost group that contains both groups (null for the top).
+ */
+function commonScope(a, b, groupOf) {
+  const ancestors = new Set();
+  for (let g = a; g !== null; g = groupOf.get(g) ?? null) ancestors.add(g);
+  for (let g = b; g !== null; g = groupOf.get(g) ?? null) {
+    if (ancestors.has(g)) return g;
+  }
+  return null;
+}
@@ -0,0 +1,153 @@
+/**
+ * Keep Mermaid blocks in Markdown documents in step with the Excalidraw
+ * files they were generated from.
+ *
+ * A block is tied to its source by a marker comment on the line before
+ * it, optionally with conversion options:
+ *
+ *     <!-- excalidraw: diagrams/auth.excalidraw -->
+ *     <!-- excalidraw: diagrams/login.excalidraw type=sequence -->
+ */
+
+/**
+ * A marker comment: the source path, then optional `key=value` options.
+ */
+export const MARKER = /^\s*<!--\s*excalidraw:\s*(.+?)\s*-->\s*$/;
+
+/**
+ * Options a marker may set for its own block.
+ */
+export const MARKER_OPTIONS = ["type", "direction", "ids", "order", "target"];
+
+const FENCE_OPEN = /^\s*(`{3,}|~{3,})\s*mermaid\s*$/;
+const ANY_FENCE = /^\s*(`{3,}|~{3,})/;
+
+/**
+ * Regenerate every marked Mermaid block in a Markdown document. A marker
+ * with no block after it gets a new one. Markers inside other fenced code
+ * blocks are examples, not markers.
+ *
+ * `render(path, options)` returns the Mermaid text for a marker's source
+ * path and options; when it throws, the block is left as it was and the
+ * error is recorded.
+ *
+ * @param {string} text - Markdown source
+ * @param {(path: string, options: object) => string} render
+ * @returns {{ text: string, blocks: Array<{ path: string, line: number, stale: boolean, before: string, after: string, error?: string }> }}
+ */
+export function syncMarkdown(text, render) {
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  const lines = text.split(/\r?\n/);
+  const out = [];
+  const blocks = [];
+  let inFence = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    out.push(lines[i]);
+
+    const fenceMark = lines[i].match(ANY_FENCE);
+    if (inFence) {
+      if (fenceMark && closesFence(lines[i], inFence)) inFence = null;
+      continue;
+    }
+    if (fenceMark) {
+      inFence = fenceMark[1];
+      continue;
+    }
+
+    const marker = lines[i].match(MARKER);
+    if (!marker) continue;
+
+    const { path, options } = parseMarker(marker[1]);
+    const block = { path, line: i + 1, stale: false, before: "", after: "" };
+    blocks.push(block);
+
+    // The block may follow after blank lines; anything else means it is missing
+    let open = i + 1;
+    while (open < lines.length && lines[open].trim() === "") open++;
+    const fence = open < lines.length ? lines[open].match(FENCE_OPEN) : null;
+
+    let close = -1;
+    if (fence) {
+      close = lines.findIndex((line, j) => j > open && closesFence(line, fence[1]));
+      if (close === -1) {
+        block.error = `unclosed mermaid block after line ${open + 1}`;
+        continue;
+      }
+      block.before = lines.slice(open + 1, close).join("\n");
+    }
+
+    let mermaid;
+    try {
+      mermaid = render(path, options).replace(/\n+$/, "");
+    } catch (err) {
+      block.error = err.message;
+      continue;
+    }
+    block.after = mermaid;
+    block.stale = !fence || block.before !== mermaid;
+
+    if (fence) {
+      out.push(...lines.slice(i + 1, open + 1), ...mermaid.split("\n"), lines[close]);
+      i = close;
+    } else {
+      out.push("```mermaid", ...mermaid.split("\n"), "```");
+    }
+  }
+
+  return { text: out.join(eol), blocks };
+}
+
+/**
+ * Whether a line closes a fence opened with `opener` (the same character,
+ * at least as many times, and nothing else).
+ */
+function closesFence(line, opener) {
+  const trimmed = line.trim();
+  return trimmed.length >= opener.length && [...trimmed].every((ch) => ch === opener[0]);
+}
+
+/**
+ * Split a marker's contents into the source path and its options.
+ */
+export function parseMarker(contents) {
+  const [path, ...pairs] = contents.trim().split(/\s+/);
+  const options = {};
+  for (const pair of pairs) {
+    const [key, value] = pair.split("=");
+    if (MARKER_OPTIONS.includes(key) && value) options[key] = value;
+  }
+  return { path, options };
+}
+
+/**
+ * Line diff of two texts, with unchanged lines prefixed by a space and
+ * removed and added lines by `-` and `+`.
+ */
+export function diffText(before, after) {
+  const a = before === "" ? [] : before.split("\n");
+  const b = after === "" ? [] : after.split("\n");
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(` ${a[i++]}`);
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      lines.push(`+${b[j++]}`);
+    } else {
+      lines.push(`-${a[i++]}`);
+    }
+  }
+  return lines.join("\n");
+}
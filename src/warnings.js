@@ -0,0 +1,48 @@
+/**
+ * Structured warnings about elements that did not convert cleanly.
+ *
+ * Codes:
+ * - `unbound-arrow` — an arrow end is not bound to (or near) a shape; the arrow is dropped
+ * - `self-loop` — both ends of an arrow were inferred to touch the same shape; the arrow is dropped
+ * - `arrow-to-non-node` — an arrow end is bound to something that is not a node,
+ *   such as an unlabeled dashed container; the arrow is dropped
+ * - `missing-container` — text is bound to an element that does not exist; the text is dropped
+ * - `unattached-text` — free text is not near any shape or arrow; the text is dropped
+ * - `missing-endpoint` — an edge's end has no node in the output; the edge is dropped
+ * - `empty-label` — a shape has no text; it is kept, labeled with its ID
+ */
+
+/**
+ * Create a warning. `lost` marks warnings where an element was left out
+ * of the output, which is what `--strict` fails on.
+ *
+ * @param {string} code
+ * @param {string} message
+ * @param {{ id?: string, x?: number, y?: number }} [element]
+ * @param {boolean} [lost=true]
+ * @returns {{ code: string, message: string, elementId: string|null, position: { x: number, y: number }|null, lost: boolean }}
+ */
+export function createWarning(code, message, element, lost = true) {
+  const hasPosition = Number.isFinite(element?.x) && Number.isFinite(element?.y);
+  return {
+    code,
+    message,
+    elementId: element?.id ?? null,
+    position: hasPosition ? { x: Math.round(element.x), y: Math.round(element.y) } : null,
+    lost,
+  };
+}
+
+/**
+ * One-line rendering for the terminal, optionally naming the file, e.g.
+ * `Warning: a.excalidraw: Arrow has an unbound end and was dropped (a1b2 at (120, 40)) [unbound-arrow]`.
+ *
+ * @param {object} warning
+ * @param {string} [source] - File the warning is about
+ * @returns {string}
+ */
+export function formatWarning(warning, source) {
+  const at = warning.position ? ` at (${warning.position.x}, ${warning.position.y})` : "";
+  const where = warning.elementId ? ` (${warning.elementId}${at})` : at;
+  return `Warning: ${source ? `${source}: ` : ""}${warning.message}${where} [${warning.code}]`;
+}
@@ -0,0 +1,104 @@
+/**
+ * Watch mode: rerun a conversion whenever its input file is saved.
+ */
+
+import { watch } from "fs";
+import { dirname, basename } from "path";
+
+/**
+ * How long (in milliseconds) writes must pause before a rerun. Excalidraw
+ * and most editors save in several writes.
+ */
+export const DEFAULT_DEBOUNCE = 150;
+
+/**
+ * Call `onChange` after `path` changes, once writes have paused for
+ * `debounce` milliseconds. The directory is watched rather than the file,
+ * so saves that replace the file (write to a temp file, then rename) are
+ * seen too.
+ *
+ * @param {string} path - File to watch
+ * @param {() => void} onChange
+ * @param {{ debounce?: number }} [options]
+ * @returns {() => void} Stops watching
+ */
+export function watchInput(path, onChange, options = {}) {
+  const { debounce = DEFAULT_DEBOUNCE } = options;
+  const name = basename(path);
+  let timer = null;
+
+  const watcher = watch(dirname(path), (event, filename) => {
+    if (filename && filename !== name) return;
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounce);
+  });
+
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
+
+/**
+ * Summarize a conversion result and what changed since the previous one,
+ * e.g. "5 nodes (+1), 4 edges, 2 lines added, 1 removed".
+ *
+ * @param {{ nodeCount: number, edgeCount: number, text?: string, mermaid?: string, scene?: object } | null} previous
+ * @param {{ nodeCount: number, edgeCount: number, text?: string, mermaid?: string, scene?: object }} current
+ * @returns {string}
+ */
+export function summarizeChange(previous, current) {
+  const counts = [
+    countWithDelta(current.nodeCount, previous?.nodeCount, "node"),
+    countWithDelta(current.edgeCount, previous?.edgeCount, "edge"),
+  ].join(", ");
+  if (!previous) return counts;
+
+  const { added, removed } = diffLines(outputOf(previous), outputOf(current));
+  if (added === 0 && removed === 0) return `${counts}, no changes`;
+
+  const changes = [];
+  if (added > 0) changes.push(`${added} ${plural(added, "line")} added`);
+  if (removed > 0) changes.push(added > 0 ? `${removed} removed` : `${removed} ${plural(removed, "line")} removed`);
+  return `${counts}, ${changes.join(", ")}`;
+}
+
+/**
+ * Count lines only in `after` (added) and only in `before` (removed),
+ * ignoring order.
+ */
+export function diffLines(before, after) {
+  const remaining = new Map();
+  for (const line of before.split("\n")) {
+    remaining.set(line, (remaining.get(line) || 0) + 1);
+  }
+
+  let added = 0;
+  for (const line of after.split("\n")) {
+    const count = remaining.get(line) || 0;
+    if (count > 0) {
+      remaining.set(line, count - 1);
+    } else {
+      added++;
+    }
+  }
+
+  let removed = 0;
+  for (const count of remaining.values()) removed += count;
+  return { added, removed };
+}
+
+function outputOf(result) {
+  return result.text ?? result.mermaid ?? JSON.stringify(result.scene, null, 2);
+}
+
+function countWithDelta(count, before, noun) {
+  const text = `${count} ${plural(count, noun)}`;
+  if (before === undefined || before === count) return text;
+  const delta = count - before;
+  return `${text} (${delta > 0 ? "+" : ""}${delta})`;
+}
+
+function plural(count, noun) {
+  return count === 1 ? noun : `${noun}s`;
+}
@@ -0,0 +1,123 @@
+import { describe, test, expect } from "bun:test";
+import { analyzeGraph, checkRules, formatAnalysis, RULES } from "../src/analysis.js";
+import { graphOf } from "./helpers.js";
+
+// Start → Valid? → Save → Done, Valid? → Fix → Valid?, and a Note on its own
+const flow = graphOf(
+  [
+    { id: "start", label: "Start", shape: "rounded" },
+    { id: "check", label: "Valid?", shape: "diamond" },
+    { id: "save", label: "Save" },
+    { id: "fix", label: "Fix" },
+    { id: "done", label: "Done" },
+    { id: "note", label: "Note" },
+  ],
+  [
+    { id: "e1", source: "start", target: "check", style: "arrow" },
+    { id: "e2", source: "check", target: "save", label: "yes", style: "arrow" },
+    { id: "e3", source: "check", target: "fix", label: "no", style: "arrow" },
+    { id: "e4", source: "fix", target: "check", style: "arrow" },
+    { id: "e5", source: "done", target: "save", style: "arrow", startArrowhead: "arrow", endArrowhead: null },
+  ]
+);
+
+describe("analyzeGraph", () => {
+  test("entries, exits, cycles and the longest path", () => {
+    const analysis = analyzeGraph(flow);
+    expect(analysis.root).toBeNull();
+    expect(analysis.entries).toEqual(["start"]);
+    expect(analysis.exits).toEqual(["done"]);
+    expect(analysis.isolated).toEqual(["note"]);
+    expect(analysis.unreachable).toEqual([]);
+    expect(analysis.stronglyConnected).toEqual([["check", "fix"]]);
+    expect(analysis.cycles).toEqual([["check", "fix"]]);
+    expect(analysis.longestPath).toEqual(["start", "check", "save", "done"]);
+    expect(analysis.degrees.check).toEqual({ in: 2, out: 2 });
+    expect(analysis.degrees.done).toEqual({ in: 1, out: 0 });
+  });
+
+  test("unreachable from a root, found by ID or label", () => {
+    expect(analyzeGraph(flow, { root: "fix" }).unreachable).toEqual(["start", "note"]);
+    expect(analyzeGraph(flow, { root: "Fix" }).root).toBe("fix");
+    expect(() => analyzeGraph(flow, { root: "Nowhere" })).toThrow('Unknown root "Nowhere"');
+  });
+
+  test("a loop with no way in is unreachable", () => {
+    const loop = graphOf(
+      [{ id: "a", label: "A" }, { id: "b", label: "B" }, { id: "c", label: "C" }],
+      [
+        { id: "e1", source: "a", target: "b", style: "arrow" },
+        { id: "e2", source: "b", target: "a", style: "arrow" },
+        { id: "e3", source: "c", target: "c", style: "arrow" },
+      ]
+    );
+    const analysis = analyzeGraph(loop);
+    expect(analysis.entries).toEqual([]);
+    expect(analysis.unreachable).toEqual(["a", "b", "c"]);
+    expect(analysis.cycles).toEqual([["a", "b"], ["c"]]);
+  });
+
+  test("edges to groups count for no node", () => {
+    const grouped = graphOf(
+      [{ id: "a", label: "A" }, { id: "b", label: "B" }],
+      [{ id: "e1", source: "a", target: "g", style: "arrow" }],
+      [{ id: "g", label: "G", members: ["b"] }]
+    );
+    expect(analyzeGraph(grouped).isolated).toEqual(["a", "b"]);
+  });
+});
+
+describe("checkRules", () => {
+  const analysis = analyzeGraph(flow);
+
+  test("every rule has a description", () => {
+    for (const rule of Object.values(RULES)) expect(rule.description).toBeTruthy();
+  });
+
+  test("reports violations with their nodes", () => {
+    expect(checkRules(flow, analysis, ["no-cycles", "no-isolated", "single-entry", "no-unreachable"])).toEqual([
+      { rule: "no-cycles", message: 'Cycle "Valid?" → "Fix" → "Valid?"', nodes: ["check", "fix"] },
+      { rule: "no-isolated", message: '"Note" has no edges', nodes: ["note"] },
+    ]);
+  });
+
+  test("decisions branch", () => {
+    expect(checkRules(flow, analysis, ["decisions-branch"])).toEqual([]);
+    const single = graphOf(
+      [{ id: "d", label: "Ok?", shape: "diamond" }, { id: "x", label: "X" }],
+      [{ id: "e", source: "d", target: "x", style: "arrow" }]
+    );
+    expect(checkRules(single, analyzeGraph(single), ["decisions-branch", "no-unreachable"])).toEqual([
+      { rule: "decisions-branch", message: 'Decision "Ok?" has 1 outgoing edge', nodes: ["d"] },
+    ]);
+  });
+
+  test("unknown rules throw", () => {
+    expect(() => checkRules(flow, analysis, ["no-loops"])).toThrow('Unknown rule "no-loops"');
+  });
+});
+
+describe("formatAnalysis", () => {
+  test("a report with rule results", () => {
+    const analysis = analyzeGraph(flow);
+    const rules = ["no-cycles", "decisions-branch"];
+    expect(formatAnalysis(flow, analysis, { rules, violations: checkRules(flow, analysis, rules) })).toBe(
+      [
+        "6 nodes, 5 edges",
+        'Entries: "Start"',
+        'Exits: "Done"',
+        'Isolated: "Note"',
+        "Unreachable: none",
+        'Cycles: "Valid?" → "Fix" → "Valid?"',
+        'Longest path: "Start" → "Valid?" → "Save" → "Done" (3 edges)',
+        'Most edges: "Valid?" (2 in, 2 out)',
+        "",
+        "Rules",
+        "  no-cycles: failed",
+        '    Cycle "Valid?" → "Fix" → "Valid?"',
+        "  decisions-branch: passed",
+        "",
+      ].join("\n")
+    );
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, test, expect, afterAll } from "bun:test";
-import { execSync } from "child_process";
-import { existsSync, unlinkSync, readFileSync } from "fs";
+import { execSync, spawnSync } from "child_process";
+import { existsSync, unlinkSync, readFileSync, writeFileSync, mkdirSync, copyFileSync, rmSync } from "fs";
 import { resolve, dirname } from "path";
 import { fileURLToPath } from "url";
 
@@ -8,7 +8,20 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 const CLI = resolve(__dirname, "..", "src", "cli.js");
 const FIXTURE = resolve(__dirname, "fixtures", "simple-flow.excalidraw");
 const DECISION = resolve(__dirname, "fixtures", "decision-flow.excalidraw");
+const UNBOUND = resolve(__dirname, "fixtures", "unbound-arrows.excalidraw");
+const FREE_TEXT = resolve(__dirname, "fixtures", "free-text.excalidraw");
+const COLORED = resolve(__dirname, "fixtures", "colored.excalidraw");
+const PALETTE = resolve(__dirname, "..", ".test-output.palette.json");
+const SEQUENCE = resolve(__dirname, "fixtures", "sequence.excalidraw");
+const STATE = resolve(__dirname, "fixtures", "state-machine.excalidraw");
+const MODEL = resolve(__dirname, "fixtures", "domain-model.excalidraw");
+const MERMAID = resolve(__dirname, "fixtures", "simple-flow.mmd");
 const TMP_OUTPUT = resolve(__dirname, "..", ".test-output.md");
+const BATCH_IN = resolve(__dirname, "..", ".test-output.batch-in");
+const BATCH_OUT = resolve(__dirname, "..", ".test-output.batch-out");
+const SYNC_DOC = resolve(__dirname, "..", ".test-output.sync.md");
+const GRAPH_JSON = resolve(__dirname, "..", ".test-output.graph.json");
+const REVISION = resolve(__dirname, "..", ".test-output.revision.excalidraw");
 
 function run(args) {
   return execSync(`node ${CLI} ${args}`, { encoding: "utf-8", timeout: 10000 }).trim();
@@ -16,6 +29,12 @@ function run(args) {
 
 afterAll(() => {
   if (existsSync(TMP_OUTPUT)) unlinkSync(TMP_OUTPUT);
+  if (existsSync(PALETTE)) unlinkSync(PALETTE);
+  if (existsSync(GRAPH_JSON)) unlinkSync(GRAPH_JSON);
+  if (existsSync(REVISION)) unlinkSync(REVISION);
+  rmSync(BATCH_IN, { recursive: true, force: true });
+  rmSync(BATCH_OUT, { recursive: true, force: true });
+  if (existsSync(SYNC_DOC)) unlinkSync(SYNC_DOC);
 });
 
 describe("CLI", () => {
@@ -104,4 +123,397 @@ describe("CLI", () => {
       expect(err.stderr.toString()).toContain("--direction");
     }
   });
+
+  test("--from-mermaid prints an Excalidraw scene", () => {
+    const output = run(`${MERMAID} --from-mermaid`);
+    const scene = JSON.parse(output);
+    expect(scene.type).toBe("excalidraw");
+    expect(scene.elements.some((el) => el.type === "arrow")).toBe(true);
+  });
+
+  describe("stdin and data: URLs", () => {
+    const pipe = (args, input) => spawnSync("node", [CLI, ...args], { input, encoding: "utf-8", timeout: 10000 });
+    const scene = readFileSync(FIXTURE, "utf-8");
+    const expected = run(FIXTURE);
+
+    test("converts piped input without arguments, or with -", () => {
+      expect(pipe([], scene).stdout.trim()).toBe(expected);
+      expect(pipe(["-"], scene).stdout.trim()).toBe(expected);
+    });
+
+    test("accepts clipboard payloads and element arrays", () => {
+      const { elements } = JSON.parse(scene);
+      const clipboard = JSON.stringify({ type: "excalidraw/clipboard", elements });
+      expect(pipe(["-"], clipboard).stdout.trim()).toBe(expected);
+      expect(pipe(["--direction", "LR"], JSON.stringify(elements)).stdout.trim()).toBe(expected);
+    });
+
+    test("reads Mermaid from stdin with --from-mermaid", () => {
+      const result = pipe(["-", "--from-mermaid"], readFileSync(MERMAID, "utf-8"));
+      expect(JSON.parse(result.stdout).type).toBe("excalidraw");
+    });
+
+    test("converts a data: URL", () => {
+      const url = `data:application/json;base64,${Buffer.from(scene).toString("base64")}`;
+      expect(pipe([url], "").stdout.trim()).toBe(expected);
+    });
+
+    test("empty stdin is an error", () => {
+      const result = pipe(["-"], "");
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain("No input on stdin");
+    });
+
+    test("stdin cannot be watched or batched", () => {
+      expect(pipe(["-", "--watch"], scene).stderr).toContain("--watch needs a file");
+      expect(pipe(["-", FIXTURE], scene).stderr).toContain("single input");
+    });
+  });
+
+  describe("warnings", () => {
+    test("are printed to stderr", () => {
+      const result = spawnSync("node", [CLI, FREE_TEXT], { encoding: "utf-8", timeout: 10000 });
+      expect(result.status).toBe(0);
+      expect(result.stderr).toContain('Warning: Text "System Overview" is not near any shape or arrow (title at (100, -300)) [unattached-text]');
+    });
+
+    test("are listed with --json", () => {
+      const parsed = JSON.parse(run(`${FREE_TEXT} --json`));
+      expect(parsed.warnings.map((w) => w.code)).toEqual(["unattached-text"]);
+    });
+
+    test("--strict exits 1 when an element is left out", () => {
+      const result = spawnSync("node", [CLI, FREE_TEXT, "--strict"], { encoding: "utf-8", timeout: 10000 });
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain("1 element was left out (--strict)");
+      expect(spawnSync("node", [CLI, FIXTURE, "--strict"], { timeout: 10000 }).status).toBe(0);
+    });
+
+    test("--strict fails a batch file", () => {
+      rmSync(BATCH_OUT, { recursive: true, force: true });
+      const result = spawnSync("node", [CLI, FREE_TEXT, FIXTURE, "--out-dir", BATCH_OUT, "--strict"], {
+        encoding: "utf-8",
+        timeout: 10000,
+      });
+      expect(result.status).toBe(1);
+      expect(result.stdout).toContain("1 converted, 1 failed");
+      expect(existsSync(resolve(BATCH_OUT, "free-text.mmd"))).toBe(false);
+      expect(existsSync(resolve(BATCH_OUT, "simple-flow.mmd"))).toBe(true);
+    });
+  });
+
+  test("--json lists inferred edges", () => {
+    const parsed = JSON.parse(run(`${UNBOUND} --json`));
+    expect(parsed.edgeCount).toBe(2);
+    expect(parsed.inferredEdges.length).toBe(2);
+  });
+
+  test("--no-infer-bindings drops unbound arrows", () => {
+    const parsed = JSON.parse(run(`${UNBOUND} --json --no-infer-bindings`));
+    expect(parsed.edgeCount).toBe(0);
+  });
+
+  test("warns about text that matches nothing", () => {
+    const result = spawnSync("node", [CLI, FREE_TEXT], { encoding: "utf-8", timeout: 10000 });
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain("Web App");
+    expect(result.stderr).toContain("System Overview");
+  });
+
+  test("--no-styles drops classDef lines", () => {
+    expect(run(COLORED)).toContain("classDef");
+    expect(run(`${COLORED} --no-styles`)).not.toContain("classDef");
+  });
+
+  test("--palette names classes", () => {
+    writeFileSync(PALETTE, JSON.stringify({ external: { backgroundColor: "#ffc9c9" } }));
+    const output = run(`${COLORED} --palette ${PALETTE}`);
+    expect(output).toContain("classDef external fill:#ffc9c9");
+    expect(output).toContain("class A external");
+  });
+
+  test("--type sequence prints a sequenceDiagram", () => {
+    const output = run(`${SEQUENCE} --type sequence`);
+    expect(output).toStartWith("sequenceDiagram");
+    expect(output).toContain("Client->>B: POST /login");
+  });
+
+  test("invalid --type exits with error", () => {
+    try {
+      run(`${SEQUENCE} --type gantt`);
+      expect(false).toBe(true);
+    } catch (err) {
+      expect(err.status).toBe(1);
+      expect(err.stderr.toString()).toContain("--type");
+    }
+  });
+
+  test("--type state prints a stateDiagram-v2", () => {
+    const output = run(`${STATE} --type state`);
+    expect(output).toStartWith("stateDiagram-v2");
+    expect(output).toContain("[*] --> Idle");
+  });
+
+  test("--type class and --type er", () => {
+    expect(run(`${MODEL} --type class`)).toStartWith("classDiagram");
+    expect(run(`${MODEL} --type er`)).toStartWith("erDiagram");
+  });
+
+  test("--ids label uses slugified labels", () => {
+    const output = run(`${DECISION} --ids label --order stable`);
+    expect(output).toContain("valid{Valid?}");
+  });
+
+  test("--mermaid-version 11 uses the expanded shape syntax", () => {
+    expect(run(`${DECISION} --mermaid-version 11`)).toContain("@{ shape: diam, label:");
+    expect(run(`${DECISION} --mermaid-version 10.9`)).not.toContain("@{");
+  });
+
+  test("invalid --mermaid-version exits with error", () => {
+    try {
+      run(`${DECISION} --mermaid-version next`);
+      expect(false).toBe(true);
+    } catch (err) {
+      expect(err.status).toBe(1);
+      expect(err.stderr.toString()).toContain("--mermaid-version");
+    }
+  });
+
+  test("--format writes other formats", () => {
+    expect(run(`${DECISION} --format plantuml`)).toStartWith("@startuml");
+    expect(run(`${DECISION} -f d2`)).toContain("B: Valid? {shape: diamond}");
+    const json = JSON.parse(run(`${DECISION} --format dot --json`));
+    expect(json.format).toBe("dot");
+    expect(json.text).toStartWith("digraph {");
+    expect(json.mermaid).toBeUndefined();
+  });
+
+  test("--format graph-json round-trips through the CLI", () => {
+    run(`${DECISION} --format graph-json -o ${GRAPH_JSON}`);
+    expect(JSON.parse(readFileSync(GRAPH_JSON, "utf-8")).graph.metadata.schema).toBe("excalidraw-to-mermaid/graph");
+    expect(run(GRAPH_JSON)).toBe(run(DECISION));
+  });
+
+  test("--format is for flowcharts", () => {
+    const result = spawnSync("node", [CLI, SEQUENCE, "--type", "sequence", "--format", "d2"], { encoding: "utf-8", timeout: 10000 });
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain("only supports flowcharts");
+  });
+
+  describe("diff", () => {
+    const revise = () => {
+      const doc = JSON.parse(readFileSync(DECISION, "utf-8"));
+      doc.elements = doc.elements.filter((el) => el.id !== "error" && el.id !== "error_text");
+      writeFileSync(REVISION, JSON.stringify(doc));
+    };
+
+    test("prints the changes", () => {
+      revise();
+      const output = run(`diff ${DECISION} ${REVISION}`);
+      expect(output).toStartWith('Nodes\n  - "Error"\nEdges\n  - "Valid?" → "Error": "No"');
+      expect(output).toEndWith("Nodes: 1 removed; edges: 1 removed");
+      expect(JSON.parse(run(`diff ${DECISION} ${REVISION} --json`)).edges.removed).toHaveLength(1);
+      expect(run(`diff ${DECISION} ${REVISION} --format mermaid`)).toContain("class D removed");
+    });
+
+    test("--check exits 1 on changes", () => {
+      revise();
+      const changed = spawnSync("node", [CLI, "diff", DECISION, REVISION, "--check"], { encoding: "utf-8", timeout: 10000 });
+      expect(changed.status).toBe(1);
+      const same = spawnSync("node", [CLI, "diff", DECISION, DECISION, "--check"], { encoding: "utf-8", timeout: 10000 });
+      expect(same.status).toBe(0);
+      expect(same.stdout).toBe("No changes\n");
+    });
+
+    test("reads one side from stdin", () => {
+      const result = spawnSync("node", [CLI, "diff", "-", DECISION], {
+        input: readFileSync(DECISION),
+        encoding: "utf-8",
+        timeout: 10000,
+      });
+      expect(result.stdout).toBe("No changes\n");
+    });
+
+    test("takes two flowcharts", () => {
+      for (const args of [[DECISION], [DECISION, DECISION, "--format", "d2"], [DECISION, DECISION, "--type", "sequence"]]) {
+        const result = spawnSync("node", [CLI, "diff", ...args], { encoding: "utf-8", timeout: 10000 });
+        expect(result.status).toBe(1);
+      }
+    });
+  });
+
+  describe("textconv", () => {
+    test("prints the drawing with element IDs in stable order", () => {
+      expect(run(`textconv ${DECISION}`)).toBe(run(`${DECISION} --ids element --order stable`));
+    });
+
+    test("exits 0 on broken files", () => {
+      writeFileSync(REVISION, '{"type": "excalidraw", "elements": [{');
+      const result = spawnSync("node", [CLI, "textconv", REVISION], { encoding: "utf-8", timeout: 10000 });
+      expect(result.status).toBe(0);
+      expect(result.stdout).toStartWith("excalidraw-to-mermaid: cannot convert (");
+      expect(result.stdout).toEndWith('\n{"type": "excalidraw", "elements": [{\n');
+    });
+
+    test("takes one input", () => {
+      const result = spawnSync("node", [CLI, "textconv", DECISION, FIXTURE], { encoding: "utf-8", timeout: 10000 });
+      expect(result.status).toBe(1);
+    });
+  });
+
+  describe("analyze", () => {
+    test("prints a report and exits 1 on violations", () => {
+      const result = spawnSync("node", [CLI, "analyze", STATE, "--rule", "no-cycles", "--rule", "decisions-branch"], {
+        encoding: "utf-8",
+        timeout: 10000,
+      });
+      expect(result.status).toBe(1);
+      expect(result.stdout).toContain('Cycles: "Running" → "Paused" → "Running"\n');
+      expect(result.stdout).toContain("  no-cycles: failed\n");
+      expect(result.stdout).toContain("  decisions-branch: passed\n");
+    });
+
+    test("passes clean drawings", () => {
+      expect(run(`analyze ${DECISION} --rule no-cycles,decisions-branch,single-entry`)).toEndWith("single-entry: passed");
+    });
+
+    test("--json and --root", () => {
+      const json = JSON.parse(run(`analyze ${DECISION} --json --root 'Valid?'`));
+      expect(json.ok).toBe(true);
+      expect(json.root).toBe("decision");
+      expect(json.unreachable).toEqual(["start"]);
+      expect(json.text).toBeUndefined();
+    });
+
+    test("rules are checked up front", () => {
+      const unknown = spawnSync("node", [CLI, "analyze", DECISION, "--rule", "no-loops"], { encoding: "utf-8", timeout: 10000 });
+      expect(unknown.status).toBe(1);
+      expect(unknown.stderr).toContain("--rule must be one of");
+      const convert = spawnSync("node", [CLI, DECISION, "--rule", "no-cycles"], { encoding: "utf-8", timeout: 10000 });
+      expect(convert.status).toBe(1);
+      expect(convert.stderr).toContain("--rule only applies to analyze");
+    });
+
+    test("--json conversions include the analysis", () => {
+      const json = JSON.parse(run(`${DECISION} --json`));
+      expect(json.analysis.entries).toEqual(["start"]);
+      expect(json.analysis.degrees.decision).toEqual({ in: 1, out: 2 });
+    });
+  });
+
+  test("invalid --ids exits with error", () => {
+    try {
+      run(`${DECISION} --ids random`);
+      expect(false).toBe(true);
+    } catch (err) {
+      expect(err.status).toBe(1);
+      expect(err.stderr.toString()).toContain("--ids");
+    }
+  });
+
+  test("--watch converts once, then keeps watching", () => {
+    const result = spawnSync("node", [CLI, FIXTURE, "--watch"], { encoding: "utf-8", timeout: 1500 });
+    expect(result.stdout).toStartWith("graph LR");
+    expect(result.stderr).toContain("simple-flow.excalidraw: 3 nodes, 2 edges");
+    expect(result.stderr).toContain("Watching simple-flow.excalidraw");
+  });
+
+  describe("batch", () => {
+    const setup = (withBroken) => {
+      rmSync(BATCH_IN, { recursive: true, force: true });
+      rmSync(BATCH_OUT, { recursive: true, force: true });
+      mkdirSync(resolve(BATCH_IN, "sub"), { recursive: true });
+      copyFileSync(FIXTURE, resolve(BATCH_IN, "a.excalidraw"));
+      copyFileSync(DECISION, resolve(BATCH_IN, "sub", "b.excalidraw"));
+      if (withBroken) writeFileSync(resolve(BATCH_IN, "sub", "c.excalidraw"), "{broken");
+    };
+
+    test("directory input mirrors the tree under --out-dir", () => {
+      setup(false);
+      const output = run(`${BATCH_IN} --out-dir ${BATCH_OUT} --ext md`);
+      expect(readFileSync(resolve(BATCH_OUT, "a.md"), "utf-8")).toStartWith("```mermaid\ngraph LR");
+      expect(readFileSync(resolve(BATCH_OUT, "sub", "b.md"), "utf-8")).toContain("graph TD");
+      expect(output).toContain("2 converted, 0 failed");
+    });
+
+    test("failures are summarized and exit non-zero", () => {
+      setup(true);
+      const result = spawnSync("node", [CLI, BATCH_IN, "--out-dir", BATCH_OUT], { encoding: "utf-8", timeout: 10000 });
+      expect(result.status).toBe(1);
+      expect(result.stdout).toContain("2 converted, 1 failed");
+      expect(result.stdout).toMatch(/c\.excalidraw\s+-\s+-\s+Error:/);
+      expect(existsSync(resolve(BATCH_OUT, "sub", "b.mmd"))).toBe(true);
+    });
+
+    test("--json prints an array of per-file results", () => {
+      setup(false);
+      const results = JSON.parse(run(`"${BATCH_IN}/**/*.excalidraw" --out-dir ${BATCH_OUT} --json`));
+      expect(results.map((r) => [r.ok, r.nodeCount])).toEqual([[true, 3], [true, 4]]);
+      expect(results[1].output).toBe(resolve(BATCH_OUT, "sub", "b.mmd"));
+      expect(results[0].mermaid).toStartWith("graph LR");
+      expect(results[0]).not.toHaveProperty("text");
+      const dot = JSON.parse(run(`${BATCH_IN} --out-dir ${BATCH_OUT} --format dot --json`));
+      expect(dot[0].text).toStartWith("digraph {");
+      expect(dot[0]).not.toHaveProperty("mermaid");
+    });
+
+    test("inputs with the same output fail instead of overwriting", () => {
+      setup(false);
+      copyFileSync(resolve(__dirname, "fixtures", "simple-flow.excalidraw.png"), resolve(BATCH_IN, "a.excalidraw.png"));
+      const result = spawnSync("node", [CLI, BATCH_IN, "--out-dir", BATCH_OUT], { encoding: "utf-8", timeout: 10000 });
+      expect(result.status).toBe(1);
+      expect(result.stdout).toContain("1 converted, 2 failed");
+      expect(result.stdout).toMatch(/a\.excalidraw\s+-\s+-\s+Error: .*a\.mmd is also the output of .*a\.excalidraw\.png/);
+      expect(existsSync(resolve(BATCH_OUT, "a.mmd"))).toBe(false);
+      expect(existsSync(resolve(BATCH_OUT, "sub", "b.mmd"))).toBe(true);
+    });
+
+    test("--format picks the output extension and fence", () => {
+      setup(false);
+      run(`${BATCH_IN} --out-dir ${BATCH_OUT} --format dot`);
+      expect(readFileSync(resolve(BATCH_OUT, "a.dot"), "utf-8")).toStartWith("digraph {");
+      run(`${BATCH_IN} --out-dir ${BATCH_OUT} --format d2 --ext md`);
+      expect(readFileSync(resolve(BATCH_OUT, "a.md"), "utf-8")).toStartWith("```d2\ndirection: right");
+    });
+
+    test("--ext must match the format", () => {
+      const result = spawnSync("node", [CLI, FIXTURE, "--out-dir", BATCH_OUT, "--format", "dot", "--ext", "mmd"], {
+        encoding: "utf-8",
+        timeout: 10000,
+      });
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain("--ext must be .dot or .md");
+    });
+
+    test("--output with several inputs is an error", () => {
+      const result = spawnSync("node", [CLI, FIXTURE, DECISION, "-o", TMP_OUTPUT], { encoding: "utf-8", timeout: 10000 });
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain("--out-dir");
+    });
+  });
+
+  describe("sync", () => {
+    const doc = `# Flow\n\n<!-- excalidraw: test/fixtures/decision-flow.excalidraw -->\n\`\`\`mermaid\ngraph TD\n\`\`\`\n`;
+
+    test("--check reports stale blocks without writing", () => {
+      writeFileSync(SYNC_DOC, doc);
+      const result = spawnSync("node", [CLI, "sync", SYNC_DOC, "--check"], { encoding: "utf-8", timeout: 10000 });
+      expect(result.status).toBe(1);
+      expect(result.stdout).toContain("+    B -->|Yes| C");
+      expect(result.stdout).toContain("1 block, 1 stale");
+      expect(readFileSync(SYNC_DOC, "utf-8")).toBe(doc);
+    });
+
+    test("rewrites blocks, after which --check passes", () => {
+      writeFileSync(SYNC_DOC, doc);
+      expect(run(`sync ${SYNC_DOC}`)).toContain("1 block, 1 updated");
+      expect(readFileSync(SYNC_DOC, "utf-8")).toContain("    B -.->|No| D\n```\n");
+      expect(run(`sync ${SYNC_DOC} --check`)).toContain("1 block, 0 stale");
+    });
+
+    test("--check outside sync is an error", () => {
+      const result = spawnSync("node", [CLI, FIXTURE, "--check"], { encoding: "utf-8", timeout: 10000 });
+      expect(result.status).toBe(1);
+    });
+  });
 });
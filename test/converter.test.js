@@ -3,9 +3,19 @@ import {
   toMermaid,
   assignIds,
   shortId,
+  assignLabelIds,
+  assignGroupIds,
+  slugify,
+  orderGraph,
   renderNode,
+  usesExpandedShapes,
   renderConnector,
+  edgeHeads,
+  resolveGraph,
+  orientEdge,
   quoteLabel,
+  renderNodeStyle,
+  renderEdgeStyle,
 } from "../src/converter.js";
 
 describe("shortId", () => {
@@ -30,6 +40,115 @@ describe("assignIds", () => {
     expect(idMap.get("long_id_2")).toBe("B");
     expect(idMap.get("long_id_3")).toBe("C");
   });
+
+  const labeled = new Map([
+    ["x1a2b3c4d5", { label: "Process Order" }],
+    ["y9", { label: "process order!" }],
+    ["z8", { label: "end" }],
+    ["3abc", { label: "" }],
+    ["w7", { label: "2nd step", customId: "second" }],
+  ]);
+
+  test("label strategy slugifies with collision suffixes", () => {
+    expect([...assignIds(labeled, "label").values()]).toEqual([
+      "process_order",
+      "process_order_2",
+      "end_",
+      "n3abc",
+      "n2nd_step",
+    ]);
+  });
+
+  test("element strategy truncates element IDs", () => {
+    expect(assignIds(labeled, "element").get("x1a2b3c4d5")).toBe("x1a2b3c4");
+  });
+
+  test("custom strategy reads customId, else the label", () => {
+    const idMap = assignIds(labeled, "custom");
+    expect(idMap.get("w7")).toBe("second");
+    expect(idMap.get("x1a2b3c4d5")).toBe("process_order");
+  });
+
+  test("unknown strategy throws", () => {
+    expect(() => assignIds(labeled, "random")).toThrow("Unknown ID strategy");
+  });
+});
+
+describe("assignGroupIds", () => {
+  const groups = new Map([
+    ["frame-1", { label: "Backend" }],
+    ["g2", { label: "" }],
+  ]);
+
+  test("short strategy keeps sanitized element IDs", () => {
+    expect([...assignGroupIds(groups).values()]).toEqual(["frame_1", "g2"]);
+  });
+
+  test("label strategy avoids node IDs", () => {
+    const used = new Set(["backend"]);
+    expect([...assignGroupIds(groups, "label", used).values()]).toEqual(["backend_2", "g2"]);
+  });
+});
+
+describe("slugify", () => {
+  test("lowercases and joins words", () => expect(slugify("Hello, World")).toBe("hello_world"));
+  test("drops accents", () => expect(slugify("Café Crème")).toBe("cafe_creme"));
+  test("caps length", () => expect(slugify("a ".repeat(40)).length).toBeLessThanOrEqual(32));
+});
+
+describe("orderGraph", () => {
+  const graph = {
+    nodes: new Map([["b", { label: "B" }], ["a", { label: "A" }]]),
+    edges: [
+      { id: "e2", source: "b", target: "a" },
+      { id: "e1", source: "a", target: "b" },
+    ],
+    groups: new Map(),
+    direction: "TD",
+  };
+
+  test("document order is unchanged", () => {
+    expect(orderGraph(graph)).toBe(graph);
+  });
+
+  test("stable order sorts by element ID and edges by source", () => {
+    const ordered = orderGraph(graph, "stable");
+    expect([...ordered.nodes.keys()]).toEqual(["a", "b"]);
+    expect(ordered.edges.map((e) => e.id)).toEqual(["e1", "e2"]);
+  });
+
+  test("group members follow the node order", () => {
+    const grouped = { ...graph, groups: new Map([["g", { id: "g", members: ["b", "a"], parent: null }]]) };
+    expect(orderGraph(grouped, "stable").groups.get("g").members).toEqual(["a", "b"]);
+    expect(grouped.groups.get("g").members).toEqual(["b", "a"]);
+  });
+
+  test("layout order follows rank, and groups their first node", () => {
+    const sketch = {
+      nodes: new Map([
+        ["c", { x: 0, y: 200, width: 100, height: 50 }],
+        ["b", { x: 0, y: 100, width: 100, height: 50 }],
+        ["a", { x: 0, y: 0, width: 100, height: 50 }],
+      ]),
+      edges: [
+        { id: "e2", source: "b", target: "c" },
+        { id: "e1", source: "a", target: "b" },
+      ],
+      groups: new Map([
+        ["g2", { id: "g2", members: ["c"], parent: null }],
+        ["g1", { id: "g1", members: ["a"], parent: null }],
+      ]),
+      direction: "TD",
+    };
+    const ordered = orderGraph(sketch, "layout");
+    expect([...ordered.nodes.keys()]).toEqual(["a", "b", "c"]);
+    expect(ordered.edges.map((e) => e.id)).toEqual(["e1", "e2"]);
+    expect([...ordered.groups.keys()]).toEqual(["g1", "g2"]);
+  });
+
+  test("unknown order throws", () => {
+    expect(() => orderGraph(graph, "random")).toThrow("Unknown order");
+  });
 });
 
 describe("renderNode", () => {
@@ -61,6 +180,33 @@ describe("renderNode", () => {
     expect(renderNode("A", { shape: "rectangle", label: "DB: PostgreSQL" }))
       .toBe('A["DB: PostgreSQL"]');
   });
+
+  test("stadium and double circle use their classic brackets", () => {
+    expect(renderNode("A", { shape: "stadium", label: "Go" })).toBe("A([Go])");
+    expect(renderNode("B", { shape: "double-circle", label: "Stop" })).toBe("B(((Stop)))");
+  });
+
+  test("expanded syntax", () => {
+    expect(renderNode("A", { shape: "stadium", label: "Go" }, true)).toBe('A@{ shape: stadium, label: "Go" }');
+    expect(renderNode("B", { shape: "double-circle", label: "" }, true)).toBe('B@{ shape: dbl-circ, label: "B" }');
+    expect(renderNode("C", { shape: "subroutine", label: 'Say "hi"\nnow' }, true))
+      .toBe('C@{ shape: subproc, label: "Say #quot;hi#quot;<br>now" }');
+  });
+});
+
+describe("usesExpandedShapes", () => {
+  test("from Mermaid 11.3", () => {
+    expect(usesExpandedShapes(undefined)).toBe(false);
+    expect(usesExpandedShapes("10.9.1")).toBe(false);
+    expect(usesExpandedShapes("11.2")).toBe(false);
+    expect(usesExpandedShapes("11.3")).toBe(true);
+    expect(usesExpandedShapes("v11")).toBe(true);
+    expect(usesExpandedShapes(12)).toBe(true);
+  });
+
+  test("rejects other targets", () => {
+    expect(() => usesExpandedShapes("latest")).toThrow('Unknown Mermaid version "latest"');
+  });
 });
 
 describe("renderConnector", () => {
@@ -71,6 +217,84 @@ describe("renderConnector", () => {
   test("thick → ==>", () => expect(renderConnector({ style: "thick" })).toBe("==>"));
   test("thick-line → ===", () => expect(renderConnector({ style: "thick-line" })).toBe("==="));
   test("unknown defaults to -->", () => expect(renderConnector({ style: "unknown" })).toBe("-->"));
+
+  test("both ends", () => {
+    const both = { startArrowhead: "arrow", endArrowhead: "arrow" };
+    expect(renderConnector({ style: "arrow", ...both })).toBe("<-->");
+    expect(renderConnector({ style: "thick", ...both })).toBe("<==>");
+    expect(renderConnector({ style: "dotted", ...both })).toBe("<-.->");
+  });
+
+  test("circle and bar heads", () => {
+    expect(renderConnector({ style: "arrow", endArrowhead: "circle" })).toBe("--o");
+    expect(renderConnector({ style: "arrow", endArrowhead: "dot" })).toBe("--o");
+    expect(renderConnector({ style: "dotted", endArrowhead: "bar" })).toBe("-.-x");
+    expect(renderConnector({ style: "thick", endArrowhead: "bar" })).toBe("==x");
+    expect(renderConnector({ style: "arrow", startArrowhead: "circle_outline", endArrowhead: "bar" })).toBe("o--x");
+  });
+
+  test("other heads draw as arrows", () => {
+    expect(renderConnector({ style: "arrow", endArrowhead: "triangle_outline" })).toBe("-->");
+    expect(renderConnector({ style: "arrow", endArrowhead: "crowfoot_many" })).toBe("-->");
+  });
+});
+
+describe("edgeHeads", () => {
+  test("lines have no heads", () => {
+    expect(edgeHeads({ style: "dotted-line", endArrowhead: "arrow" })).toEqual({ start: null, end: null });
+  });
+
+  test("arrows end in a head, and start in one when both ends have heads", () => {
+    expect(edgeHeads({ style: "arrow" })).toEqual({ start: null, end: ">" });
+    expect(edgeHeads({ style: "thick", startArrowhead: "bar", endArrowhead: "dot" })).toEqual({ start: "x", end: "o" });
+  });
+});
+
+describe("resolveGraph", () => {
+  const nodes = new Map([
+    ["n1", { label: "Client", shape: "rectangle" }],
+    ["n2", { label: "API", shape: "rectangle" }],
+    ["n3", { label: "DB", shape: "rectangle" }],
+  ]);
+  const groups = new Map([
+    ["outer", { id: "outer", label: "Backend", members: ["n2"], parent: null }],
+    ["inner", { id: "inner", label: "Data", members: ["n3", "n2"], parent: "outer" }],
+  ]);
+
+  test("places each node in the first group listing it", () => {
+    const { members, looseNodes, children } = resolveGraph({ nodes, edges: [], groups, direction: "LR" });
+    expect([...members]).toEqual([["outer", ["n2"]], ["inner", ["n3"]]]);
+    expect(looseNodes).toEqual(["n1"]);
+    expect(children.get("outer").map((group) => group.id)).toEqual(["inner"]);
+  });
+
+  test("resolves edge ends to node and subgraph IDs", () => {
+    const warnings = [];
+    const edges = [
+      { id: "e1", source: "n2", target: "n1", startArrowhead: "arrow", endArrowhead: null },
+      { id: "e2", source: "n1", target: "inner" },
+      { id: "e3", source: "n1", target: "gone" },
+    ];
+    const resolved = resolveGraph({ nodes, edges, groups, direction: "LR" }, { warnings });
+    expect(resolved.direction).toBe("LR");
+    expect(resolved.edges.map(({ sourceId, targetId }) => [sourceId, targetId])).toEqual([["A", "B"], ["A", "inner"]]);
+    expect(warnings.map((w) => w.elementId)).toEqual(["e3"]);
+  });
+});
+
+describe("orientEdge", () => {
+  const edge = { source: "a", target: "b", startArrowhead: "circle", endArrowhead: null };
+
+  test("flips start-only arrows", () => {
+    expect(orientEdge(edge)).toEqual({ source: "b", target: "a", startArrowhead: null, endArrowhead: "circle" });
+  });
+
+  test("leaves other edges alone", () => {
+    const forward = { ...edge, startArrowhead: null, endArrowhead: "arrow" };
+    expect(orientEdge(forward)).toBe(forward);
+    const both = { ...edge, endArrowhead: "arrow" };
+    expect(orientEdge(both)).toBe(both);
+  });
 });
 
 describe("quoteLabel", () => {
@@ -162,6 +386,59 @@ describe("toMermaid", () => {
     expect(result).toContain("C[Client]");
   });
 
+  test("unlabeled containers get a blank title", () => {
+    const nodes = new Map([["n1", { label: "API", shape: "rectangle" }]]);
+    const groups = new Map([
+      ["kx8Zq2", { id: "kx8Zq2", label: "", members: ["n1"], parent: null, container: true }],
+    ]);
+    const result = toMermaid({ nodes, edges: [], groups, direction: "TD" });
+    expect(result).toBe('graph TD\n    subgraph kx8Zq2[" "]\n        A[API]\n    end\n');
+  });
+
+  test("renders nested subgraphs", () => {
+    const nodes = new Map([
+      ["n1", { label: "API", shape: "rectangle" }],
+      ["n2", { label: "DB", shape: "rectangle" }],
+    ]);
+    const groups = new Map([
+      ["inner", { id: "inner", label: "Data", members: ["n2"], parent: "outer" }],
+      ["outer", { id: "outer", label: "Backend", members: ["n1"], parent: null }],
+    ]);
+
+    const result = toMermaid({ nodes, edges: [], groups, direction: "TD" });
+    expect(result).toBe(
+      [
+        "graph TD",
+        "    subgraph outer[Backend]",
+        "        A[API]",
+        "        subgraph inner[Data]",
+        "            B[DB]",
+        "        end",
+        "    end",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("target picks the node syntax", () => {
+    const nodes = new Map([["n1", { label: "Start", shape: "stadium" }]]);
+    const graph = { nodes, edges: [], groups: new Map(), direction: "TD" };
+    expect(toMermaid(graph, { target: "10" })).toBe("graph TD\n    A([Start])\n");
+    expect(toMermaid(graph, { target: "11" })).toBe('graph TD\n    A@{ shape: stadium, label: "Start" }\n');
+  });
+
+  test("edges to a group target its subgraph", () => {
+    const nodes = new Map([
+      ["n1", { label: "Client", shape: "rectangle" }],
+      ["n2", { label: "API", shape: "rectangle" }],
+    ]);
+    const groups = new Map([["backend", { id: "backend", label: "Backend", members: ["n2"], parent: null }]]);
+    const edges = [{ source: "n1", target: "backend", label: "", style: "arrow" }];
+
+    const result = toMermaid({ nodes, edges, groups, direction: "LR" });
+    expect(result).toContain("    A --> backend\n");
+  });
+
   test("mixed node shapes", () => {
     const nodes = new Map([
       ["n1", { label: "Start", shape: "rounded" }],
@@ -193,3 +470,150 @@ describe("toMermaid", () => {
     expect(result).not.toContain("-->");
   });
 });
+
+describe("renderNodeStyle", () => {
+  test("default colors → empty", () => {
+    expect(renderNodeStyle({ strokeColor: "#1e1e1e", backgroundColor: "transparent" })).toBe("");
+    expect(renderNodeStyle({})).toBe("");
+  });
+
+  test("fill and stroke", () => {
+    expect(renderNodeStyle({ strokeColor: "#E03131", backgroundColor: "#ffc9c9" }))
+      .toBe("fill:#ffc9c9,stroke:#e03131");
+  });
+
+  test("dashed and dotted strokes", () => {
+    expect(renderNodeStyle({ strokeStyle: "dashed" })).toBe("stroke-dasharray:5 5");
+    expect(renderNodeStyle({ strokeStyle: "dotted" })).toBe("stroke-dasharray:2 2");
+    expect(renderNodeStyle({ shape: "subroutine", strokeStyle: "dashed" })).toBe("");
+  });
+});
+
+describe("renderEdgeStyle", () => {
+  test("default arrow → empty", () => {
+    expect(renderEdgeStyle({ strokeColor: "#1e1e1e", strokeWidth: 2 })).toBe("");
+  });
+
+  test("color and width", () => {
+    expect(renderEdgeStyle({ strokeColor: "#e03131", strokeWidth: 1 }))
+      .toBe("stroke:#e03131,stroke-width:1px");
+  });
+
+  test("thick width is carried by the connector", () => {
+    expect(renderEdgeStyle({ strokeWidth: 4 })).toBe("");
+  });
+});
+
+describe("toMermaid styles", () => {
+  const nodes = new Map([
+    ["n1", { label: "Stripe", shape: "rectangle", backgroundColor: "#ffc9c9", strokeColor: "#e03131" }],
+    ["n2", { label: "API", shape: "rectangle", backgroundColor: "#b2f2bb", strokeColor: "#2f9e44" }],
+    ["n3", { label: "DB", shape: "rectangle", backgroundColor: "#b2f2bb", strokeColor: "#2f9e44" }],
+    ["n4", { label: "Plain", shape: "rectangle", backgroundColor: "transparent" }],
+  ]);
+  const edges = [
+    { source: "n2", target: "n1", label: "", style: "arrow", strokeColor: "#e03131" },
+    { source: "n2", target: "missing", label: "", style: "arrow", strokeColor: "#e03131" },
+    { source: "n2", target: "n3", label: "", style: "arrow" },
+    { source: "n3", target: "n4", label: "", style: "arrow", strokeColor: "#e03131" },
+  ];
+  const graph = { nodes, edges, groups: new Map(), direction: "LR" };
+
+  test("shared colors share a class", () => {
+    const result = toMermaid(graph);
+    expect(result).toContain("classDef style1 fill:#ffc9c9,stroke:#e03131");
+    expect(result).toContain("classDef style2 fill:#b2f2bb,stroke:#2f9e44");
+    expect(result).toContain("class A style1");
+    expect(result).toContain("class B,C style2");
+    expect(result).not.toContain(" D style");
+  });
+
+  test("linkStyle indexes count rendered edges only", () => {
+    expect(toMermaid(graph)).toContain("linkStyle 0,2 stroke:#e03131");
+  });
+
+  test("styles: false leaves styling out", () => {
+    const result = toMermaid(graph, { styles: false });
+    expect(result).not.toContain("classDef");
+    expect(result).not.toContain("linkStyle");
+  });
+
+  test("palette names matching classes", () => {
+    const result = toMermaid(graph, {
+      palette: {
+        external: { backgroundColor: "#FFC9C9" },
+        owned: { backgroundColor: "#b2f2bb", strokeColor: "#2f9e44" },
+      },
+    });
+    expect(result).toContain("classDef external fill:#ffc9c9");
+    expect(result).toContain("classDef owned fill:#b2f2bb,stroke:#2f9e44");
+    expect(result).toContain("class A external");
+    expect(result).toContain("class B,C owned");
+  });
+});
+
+describe("toMermaid arrowheads", () => {
+  test("start-only arrows point the way they are drawn", () => {
+    const nodes = new Map([
+      ["n1", { label: "Client", shape: "rectangle" }],
+      ["n2", { label: "Server", shape: "rectangle" }],
+    ]);
+    const edges = [{ source: "n1", target: "n2", label: "reply", style: "arrow", startArrowhead: "arrow", endArrowhead: null }];
+    const mermaid = toMermaid({ nodes, edges, groups: new Map(), direction: "LR" });
+    expect(mermaid).toContain("    B -->|reply| A\n");
+  });
+});
+
+describe("toMermaid warnings", () => {
+  test("edges to nodes missing from the graph are reported", () => {
+    const nodes = new Map([["n1", { label: "A", shape: "rectangle" }]]);
+    const edges = [{ id: "e1", source: "n1", target: "gone", label: "", style: "arrow" }];
+    const warnings = [];
+    const mermaid = toMermaid({ nodes, edges, groups: new Map(), direction: "TD" }, { warnings });
+    expect(mermaid).toBe("graph TD\n    A[A]\n");
+    expect(warnings).toEqual([
+      {
+        code: "missing-endpoint",
+        message: "Edge end has no node in the output and was dropped",
+        elementId: "e1",
+        position: null,
+        lost: true,
+      },
+    ]);
+  });
+});
+
+describe("toMermaid links", () => {
+  test("linked nodes get click lines", () => {
+    const nodes = new Map([
+      ["n1", { label: "Docs", shape: "rectangle", link: "https://example.com/docs?a=\"b\"" }],
+      ["n2", { label: "Page", shape: "rectangle", link: "[[Checkout Flow#Steps|Checkout]]" }],
+      ["n3", { label: "Plain", shape: "rectangle", link: null }],
+    ]);
+    const mermaid = toMermaid({ nodes, edges: [], groups: new Map(), direction: "TD" });
+    expect(mermaid).toContain('    click A "https://example.com/docs?a=%22b%22"\n');
+    expect(mermaid).toContain('    click B "Checkout%20Flow#Steps"\n');
+    expect(mermaid).not.toContain("click C");
+  });
+});
+
+describe("assignLabelIds", () => {
+  test("plain unique labels become IDs", () => {
+    const idMap = assignLabelIds([
+      { id: "p1", label: "Client" },
+      { id: "p2", label: "Web Server" },
+      { id: "p3", label: "B" },
+    ]);
+    expect(idMap.get("p1")).toBe("Client");
+    expect(idMap.get("p2")).toBe("B");
+    expect(idMap.get("p3")).toBe("B_");
+  });
+
+  test("duplicate labels fall back to short IDs", () => {
+    const idMap = assignLabelIds([
+      { id: "p1", label: "Worker" },
+      { id: "p2", label: "Worker" },
+    ]);
+    expect([...idMap.values()]).toEqual(["A", "B"]);
+  });
+});
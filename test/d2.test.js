@@ -0,0 +1,80 @@
+import { describe, test, expect } from "bun:test";
+import { toD2, quoteD2, D2_SHAPES } from "../src/d2.js";
+import { SHAPE_BRACKETS, EXPANDED_SHAPES } from "../src/converter.js";
+import { graphOf } from "./helpers.js";
+
+describe("toD2", () => {
+  test("every shape has attributes", () => {
+    for (const shape of Object.keys({ ...SHAPE_BRACKETS, ...EXPANDED_SHAPES })) {
+      expect(D2_SHAPES[shape]).toBeDefined();
+    }
+  });
+
+  test("containers, paths and edge styles", () => {
+    const graph = graphOf(
+      [
+        { id: "a", label: "Client", shape: "stadium" },
+        { id: "b", label: "API", shape: "rounded" },
+        { id: "c", label: "DB: main", shape: "circle" },
+      ],
+      [
+        { source: "a", target: "b", label: "calls", style: "arrow" },
+        { source: "b", target: "c", label: "", style: "dotted-line" },
+        { source: "a", target: "outer", label: "", style: "thick", startArrowhead: "dot", endArrowhead: "cross" },
+      ],
+      [
+        { id: "outer", label: "Backend", members: ["b"] },
+        { id: "inner", label: "", members: ["c"], parent: "outer" },
+      ],
+      "LR"
+    );
+    expect(toD2(graph)).toBe(
+      [
+        "direction: right",
+        "outer: Backend {",
+        "  B: API {style.border-radius: 8}",
+        "  inner: {",
+        '    C: "DB: main" {shape: circle}',
+        "  }",
+        "}",
+        "A: Client {shape: oval}",
+        "A -> outer.B: calls",
+        "outer.B -- outer.inner.C {style.stroke-dash: 3}",
+        "A <-> outer {style.stroke-width: 4; source-arrowhead.shape: circle; target-arrowhead.shape: cross}",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("keywords are quoted as IDs", () => {
+    const graph = graphOf(
+      [{ id: "a", label: "Label" }, { id: "b", label: "Width" }, { id: "c", label: "Next" }],
+      [{ source: "a", target: "c", label: "", style: "arrow" }, { source: "b", target: "a", label: "", style: "arrow" }],
+      [{ id: "g", label: "Shape", members: ["b"] }]
+    );
+    expect(toD2(graph, { ids: "label" })).toBe(
+      [
+        "direction: down",
+        '"shape": Shape {',
+        '  "width": Width',
+        "}",
+        '"label": Label',
+        "next: Next",
+        '"label" -> next',
+        '"shape"."width" -> "label"',
+        "",
+      ].join("\n")
+    );
+  });
+});
+
+describe("quoteD2", () => {
+  test("leaves plain text bare", () => {
+    expect(quoteD2("Valid order?")).toBe("Valid order?");
+  });
+
+  test("quotes syntax characters and line breaks", () => {
+    expect(quoteD2("a; b")).toBe('"a; b"');
+    expect(quoteD2('Say "hi"\nnow')).toBe('"Say \\"hi\\"\\nnow"');
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, test, expect } from "bun:test";
+import { compareGraphs, countChanges, summarizeDiff, formatDiff, diffToMermaid } from "../src/diff.js";
+import { toMermaid } from "../src/converter.js";
+import { graphOf } from "./helpers.js";
+
+const before = graphOf(
+  [
+    { id: "a", label: "Client" },
+    { id: "b", label: "API" },
+    { id: "c", label: "Cache", backgroundColor: "transparent" },
+    { id: "d", label: "Legacy DB" },
+  ],
+  [
+    { id: "e1", source: "a", target: "b", label: "calls", style: "arrow" },
+    { id: "e2", source: "b", target: "d", label: "", style: "arrow" },
+    { id: "e3", source: "b", target: "c", label: "", style: "arrow" },
+  ],
+  [{ id: "g", label: "Backend", members: ["b", "c", "d"] }]
+);
+
+const after = graphOf(
+  [
+    { id: "a", label: "Browser" },
+    { id: "b", label: "API" },
+    { id: "c2", label: "Cache", backgroundColor: "#FFC9C9" },
+    { id: "q", label: "Queue", shape: "rounded" },
+  ],
+  [
+    { id: "e1", source: "a", target: "b", label: "requests", style: "arrow" },
+    { id: "x", source: "b", target: "c2", label: "", style: "dotted" },
+    { id: "e4", source: "b", target: "q", label: "enqueue", style: "arrow" },
+  ],
+  [{ id: "g", label: "Services", members: ["b", "q"] }]
+);
+
+describe("compareGraphs", () => {
+  test("nodes match by ID, then label", () => {
+    const diff = compareGraphs(before, after);
+    expect(diff.nodes).toEqual({
+      added: [{ id: "q", label: "Queue", shape: "rounded" }],
+      removed: [{ id: "d", label: "Legacy DB", shape: "rectangle" }],
+      relabeled: [{ id: "a", before: "Client", after: "Browser" }],
+      restyled: [
+        { id: "c2", label: "Cache", changes: { backgroundColor: { before: "transparent", after: "#FFC9C9" } } },
+      ],
+      moved: [{ id: "c2", label: "Cache", before: "Backend", after: null }],
+    });
+  });
+
+  test("edges match by their ends", () => {
+    const diff = compareGraphs(before, after);
+    expect(diff.edges.added).toEqual([
+      { id: "e4", source: "b", target: "q", from: "API", to: "Queue", label: "enqueue" },
+    ]);
+    expect(diff.edges.removed).toEqual([
+      { id: "e2", source: "b", target: "d", from: "API", to: "Legacy DB", label: "" },
+    ]);
+    expect(diff.edges.relabeled).toEqual([
+      { id: "e1", source: "a", target: "b", from: "Browser", to: "API", before: "calls", after: "requests" },
+    ]);
+    expect(diff.edges.restyled).toEqual([
+      { id: "x", source: "b", target: "c2", from: "API", to: "Cache", label: "", changes: { style: { before: "arrow", after: "dotted" } } },
+    ]);
+  });
+
+  test("groups match by ID, then label", () => {
+    expect(compareGraphs(before, after).groups).toEqual({
+      added: [],
+      removed: [],
+      renamed: [{ id: "g", before: "Backend", after: "Services" }],
+    });
+
+    const moved = graphOf([...after.nodes.values()], [], [{ id: "g9", label: "Backend", members: ["b"] }]);
+    const diff = compareGraphs(graphOf([...after.nodes.values()], [], [{ id: "g1", label: "Backend", members: ["b"] }]), moved);
+    expect(countChanges(diff)).toBe(0);
+  });
+
+  test("a transparent or empty fill is the same as none", () => {
+    const fills = [undefined, null, "", "transparent", "Transparent"];
+    for (const a of fills) {
+      for (const b of fills) {
+        const diff = compareGraphs(graphOf([{ id: "a", label: "A", backgroundColor: a }]), graphOf([{ id: "a", label: "A", backgroundColor: b }]));
+        expect(countChanges(diff)).toBe(0);
+      }
+    }
+  });
+
+  test("a graph has no changes against itself", () => {
+    const diff = compareGraphs(before, before);
+    expect(countChanges(diff)).toBe(0);
+    expect(summarizeDiff(diff)).toBe("no changes");
+  });
+});
+
+describe("formatDiff", () => {
+  test("one line per change and a summary", () => {
+    expect(formatDiff(compareGraphs(before, after))).toBe(
+      [
+        "Nodes",
+        '  + "Queue"',
+        '  - "Legacy DB"',
+        '  ~ "Client" → "Browser"',
+        '  ~ "Cache": fill transparent → #FFC9C9',
+        '  ~ "Cache": moved from "Backend" to top level',
+        "Edges",
+        '  + "API" → "Queue": "enqueue"',
+        '  - "API" → "Legacy DB"',
+        '  ~ "Browser" → "API": label "calls" → "requests"',
+        '  ~ "API" → "Cache": style arrow → dotted',
+        "Groups",
+        '  ~ "Backend" → "Services"',
+        "",
+        "Nodes: 1 added, 1 removed, 1 relabeled, 1 restyled, 1 moved; edges: 1 added, 1 removed, 1 relabeled, 1 restyled; groups: 1 renamed",
+        "",
+      ].join("\n")
+    );
+    expect(formatDiff(compareGraphs(before, before))).toBe("No changes\n");
+  });
+});
+
+describe("diffToMermaid", () => {
+  test("highlights changes in the newer graph", () => {
+    const mermaid = diffToMermaid(before, after);
+    expect(mermaid).toBe(
+      [
+        "graph TD",
+        "    subgraph g[Services]",
+        "        B[API]",
+        "        D(Queue)",
+        "        E[Legacy DB]",
+        "    end",
+        "    A[Browser]",
+        "    C[Cache]",
+        "    A -->|requests| B",
+        "    B -.-> C",
+        "    B -->|enqueue| D",
+        "    B -.-> E",
+        "    classDef changed fill:#ffec99,stroke:#f08c00",
+        "    classDef added fill:#b2f2bb,stroke:#2f9e44",
+        "    classDef removed fill:#ffc9c9,stroke:#e03131,stroke-dasharray:5 5",
+        "    class A,C changed",
+        "    class D added",
+        "    class E removed",
+        "    linkStyle 0,1 stroke:#f08c00",
+        "    linkStyle 2 stroke:#2f9e44",
+        "    linkStyle 3 stroke:#e03131",
+        "    style g fill:#ffec99,stroke:#f08c00",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("unchanged graphs lose their colors", () => {
+    const colored = graphOf([{ id: "a", label: "A", backgroundColor: "#ffc9c9" }]);
+    expect(diffToMermaid(colored, colored)).toBe(toMermaid(colored, { styles: false }));
+  });
+
+  test("removed groups come back", () => {
+    const grouped = graphOf([{ id: "a", label: "A" }, { id: "b", label: "B" }], [], [{ id: "g", label: "Old", members: ["a", "b"] }]);
+    const mermaid = diffToMermaid(grouped, graphOf([{ id: "a", label: "A" }]));
+    expect(mermaid).toContain("    subgraph g[Old]\n        B[B]\n    end\n");
+    expect(mermaid).toContain("    style g fill:#ffc9c9,stroke:#e03131,stroke-dasharray:5 5\n");
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, test, expect } from "bun:test";
+import { toDot, quoteDot, DOT_SHAPES } from "../src/dot.js";
+import { SHAPE_BRACKETS, EXPANDED_SHAPES } from "../src/converter.js";
+import { graphOf } from "./helpers.js";
+
+describe("toDot", () => {
+  test("every shape has attributes", () => {
+    for (const shape of Object.keys({ ...SHAPE_BRACKETS, ...EXPANDED_SHAPES })) {
+      expect(DOT_SHAPES[shape]).toBeDefined();
+    }
+  });
+
+  test("nodes, edges and direction", () => {
+    const graph = graphOf(
+      [{ id: "a", label: "Start", shape: "rounded" }, { id: "b", label: "Valid?", shape: "diamond" }],
+      [{ id: "e", source: "a", target: "b", label: "go", style: "arrow" }],
+      [],
+      "LR"
+    );
+    expect(toDot(graph)).toBe(
+      [
+        "digraph {",
+        "    rankdir=LR;",
+        "    A [label=Start, shape=box, style=rounded];",
+        '    B [label="Valid?", shape=diamond];',
+        "    A -> B [label=go];",
+        "}",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("edge styles and heads", () => {
+    const nodes = [{ id: "a", label: "A" }, { id: "b", label: "B" }];
+    const edge = (style, extra = {}) => ({ source: "a", target: "b", label: "", style, ...extra });
+    const lines = (edges) => toDot(graphOf(nodes, edges)).split("\n").filter((line) => line.includes("->"));
+    expect(lines([
+      edge("line"),
+      edge("dotted"),
+      edge("thick-line"),
+      edge("arrow", { startArrowhead: "arrow", endArrowhead: "dot" }),
+      edge("arrow", { endArrowhead: "bar" }),
+    ])).toEqual([
+      "    A -> B [arrowhead=none];",
+      "    A -> B [style=dashed];",
+      "    A -> B [penwidth=2, arrowhead=none];",
+      "    A -> B [arrowhead=dot, dir=both, arrowtail=normal];",
+      "    A -> B [arrowhead=tee];",
+    ]);
+  });
+
+  test("groups become nested clusters, and edges to them are clipped", () => {
+    const graph = graphOf(
+      [{ id: "a", label: "Client" }, { id: "b", label: "API" }],
+      [{ source: "a", target: "outer", label: "", style: "arrow" }],
+      [
+        { id: "outer", label: "Backend", members: [] },
+        { id: "inner", label: "", members: ["b"], parent: "outer" },
+      ]
+    );
+    expect(toDot(graph)).toBe(
+      [
+        "digraph {",
+        "    rankdir=TB;",
+        "    compound=true;",
+        "    subgraph cluster_outer {",
+        '        label="Backend";',
+        "        subgraph cluster_inner {",
+        "            B [label=API, shape=box];",
+        "        }",
+        "    }",
+        "    A [label=Client, shape=box];",
+        "    A -> B [lhead=cluster_outer];",
+        "}",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("quotes IDs that are not plain words", () => {
+    const graph = graphOf([{ id: "x", label: "Node" }, { id: "y", label: "Edge" }]);
+    const dot = toDot(graph, { ids: "label" });
+    expect(dot).toContain('    "node" [label="Node", shape=box];');
+    expect(dot).toContain('    "edge" [label="Edge", shape=box];');
+  });
+
+  test("reports edges with a missing end", () => {
+    const warnings = [];
+    toDot(graphOf([{ id: "a", label: "A" }], [{ id: "e", source: "a", target: "gone", style: "arrow" }]), { warnings });
+    expect(warnings.map((w) => w.code)).toEqual(["missing-endpoint"]);
+  });
+});
+
+describe("quoteDot", () => {
+  test("escapes quotes, backslashes and newlines", () => {
+    expect(quoteDot('Say "hi"\nC:\\temp')).toBe('"Say \\"hi\\"\\nC:\\\\temp"');
+  });
+});
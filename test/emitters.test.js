@@ -0,0 +1,22 @@
+import { describe, test, expect } from "bun:test";
+import { registerEmitter, getEmitter, listFormats } from "../src/emitters.js";
+
+describe("emitter registry", () => {
+  test("built-in formats", () => {
+    expect(listFormats().slice(0, 4)).toEqual(["mermaid", "dot", "plantuml", "d2"]);
+    expect(getEmitter("mermaid").extension).toBe(".mmd");
+    expect(getEmitter("plantuml")).toMatchObject({ extension: ".puml", language: "plantuml" });
+  });
+
+  test("registers a format with default extension and language", () => {
+    const emit = (graph) => `${graph.nodes.size} nodes\n`;
+    registerEmitter("count", emit);
+    expect(getEmitter("count")).toEqual({ format: "count", emit, extension: ".count", language: "count" });
+    expect(listFormats()).toContain("count");
+  });
+
+  test("rejects unknown formats and non-function emitters", () => {
+    expect(() => getEmitter("svg")).toThrow('Unknown format "svg"');
+    expect(() => registerEmitter("svg", "nope")).toThrow("must be a function");
+  });
+});
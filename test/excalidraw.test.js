@@ -0,0 +1,162 @@
+import { describe, test, expect } from "bun:test";
+import {
+  toExcalidraw,
+  layoutGraph,
+  SHAPE_ELEMENTS,
+  ARROW_ELEMENTS,
+} from "../src/excalidraw.js";
+import { SHAPE_BRACKETS, CONNECTORS } from "../src/converter.js";
+import { mapShape, mapArrowStyle, parseDocument } from "../src/parser.js";
+import { graphOf } from "./helpers.js";
+
+describe("element tables", () => {
+  test("every shape maps back through mapShape", () => {
+    // Stadiums are told from circles by their size, tested below
+    for (const shape of Object.keys(SHAPE_BRACKETS).filter((shape) => shape !== "stadium")) {
+      expect(mapShape(SHAPE_ELEMENTS[shape])).toBe(shape);
+    }
+  });
+
+  test("every edge style maps back through mapArrowStyle", () => {
+    for (const style of Object.keys(CONNECTORS)) {
+      expect(mapArrowStyle(ARROW_ELEMENTS[style])).toBe(style);
+    }
+  });
+});
+
+describe("layoutGraph", () => {
+  const graph = graphOf(
+    [{ id: "a", label: "A" }, { id: "b", label: "B" }],
+    [{ source: "a", target: "b" }]
+  );
+
+  test("TD stacks ranks vertically", () => {
+    const boxes = layoutGraph(graph, "TD");
+    expect(boxes.get("b").y).toBeGreaterThan(boxes.get("a").y);
+    expect(boxes.get("b").x).toBe(boxes.get("a").x);
+  });
+
+  test("LR places ranks horizontally", () => {
+    const boxes = layoutGraph(graph, "LR");
+    expect(boxes.get("b").x).toBeGreaterThan(boxes.get("a").x);
+  });
+
+  test("BT reverses the flow", () => {
+    const boxes = layoutGraph(graph, "BT");
+    expect(boxes.get("b").y).toBeLessThan(boxes.get("a").y);
+  });
+
+  test("links to a group place its nodes after the source", () => {
+    const grouped = graphOf(
+      [{ id: "a", label: "A" }, { id: "b", label: "B" }, { id: "c", label: "C" }],
+      [{ source: "a", target: "g" }, { source: "g", target: "c" }],
+      [{ id: "g", label: "G", members: ["b"] }]
+    );
+    const boxes = layoutGraph(grouped, "TD");
+    expect(boxes.get("b").y).toBeGreaterThan(boxes.get("a").y);
+    expect(boxes.get("c").y).toBeGreaterThan(boxes.get("b").y);
+  });
+});
+
+describe("toExcalidraw", () => {
+  test("accepts Mermaid source", () => {
+    const scene = toExcalidraw("graph TD\n  A[Start] --> B[End]\n");
+    expect(scene.type).toBe("excalidraw");
+    const types = scene.elements.map((el) => el.type);
+    expect(types.filter((t) => t === "rectangle").length).toBe(2);
+    expect(types).toContain("arrow");
+  });
+
+  test("stadiums and double circles read back", () => {
+    const scene = toExcalidraw(graphOf([
+      { id: "a", label: "Go", shape: "stadium" },
+      { id: "b", label: "Stop", shape: "double-circle", strokeStyle: "solid" },
+    ]));
+    const shapes = scene.elements.filter((el) => el.type === "ellipse");
+    expect(shapes.map(mapShape)).toEqual(["stadium", "double-circle"]);
+  });
+
+  test("circles stay round and stadiums long whatever the label", () => {
+    const scene = toExcalidraw(graphOf([
+      { id: "a", label: "Start", shape: "circle" },
+      { id: "b", label: "A much longer circle label", shape: "circle" },
+      { id: "c", label: "Three\nline\nstadium", shape: "stadium" },
+    ]));
+    const shapes = scene.elements.filter((el) => el.type === "ellipse");
+    expect(shapes.map(mapShape)).toEqual(["circle", "circle", "stadium"]);
+    expect(shapes[0].width).toBe(shapes[0].height);
+  });
+
+  test("labels are bound text", () => {
+    const scene = toExcalidraw(graphOf([{ id: "a", label: "Hello" }]));
+    const shape = scene.elements.find((el) => el.type === "rectangle");
+    const text = scene.elements.find((el) => el.type === "text");
+    expect(text.containerId).toBe(shape.id);
+    expect(text.text).toBe("Hello");
+    expect(shape.boundElements).toContainEqual({ id: text.id, type: "text" });
+  });
+
+  test("arrows bind both ends", () => {
+    const scene = toExcalidraw(
+      graphOf(
+        [{ id: "a", label: "A" }, { id: "b", label: "B" }],
+        [{ source: "a", target: "b", label: "go", style: "dotted" }]
+      )
+    );
+    const arrow = scene.elements.find((el) => el.type === "arrow");
+    expect(arrow.startBinding.elementId).toBe("node-a");
+    expect(arrow.endBinding.elementId).toBe("node-b");
+    expect(arrow.strokeStyle).toBe("dashed");
+    const label = scene.elements.find((el) => el.containerId === arrow.id);
+    expect(label.text).toBe("go");
+  });
+
+  test("groups become frames around their members only", () => {
+    const scene = toExcalidraw(
+      graphOf(
+        [{ id: "a", label: "A" }, { id: "b", label: "B" }, { id: "c", label: "C" }],
+        [{ source: "c", target: "a" }, { source: "a", target: "b" }],
+        [{ id: "g1", label: "Backend", members: ["a", "b"] }]
+      )
+    );
+    const frame = scene.elements.find((el) => el.type === "frame");
+    expect(frame.name).toBe("Backend");
+    const { groups } = parseDocument(scene);
+    expect(groups.get("g1").members).toEqual(["node-a", "node-b"]);
+  });
+
+  test("nested groups become nested frames", () => {
+    const scene = toExcalidraw(
+      "graph TD\n  subgraph outer[Outer]\n    A\n    subgraph inner[Inner]\n      B\n    end\n  end\n  C --> A\n"
+    );
+    const { groups } = parseDocument(scene);
+    expect(groups.get("outer")).toMatchObject({ members: ["node-A"], parent: null });
+    expect(groups.get("inner")).toMatchObject({ members: ["node-B"], parent: "outer" });
+  });
+
+  test("node and arrow colors carry over", () => {
+    const scene = toExcalidraw(
+      "graph TD\n  A((Start)):::red --> B\n  classDef red fill:#ffc9c9,stroke:#e03131,stroke-dasharray:5 5\n" +
+        "  linkStyle 0 stroke:#2f9e44,stroke-width:1px\n"
+    );
+    const ellipse = scene.elements.find((el) => el.type === "ellipse");
+    expect(ellipse).toMatchObject({
+      backgroundColor: "#ffc9c9",
+      strokeColor: "#e03131",
+      strokeStyle: "dashed",
+    });
+    const arrow = scene.elements.find((el) => el.type === "arrow");
+    expect(arrow).toMatchObject({ strokeColor: "#2f9e44", strokeWidth: 1 });
+  });
+
+  test("class styling does not change a rectangle's shape", () => {
+    const scene = toExcalidraw("graph TD\n  A[Box]\n  style A stroke-dasharray:5 5\n");
+    const shape = scene.elements.find((el) => el.type === "rectangle");
+    expect(mapShape(shape)).toBe("rectangle");
+  });
+
+  test("output is deterministic", () => {
+    const source = "graph TD\n  A --> B\n  B --> A\n";
+    expect(toExcalidraw(source)).toEqual(toExcalidraw(source));
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, test, expect } from "bun:test";
+import { resolve, dirname, join } from "path";
+import { fileURLToPath } from "url";
+import {
+  expandInputs,
+  outputPathFor,
+  renderOutput,
+  globToRegExp,
+  isGlob,
+  decodeDataUrl,
+  readInput,
+  INPUT_EXTENSIONS,
+} from "../src/files.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FIXTURES = resolve(__dirname, "fixtures");
+
+describe("globToRegExp", () => {
+  test("* stays within a directory", () => {
+    const re = globToRegExp("*.excalidraw");
+    expect(re.test("a.excalidraw")).toBe(true);
+    expect(re.test("sub/a.excalidraw")).toBe(false);
+  });
+
+  test("**/ matches any depth, including none", () => {
+    const re = globToRegExp("**/*.excalidraw");
+    expect(re.test("a.excalidraw")).toBe(true);
+    expect(re.test("x/y/a.excalidraw")).toBe(true);
+  });
+
+  test("? and {a,b}", () => {
+    const re = globToRegExp("flow-?.{mmd,md}");
+    expect(re.test("flow-1.md")).toBe(true);
+    expect(re.test("flow-12.mmd")).toBe(false);
+    expect(re.test("flow-1.txt")).toBe(false);
+  });
+
+  test("dots are literal", () => expect(globToRegExp("a.b").test("axb")).toBe(false));
+});
+
+describe("isGlob", () => {
+  test("detects wildcards", () => {
+    expect(isGlob("docs/*.excalidraw")).toBe(true);
+    expect(isGlob("docs/a.excalidraw")).toBe(false);
+  });
+
+  test("data: URLs are not globs", () => {
+    expect(isGlob('data:,{"elements":[]}')).toBe(false);
+  });
+});
+
+describe("decodeDataUrl", () => {
+  test("base64 payload", () => {
+    const url = `data:application/json;base64,${Buffer.from('{"a":"é"}').toString("base64")}`;
+    expect(decodeDataUrl(url).toString("utf-8")).toBe('{"a":"é"}');
+  });
+
+  test("percent-encoded payload", () => {
+    expect(decodeDataUrl("data:,%7B%22elements%22%3A%5B%5D%7D").toString("utf-8")).toBe('{"elements":[]}');
+    expect(decodeDataUrl("data:text/plain,[]").toString("utf-8")).toBe("[]");
+  });
+
+  test("missing comma", () => {
+    expect(() => decodeDataUrl("data:text/plain")).toThrow("Invalid data: URL");
+  });
+});
+
+describe("readInput", () => {
+  test("reads files and data: URLs", () => {
+    expect(readInput(join(FIXTURES, "simple-flow.mmd")).toString("utf-8")).toContain("graph");
+    expect(readInput("data:,[]").toString("utf-8")).toBe("[]");
+  });
+});
+
+describe("expandInputs", () => {
+  test("directories pick up matching extensions recursively", () => {
+    const { files } = expandInputs([FIXTURES], INPUT_EXTENSIONS.mermaid);
+    expect(files).toEqual([{ path: join(FIXTURES, "simple-flow.mmd"), base: FIXTURES }]);
+  });
+
+  test("globs match below their static base", () => {
+    const { files } = expandInputs([`${FIXTURES}/simple-*.excalidraw`], INPUT_EXTENSIONS.excalidraw);
+    expect(files.map((f) => f.path)).toEqual([join(FIXTURES, "simple-flow.excalidraw")]);
+    expect(files[0].base).toBe(FIXTURES);
+  });
+
+  test("duplicates are dropped and misses reported", () => {
+    const file = join(FIXTURES, "empty.excalidraw");
+    const { files, unmatched } = expandInputs([file, file, "missing.excalidraw", "none/*.x"], [".excalidraw"]);
+    expect(files).toEqual([{ path: file, base: FIXTURES }]);
+    expect(unmatched).toEqual(["missing.excalidraw", "none/*.x"]);
+  });
+});
+
+describe("outputPathFor", () => {
+  const file = { path: "/src/docs/arch/api.excalidraw", base: "/src/docs" };
+
+  test("mirrors the tree below the base", () => {
+    expect(outputPathFor(file, "/out", ".md", [".excalidraw"])).toBe("/out/arch/api.md");
+  });
+
+  test("writes next to the input without an out dir", () => {
+    expect(outputPathFor(file, null, ".mmd", [".excalidraw"])).toBe("/src/docs/arch/api.mmd");
+  });
+});
+
+describe("renderOutput", () => {
+  test("fences Markdown output", () => {
+    expect(renderOutput("graph TD\n", ".md")).toBe("```mermaid\ngraph TD\n```\n");
+    expect(renderOutput("graph TD\n", ".mmd")).toBe("graph TD\n");
+  });
+
+  test("labels the fence with the language", () => {
+    expect(renderOutput("direction: down\n", ".md", "d2")).toBe("```d2\ndirection: down\n```\n");
+  });
+});
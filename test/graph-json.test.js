@@ -0,0 +1,95 @@
+import { describe, test, expect } from "bun:test";
+import { readFileSync, readdirSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { toGraphJson, fromGraphJson, isGraphJson, GRAPH_JSON_SCHEMA } from "../src/graph-json.js";
+import { toMermaid } from "../src/converter.js";
+import { parseDocument } from "../src/parser.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FIXTURES = resolve(__dirname, "fixtures");
+
+const graph = {
+  nodes: new Map([
+    ["a1", { id: "a1", label: "Client", shape: "rectangle", x: 0, y: 0, width: 100, height: 50, strokeStyle: "solid", strokeColor: "#1e1e1e", backgroundColor: "transparent", groupIds: [], frameId: null, customId: null, link: null }],
+    ["b2", { id: "b2", label: "API", shape: "rounded", x: 200, y: 0, width: 100, height: 50, strokeStyle: "dashed", strokeColor: "#e03131", backgroundColor: "#ffc9c9", groupIds: [], frameId: "f", customId: "api", link: "https://example.com" }],
+  ]),
+  edges: [
+    { id: "e1", source: "a1", target: "b2", label: "calls", style: "dotted", inferred: true, strokeColor: "#1e1e1e", strokeWidth: 2, startArrowhead: null, endArrowhead: "arrow" },
+    { id: "e2", source: "a1", target: "f", label: "", style: "line", inferred: false, strokeColor: "#1e1e1e", strokeWidth: 2, startArrowhead: null, endArrowhead: null },
+  ],
+  groups: new Map([["f", { id: "f", label: "Backend", members: ["b2"], parent: null, customId: null }]]),
+  direction: "LR",
+};
+
+describe("toGraphJson", () => {
+  test("writes the documented schema", () => {
+    const json = toGraphJson(graph);
+    expect(json.graph.metadata).toEqual({
+      schema: GRAPH_JSON_SCHEMA,
+      version: 1,
+      direction: "LR",
+      ids: "short",
+      groups: [{ id: "f", label: "Backend", parent: null, members: ["b2"], shortId: "f", customId: null, container: false }],
+    });
+    expect(json.graph.nodes.b2).toEqual({
+      label: "API",
+      metadata: {
+        shortId: "B",
+        shape: "rounded",
+        geometry: { x: 200, y: 0, width: 100, height: 50 },
+        style: { strokeColor: "#e03131", backgroundColor: "#ffc9c9", strokeStyle: "dashed" },
+        groupIds: [],
+        frameId: "f",
+        customId: "api",
+        link: "https://example.com",
+      },
+    });
+    expect(json.graph.edges).toEqual([
+      {
+        id: "e1", source: "a1", target: "b2", label: "calls", directed: true,
+        metadata: { style: "dotted", inferred: true, startArrowhead: null, endArrowhead: "arrow", strokeColor: "#1e1e1e", strokeWidth: 2 },
+      },
+      {
+        id: "e2", source: "a1", target: "f", label: "", directed: false,
+        metadata: { style: "line", inferred: false, startArrowhead: null, endArrowhead: null, strokeColor: "#1e1e1e", strokeWidth: 2 },
+      },
+    ]);
+  });
+
+  test("short IDs follow the ids option", () => {
+    const json = toGraphJson(graph, { ids: "label" });
+    expect(json.graph.metadata.ids).toBe("label");
+    expect(json.graph.nodes.a1.metadata.shortId).toBe("client");
+  });
+});
+
+describe("fromGraphJson", () => {
+  test("reads the graph back", () => {
+    const read = fromGraphJson(JSON.stringify(toGraphJson(graph)));
+    expect(read.direction).toBe("LR");
+    expect(read.nodes.get("b2")).toEqual(graph.nodes.get("b2"));
+    expect(read.edges).toEqual(graph.edges);
+    expect(read.groups).toEqual(graph.groups);
+  });
+
+  test("every fixture converts the same through graph JSON", () => {
+    const files = readdirSync(FIXTURES).filter((name) => name.endsWith(".excalidraw"));
+    for (const name of files) {
+      const doc = JSON.parse(readFileSync(resolve(FIXTURES, name), "utf-8"));
+      const parsed = parseDocument(doc, { groupEdges: true });
+      for (const options of [{}, { ids: "label", order: "stable" }]) {
+        const json = JSON.parse(JSON.stringify(toGraphJson(parsed, options)));
+        expect(toMermaid(fromGraphJson(json), options)).toBe(toMermaid(parsed, options));
+      }
+    }
+  });
+
+  test("rejects other JSON and later versions", () => {
+    expect(isGraphJson({ type: "excalidraw", elements: [] })).toBe(false);
+    expect(() => fromGraphJson({ type: "excalidraw" })).toThrow("Not graph JSON");
+    const later = toGraphJson(graph);
+    later.graph.metadata.version = 2;
+    expect(() => fromGraphJson(later)).toThrow("Unsupported graph JSON version 2");
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, test, expect } from "bun:test";
+import { assignRanks, readingOrder, longestPath, stronglyConnected } from "../src/graph.js";
+
+describe("assignRanks", () => {
+  test("longest path from sources", () => {
+    const nodes = new Map([["a", {}], ["b", {}], ["c", {}]]);
+    const edges = [
+      { source: "a", target: "b" },
+      { source: "b", target: "c" },
+      { source: "a", target: "c" },
+    ];
+    const ranks = assignRanks(nodes, edges);
+    expect([...ranks.values()]).toEqual([0, 1, 2]);
+  });
+
+  test("cycles do not loop forever", () => {
+    const nodes = new Map([["a", {}], ["b", {}]]);
+    const edges = [
+      { source: "a", target: "b" },
+      { source: "b", target: "a" },
+      { source: "a", target: "a" },
+    ];
+    const ranks = assignRanks(nodes, edges);
+    expect(ranks.get("a")).toBe(0);
+    expect(ranks.get("b")).toBe(1);
+  });
+});
+
+describe("readingOrder", () => {
+  const nodes = new Map([
+    ["right", { x: 200, y: 100, width: 100, height: 50 }],
+    ["left", { x: 0, y: 100, width: 100, height: 50 }],
+    ["top", { x: 100, y: 0, width: 100, height: 50 }],
+  ]);
+  const edges = [
+    { source: "top", target: "right" },
+    { source: "top", target: "left" },
+  ];
+
+  test("TD sorts by rank, then left to right", () => {
+    expect(readingOrder(nodes, edges, "TD")).toEqual(["top", "left", "right"]);
+  });
+
+  test("LR sorts by rank, then top to bottom", () => {
+    const lr = new Map([
+      ["src", { x: 0, y: 50, width: 100, height: 50 }],
+      ["low", { x: 200, y: 200, width: 100, height: 50 }],
+      ["high", { x: 200, y: 0, width: 100, height: 50 }],
+    ]);
+    const lrEdges = [
+      { source: "src", target: "low" },
+      { source: "src", target: "high" },
+    ];
+    expect(readingOrder(lr, lrEdges, "LR")).toEqual(["src", "high", "low"]);
+  });
+
+  test("nodes without positions keep their order", () => {
+    const bare = new Map([["b", {}], ["a", {}]]);
+    expect(readingOrder(bare, [], "TD")).toEqual(["b", "a"]);
+  });
+});
+
+describe("longestPath", () => {
+  test("follows the most edges", () => {
+    const nodes = new Map([["a", {}], ["b", {}], ["c", {}], ["d", {}]]);
+    const edges = [
+      { source: "a", target: "d" },
+      { source: "a", target: "b" },
+      { source: "b", target: "c" },
+      { source: "c", target: "d" },
+    ];
+    expect(longestPath(nodes, edges)).toEqual(["a", "b", "c", "d"]);
+  });
+
+  test("skips edges that close a cycle", () => {
+    const nodes = new Map([["a", {}], ["b", {}], ["c", {}]]);
+    const edges = [
+      { source: "a", target: "b" },
+      { source: "b", target: "c" },
+      { source: "c", target: "a" },
+    ];
+    expect(longestPath(nodes, edges)).toEqual(["a", "b", "c"]);
+  });
+
+  test("no edges, no path", () => {
+    expect(longestPath(new Map([["a", {}]]), [])).toEqual([]);
+  });
+});
+
+describe("stronglyConnected", () => {
+  test("groups nodes that reach each other, in document order", () => {
+    const nodes = new Map([["a", {}], ["b", {}], ["c", {}], ["d", {}], ["e", {}]]);
+    const edges = [
+      { source: "a", target: "b" },
+      { source: "b", target: "c" },
+      { source: "c", target: "b" },
+      { source: "c", target: "d" },
+      { source: "d", target: "e" },
+      { source: "e", target: "d" },
+    ];
+    expect(stronglyConnected(nodes, edges)).toEqual([["a"], ["b", "c"], ["d", "e"]]);
+  });
+});
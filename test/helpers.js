@@ -0,0 +1,10 @@
+/**
+ * Build a parsed graph from plain lists, with rectangles and top-level
+ * groups unless given otherwise.
+ */
+export const graphOf = (nodes, edges = [], groups = [], direction = "TD") => ({
+  nodes: new Map(nodes.map((n) => [n.id, { shape: "rectangle", ...n }])),
+  edges,
+  groups: new Map(groups.map((g) => [g.id, { parent: null, ...g }])),
+  direction,
+});
@@ -2,7 +2,8 @@ import { describe, test, expect } from "bun:test";
 import { readFileSync, unlinkSync } from "fs";
 import { resolve, dirname } from "path";
 import { fileURLToPath } from "url";
-import { convert, convertFile } from "../src/index.js";
+import { convert, convertFile, convertMermaid, parseMermaid, toExcalidraw, registerEmitter, diffGraphs, parseDocument, textconv, analyze } from "../src/index.js";
+import { EXPANDED_SHAPES } from "../src/converter.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const fixture = (name) => resolve(__dirname, "fixtures", name);
@@ -21,6 +22,123 @@ describe("convert (API)", () => {
     expect(result.mermaid).toContain("-->");
   });
 
+  test("format picks the emitter", () => {
+    const doc = JSON.parse(readFileSync(fixture("simple-flow.excalidraw"), "utf-8"));
+    const mermaid = convert(doc);
+    expect(mermaid.format).toBe("mermaid");
+    expect(mermaid.text).toBe(mermaid.mermaid);
+
+    const dot = convert(doc, { format: "dot" });
+    expect(dot.text).toStartWith("digraph {\n    rankdir=LR;");
+    expect(dot.mermaid).toBeUndefined();
+    expect(dot.nodeCount).toBe(3);
+  });
+
+  test("registered emitters are formats", () => {
+    const doc = JSON.parse(readFileSync(fixture("simple-flow.excalidraw"), "utf-8"));
+    registerEmitter("labels", (graph) => [...graph.nodes.values()].map((node) => node.label).join("\n") + "\n");
+    expect(convert(doc, { format: "labels" }).text).toBe("Start\nProcess\nEnd\n");
+    expect(() => convert(doc, { format: "svg" })).toThrow('Unknown format "svg"');
+  });
+
+  test("graph JSON converts back to the same diagram", () => {
+    for (const name of ["decision-flow.excalidraw", "nested-groups.excalidraw", "state-machine.excalidraw"]) {
+      const doc = JSON.parse(readFileSync(fixture(name), "utf-8"));
+      const exported = convert(doc, { format: "graph-json" });
+      expect(exported.text).toEndWith("}\n");
+      const json = JSON.parse(exported.text);
+      expect(convert(json).mermaid).toBe(convert(doc).mermaid);
+      expect(convert(json, { format: "d2" }).text).toBe(convert(doc, { format: "d2" }).text);
+    }
+    const json = JSON.parse(convert(JSON.parse(readFileSync(fixture("simple-flow.excalidraw"), "utf-8")), { format: "graph-json" }).text);
+    expect(() => convert(json, { type: "sequence" })).toThrow("cannot be read as a sequence diagram");
+  });
+
+  test("diffGraphs compares two revisions of a drawing", () => {
+    const before = JSON.parse(readFileSync(fixture("decision-flow.excalidraw"), "utf-8"));
+    const after = structuredClone(before);
+    after.elements = after.elements.filter((el) => el.id !== "error" && el.id !== "error_text");
+    after.elements.find((el) => el.id === "a_yes_text").text = "OK";
+
+    const result = diffGraphs(before, after);
+    expect(result.format).toBe("text");
+    expect(result.changed).toBe(true);
+    expect(result.nodes.removed).toEqual([{ id: "error", label: "Error", shape: "rectangle" }]);
+    expect(result.edges.relabeled.map((edge) => [edge.before, edge.after])).toEqual([["Yes", "OK"]]);
+    expect(result.text).toContain('  - "Error"\n');
+
+    expect(JSON.parse(diffGraphs(before, after, { format: "json" }).text).nodes.removed).toHaveLength(1);
+    expect(diffGraphs(before, after, { format: "mermaid" }).text).toContain("    class D removed\n");
+    expect(diffGraphs(before.elements, parseDocument(before, { groupEdges: true })).changed).toBe(false);
+    expect(() => diffGraphs(before, after, { format: "html" })).toThrow('Unknown diff format "html"');
+  });
+
+  test("textconv ignores layout and z-order", () => {
+    const data = readFileSync(fixture("nested-groups.excalidraw"));
+    const moved = JSON.parse(data.toString("utf-8"));
+    for (const el of moved.elements) {
+      el.x += 15;
+      el.y -= 5;
+      el.seed = 1;
+    }
+    moved.elements.reverse();
+
+    const text = textconv(data);
+    expect(text).toBe(convert(JSON.parse(data), { ids: "element", order: "stable", direction: "TD" }).mermaid);
+    expect(textconv(JSON.stringify(moved))).toBe(text);
+    expect(textconv(data, { format: "d2" })).toStartWith("direction: down\ncloud: Cloud {\n");
+  });
+
+  test("textconv ignores which way the drawing flows", () => {
+    const data = readFileSync(fixture("simple-flow.excalidraw"));
+    const turned = JSON.parse(data.toString("utf-8"));
+    for (const el of turned.elements) {
+      [el.x, el.y, el.width, el.height] = [el.y, el.x, el.height, el.width];
+      if (el.points) el.points = el.points.map(([x, y]) => [y, x]);
+    }
+    expect(convert(JSON.parse(data)).direction).toBe("LR");
+    expect(convert(turned).direction).toBe("TD");
+    expect(textconv(JSON.stringify(turned))).toBe(textconv(data));
+    expect(textconv(data, { direction: "LR" })).toStartWith("graph LR\n");
+  });
+
+  test("textconv never throws", () => {
+    expect(textconv('{"type": "excalidraw", "elements": [')).toMatch(
+      /^excalidraw-to-mermaid: cannot convert \(.+\)\n\{"type": "excalidraw", "elements": \[\n$/
+    );
+    const png = readFileSync(fixture("simple-flow.excalidraw.png")).subarray(0, 100);
+    expect(textconv(png)).toMatch(/^excalidraw-to-mermaid: cannot convert \(.+\)\n$/);
+    expect(textconv("")).toStartWith("excalidraw-to-mermaid: cannot convert");
+  });
+
+  test("flowcharts come with an analysis", () => {
+    const doc = JSON.parse(readFileSync(fixture("decision-flow.excalidraw"), "utf-8"));
+    const { analysis } = convert(doc);
+    expect(analysis.entries).toEqual(["start"]);
+    expect(analysis.exits).toEqual(["success", "error"]);
+    expect(analysis.longestPath).toEqual(["start", "decision", "success"]);
+    expect(convert(doc, { root: "Valid?" }).analysis.unreachable).toEqual(["start"]);
+    expect(convert(JSON.parse(readFileSync(fixture("sequence.excalidraw"), "utf-8")), { type: "sequence" }).analysis).toBeUndefined();
+  });
+
+  test("analyze checks rules", () => {
+    const doc = JSON.parse(readFileSync(fixture("all-shapes.excalidraw"), "utf-8"));
+    const result = analyze(doc, { rules: ["no-cycles", "decisions-branch"] });
+    expect(result.ok).toBe(false);
+    expect(result.violations).toEqual([
+      { rule: "decisions-branch", message: 'Decision "Choice" has 1 outgoing edge', nodes: [expect.any(String)] },
+    ]);
+    expect(result.text).toContain("  decisions-branch: failed\n");
+    expect(analyze(doc).ok).toBe(true);
+  });
+
+  test("accepts clipboard payloads and element arrays", () => {
+    const doc = JSON.parse(readFileSync(fixture("simple-flow.excalidraw"), "utf-8"));
+    const expected = convert(doc).mermaid;
+    expect(convert({ type: "excalidraw/clipboard", elements: doc.elements }).mermaid).toBe(expected);
+    expect(convert(doc.elements).mermaid).toBe(expected);
+  });
+
   test("simple flow detects LR direction", () => {
     const doc = JSON.parse(readFileSync(fixture("simple-flow.excalidraw"), "utf-8"));
     const result = convert(doc);
@@ -80,6 +198,174 @@ describe("convert (API)", () => {
     expect(result.nodeCount).toBe(3);
   });
 
+  test("nested fixture renders each node in its innermost subgraph", () => {
+    const doc = JSON.parse(readFileSync(fixture("nested-groups.excalidraw"), "utf-8"));
+    const { mermaid } = convert(doc);
+
+    const lines = mermaid.split("\n");
+    const depth = (text) => {
+      const line = lines.find((l) => l.includes(text));
+      return line.length - line.trimStart().length;
+    };
+    expect(depth("subgraph cloud")).toBe(4);
+    expect(depth("subgraph vpc")).toBe(8);
+    expect(depth("subgraph svc")).toBe(12);
+    expect(depth("subgraph pods")).toBe(16);
+    expect(depth("[API]")).toBe(20);
+    expect(depth("[Queue]")).toBe(16);
+    expect(depth("[DB]")).toBe(12);
+    expect(depth("[User]")).toBe(4);
+    expect(mermaid.match(/\[API\]/g).length).toBe(1);
+  });
+
+  test("colored fixture keeps its colors", () => {
+    const doc = JSON.parse(readFileSync(fixture("colored.excalidraw"), "utf-8"));
+    const result = convert(doc);
+
+    expect(result.mermaid).toContain("classDef style1 fill:#ffc9c9,stroke:#e03131");
+    expect(result.mermaid).toContain("class B,C style2");
+    expect(result.mermaid).toContain("linkStyle 0 stroke:#e03131");
+  });
+
+  test("colors survive a round trip", () => {
+    const doc = JSON.parse(readFileSync(fixture("colored.excalidraw"), "utf-8"));
+    const { mermaid } = convert(doc);
+    expect(convert(toExcalidraw(mermaid)).mermaid).toBe(mermaid);
+  });
+
+  test("sequence type renders a sequenceDiagram", () => {
+    const doc = JSON.parse(readFileSync(fixture("sequence.excalidraw"), "utf-8"));
+    const result = convert(doc, { type: "sequence" });
+
+    expect(result.type).toBe("sequence");
+    expect(result.nodeCount).toBe(3);
+    expect(result.edgeCount).toBe(4);
+    expect(result.mermaid).toBe(
+      [
+        "sequenceDiagram",
+        "    participant Client",
+        "    participant B as Auth Server",
+        "    participant DB",
+        "    Client->>B: POST /login",
+        "    B->>DB: SELECT user",
+        "    DB-->>B: row",
+        "    B-->>Client: 200 OK#59; token",
+        "",
+      ].join("\n")
+    );
+    expect(result.unattachedText.map((t) => t.text)).toEqual(["Login flow"]);
+  });
+
+  test("flowchart arrows to a frame end at its subgraph", () => {
+    const doc = JSON.parse(readFileSync(fixture("state-machine.excalidraw"), "utf-8"));
+    const { mermaid } = convert(doc);
+
+    expect(mermaid).toContain("    subgraph active[Active]\n");
+    expect(mermaid).toContain("    B -->|start| active\n");
+    expect(mermaid).toContain("    active -->|stop; reset| F\n");
+  });
+
+  test("state type renders a stateDiagram-v2", () => {
+    const doc = JSON.parse(readFileSync(fixture("state-machine.excalidraw"), "utf-8"));
+    const result = convert(doc, { type: "state" });
+
+    expect(result.type).toBe("state");
+    expect(result.nodeCount).toBe(3);
+    expect(result.edgeCount).toBe(6);
+    expect(result.mermaid).toBe(
+      [
+        "stateDiagram-v2",
+        "    Idle",
+        "    state Active {",
+        "        Running",
+        "        Paused",
+        "        [*] --> Running",
+        "        Running --> Paused : pause",
+        "        Paused --> Running : resume",
+        "    }",
+        "    [*] --> Idle",
+        "    Idle --> Active : start",
+        "    Active --> [*] : stop#59; reset",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("class and er types render the domain model", () => {
+    const doc = JSON.parse(readFileSync(fixture("domain-model.excalidraw"), "utf-8"));
+
+    const classes = convert(doc, { type: "class" });
+    expect(classes.type).toBe("class");
+    expect(classes.nodeCount).toBe(4);
+    expect(classes.edgeCount).toBe(3);
+    expect(classes.mermaid).toContain("    class Payable {\n        <<interface>>\n        +pay() bool\n    }");
+    expect(classes.mermaid).toContain('    Customer "1" --> "0..*" Order : places');
+    expect(classes.mermaid).toContain('    Order *-- "1..*" C');
+    expect(classes.mermaid).toContain("    Order ..|> Payable");
+    expect(classes.unattachedText.map((t) => t.text)).toEqual(["Draft model"]);
+
+    const entities = convert(doc, { type: "er" });
+    expect(entities.mermaid).toContain("    Order {\n        string id PK\n        decimal total\n        string customer_id FK\n    }");
+    expect(entities.mermaid).toContain("    Customer ||--o{ Order : places");
+    expect(entities.mermaid).toContain('    Order ||--|{ C : ""');
+  });
+
+  test("label IDs in stable order survive reordering and new shapes", () => {
+    const doc = JSON.parse(readFileSync(fixture("decision-flow.excalidraw"), "utf-8"));
+    const options = { ids: "label", order: "stable" };
+    const before = convert(doc, options).mermaid;
+
+    const reordered = { ...doc, elements: [...doc.elements].reverse() };
+    expect(convert(reordered, options).mermaid).toBe(before);
+
+    const added = {
+      ...doc,
+      elements: [
+        { type: "rectangle", id: "zzz-new", x: 900, y: 900, width: 100, height: 50, isDeleted: false, groupIds: [] },
+        ...doc.elements,
+      ],
+    };
+    const after = convert(added, options).mermaid.split("\n");
+    const removed = before.split("\n").filter((line) => !after.includes(line));
+    expect(removed).toEqual([]);
+  });
+
+  test("layout order ignores drawing order", () => {
+    const doc = JSON.parse(readFileSync(fixture("decision-flow.excalidraw"), "utf-8"));
+    const reversed = { ...doc, elements: [...doc.elements].reverse() };
+    const result = convert(reversed, { order: "layout" });
+    expect(result.mermaid).toBe(
+      [
+        "graph TD",
+        "    A(Start)",
+        "    B{Valid?}",
+        "    C[Error]",
+        "    D[Success]",
+        "    A --> B",
+        "    B -.->|No| C",
+        "    B -->|Yes| D",
+        "",
+      ].join("\n")
+    );
+    expect(convert(doc, { order: "layout" }).mermaid).toBe(result.mermaid);
+  });
+
+  test("custom IDs come from customData.mermaidId", () => {
+    const doc = {
+      elements: [
+        { type: "rectangle", id: "r1", x: 0, y: 0, width: 100, height: 50, customData: { mermaidId: "gateway" }, isDeleted: false, groupIds: [] },
+        { type: "frame", id: "f1", x: -20, y: -20, width: 200, height: 100, name: "Edge", customData: { mermaidId: "edge_zone" }, isDeleted: false, groupIds: [] },
+      ],
+    };
+    const { mermaid } = convert(doc, { ids: "custom" });
+    expect(mermaid).toContain("subgraph edge_zone[Edge]");
+    expect(mermaid).toContain("gateway[gateway]");
+  });
+
+  test("unknown type throws", () => {
+    expect(() => convert({ elements: [] }, { type: "gantt" })).toThrow("Unknown diagram type");
+  });
+
   test("empty document returns empty mermaid", () => {
     const doc = JSON.parse(readFileSync(fixture("empty.excalidraw"), "utf-8"));
     const result = convert(doc);
@@ -89,6 +375,58 @@ describe("convert (API)", () => {
     expect(result.mermaid.trim()).toBe("graph TD");
   });
 
+  test("unbound arrows are inferred and reported", () => {
+    const doc = JSON.parse(readFileSync(fixture("unbound-arrows.excalidraw"), "utf-8"));
+    const result = convert(doc);
+
+    expect(result.edgeCount).toBe(2);
+    expect(result.mermaid).toContain("A --> B");
+    expect(result.mermaid).toContain("B --> C");
+    expect(result.inferredEdges.map((e) => e.id)).toEqual(["loose", "bound"]);
+  });
+
+  test("binding inference can be disabled", () => {
+    const doc = JSON.parse(readFileSync(fixture("unbound-arrows.excalidraw"), "utf-8"));
+    const result = convert(doc, { inferBindings: false });
+
+    expect(result.edgeCount).toBe(0);
+    expect(result.inferredEdges).toEqual([]);
+  });
+
+  test("arrows near no shape are reported, not dropped silently", () => {
+    const doc = JSON.parse(readFileSync(fixture("unbound-arrows.excalidraw"), "utf-8"));
+    const result = convert(doc);
+
+    expect(result.edgeCount).toBe(2);
+    expect(result.warnings.map((w) => [w.code, w.elementId])).toEqual([["unbound-arrow", "stray"]]);
+  });
+
+  test("free-floating text labels shapes and arrows", () => {
+    const doc = JSON.parse(readFileSync(fixture("free-text.excalidraw"), "utf-8"));
+    const result = convert(doc);
+
+    expect(result.mermaid).toContain("A[Web App]");
+    expect(result.mermaid).toContain("B([Database])");
+    expect(result.mermaid).toContain("A -->|SQL| B");
+    expect(result.unattachedText.map((t) => t.text)).toEqual(["System Overview"]);
+  });
+
+  test("returns warnings for elements left out", () => {
+    const doc = JSON.parse(readFileSync(fixture("free-text.excalidraw"), "utf-8"));
+    expect(convert(doc).warnings.map(({ code, elementId }) => ({ code, elementId }))).toEqual([
+      { code: "unattached-text", elementId: "title" },
+    ]);
+
+    const clean = JSON.parse(readFileSync(fixture("simple-flow.excalidraw"), "utf-8"));
+    expect(convert(clean).warnings).toEqual([]);
+  });
+
+  test("start and end dots of state diagrams are not empty labels", () => {
+    const doc = JSON.parse(readFileSync(fixture("state-machine.excalidraw"), "utf-8"));
+    expect(convert(doc).warnings.some((w) => w.code === "empty-label")).toBe(true);
+    expect(convert(doc, { type: "state" }).warnings).toEqual([]);
+  });
+
   test("direction override works", () => {
     const doc = JSON.parse(readFileSync(fixture("simple-flow.excalidraw"), "utf-8"));
     const result = convert(doc, { direction: "TD" });
@@ -115,4 +453,96 @@ describe("convertFile", () => {
     // Cleanup
     unlinkSync(outPath);
   });
+
+  test("reads scenes embedded in PNG and SVG exports", () => {
+    const expected = convertFile(fixture("simple-flow.excalidraw")).mermaid;
+    expect(convertFile(fixture("simple-flow.excalidraw.png")).mermaid).toBe(expected);
+    expect(convertFile(fixture("simple-flow.excalidraw.svg")).mermaid).toBe(expected);
+  });
+
+  test("reads Obsidian .excalidraw.md drawings, with wiki-links as click links", () => {
+    const result = convertFile(fixture("checkout.excalidraw.md"));
+    expect(result.mermaid).toBe(
+      "graph LR\n    A[Cart]\n    B[Payment]\n    C[Receipt]\n    A --> B\n    B --> C\n" +
+        '    click B "Payment%20Flow"\n    click C "https://example.com/receipts"\n'
+    );
+  });
+});
+
+describe("convertMermaid (API)", () => {
+  test("counts nodes and edges", () => {
+    const result = convertMermaid("graph LR\n  A[Start] --> B[End]\n");
+    expect(result.nodeCount).toBe(2);
+    expect(result.edgeCount).toBe(1);
+    expect(result.direction).toBe("LR");
+    expect(result.scene.elements.length).toBeGreaterThan(0);
+  });
+
+  for (const name of ["simple-flow", "decision-flow", "all-shapes", "grouped"]) {
+    test(`${name} survives a round trip`, () => {
+      const doc = JSON.parse(readFileSync(fixture(`${name}.excalidraw`), "utf-8"));
+      const { mermaid } = convert(doc);
+      const scene = toExcalidraw(parseMermaid(mermaid));
+      expect(convert(scene).mermaid).toBe(mermaid);
+    });
+  }
+
+  test("arrows to a frame survive a round trip", () => {
+    const el = (props) => ({ isDeleted: false, groupIds: [], ...props });
+    const box = (id, x, text) => [
+      el({ type: "rectangle", id, x, y: 0, width: 100, height: 50 }),
+      el({ type: "text", id: `${id}-text`, x: x + 10, y: 15, width: 80, height: 20, text, containerId: id }),
+    ];
+    const arrow = (id, from, to, x) =>
+      el({
+        type: "arrow", id, x, y: 25, width: 100, height: 0, points: [[0, 0], [100, 0]], endArrowhead: "arrow",
+        startBinding: { elementId: from }, endBinding: { elementId: to },
+      });
+    const doc = {
+      type: "excalidraw",
+      elements: [
+        el({ type: "frame", id: "f", x: 150, y: -50, width: 200, height: 150, name: "Backend" }),
+        ...box("api", 200, "API"),
+        ...box("client", 0, "Client"),
+        ...box("log", 400, "Log"),
+        arrow("in", "client", "f", 100),
+        arrow("out", "f", "log", 300),
+      ],
+    };
+    const { mermaid } = convert(doc);
+    expect(mermaid).toStartWith("graph LR\n");
+    expect(mermaid).toContain("    B --> f\n    f --> C\n");
+
+    const scene = toExcalidraw(mermaid);
+    const arrows = scene.elements.filter((el) => el.type === "arrow");
+    expect(arrows.map((a) => [a.startBinding.elementId, a.endBinding.elementId])).toEqual([["node-B", "f"], ["f", "node-C"]]);
+    expect(scene.elements.find((el) => el.id === "f").boundElements.map(({ id }) => id)).toEqual(["edge-0", "edge-1"]);
+    expect(convert(scene).mermaid).toBe(mermaid);
+  });
+
+  test("every shape survives a round trip", () => {
+    const shapes = ["rectangle", "rounded", "diamond", "circle", "subroutine", "stadium", "double-circle"];
+    const lines = shapes.map((shape, i) => `    ${String.fromCharCode(65 + i)}@{ shape: ${EXPANDED_SHAPES[shape]}, label: "${shape} node" }`);
+    const mermaid = `graph TD\n${lines.join("\n")}\n`;
+    const scene = toExcalidraw(parseMermaid(mermaid));
+    expect(convert(scene, { target: "11" }).mermaid).toBe(mermaid);
+    const classic = convert(scene).mermaid;
+    expect(classic).toBe(
+      "graph TD\n    A[rectangle node]\n    B(rounded node)\n    C{diamond node}\n    D((circle node))\n" +
+        "    E[[subroutine node]]\n    F([stadium node])\n    G(((double-circle node)))\n"
+    );
+    expect(convert(toExcalidraw(parseMermaid(classic))).mermaid).toBe(classic);
+  });
+
+  test("arrowheads survive a round trip", () => {
+    const mermaid = "graph LR\n    A[A]\n    B[B]\n    A <--> B\n    B --o A\n    A x==x B\n";
+    expect(convert(toExcalidraw(parseMermaid(mermaid))).mermaid).toBe(mermaid);
+  });
+
+  test("output for Mermaid 11 reads back", () => {
+    const doc = JSON.parse(readFileSync(fixture("all-shapes.excalidraw"), "utf-8"));
+    const { mermaid } = convert(doc, { target: "11" });
+    expect(mermaid).toContain("@{ shape: ");
+    expect(convert(toExcalidraw(parseMermaid(mermaid)), { target: "11" }).mermaid).toBe(mermaid);
+  });
 });
@@ -0,0 +1,23 @@
+import { describe, test, expect } from "bun:test";
+import { decompressFromBase64 } from "../src/lz-string.js";
+
+describe("decompressFromBase64", () => {
+  test("decompresses LZ-String base64 output", () => {
+    expect(decompressFromBase64("BIUwNmD2A0AEDukBOYAmQ===")).toBe("Hello, world");
+    expect(decompressFromBase64("D8Ow9wxgHwJglwAkMjkzlA==")).toBe("ünïcødé ✓ ✓ ✓");
+  });
+
+  test("ignores line breaks in the input", () => {
+    expect(decompressFromBase64("BIUwNmD2A0AE\n\nDukBOYAmQ===\n")).toBe("Hello, world");
+  });
+
+  test("empty input", () => {
+    expect(decompressFromBase64("")).toBe("");
+    expect(decompressFromBase64("Q===")).toBe("");
+  });
+
+  test("rejects invalid data", () => {
+    expect(() => decompressFromBase64("not-base64!")).toThrow("Invalid compressed data");
+    expect(() => decompressFromBase64("/////")).toThrow("Invalid compressed data");
+  });
+});
@@ -0,0 +1,243 @@
+import { describe, test, expect } from "bun:test";
+import { parseMermaid, parseStyle, unquoteLabel } from "../src/mermaid-parser.js";
+import { CONNECTORS, HEAD_MARKERS, renderConnector, edgeHeads } from "../src/converter.js";
+
+describe("unquoteLabel", () => {
+  test("plain text passes through", () => {
+    expect(unquoteLabel("Hello World")).toBe("Hello World");
+  });
+
+  test("strips surrounding quotes", () => {
+    expect(unquoteLabel('"DB: Main"')).toBe("DB: Main");
+  });
+
+  test("decodes #quot; and <br>", () => {
+    expect(unquoteLabel('"say #quot;hi#quot;<br>bye"')).toBe('say "hi"\nbye');
+  });
+});
+
+describe("parseStyle", () => {
+  test("maps style properties to element properties", () => {
+    expect(parseStyle("fill:#ffc9c9,stroke:#e03131,stroke-width:3px,stroke-dasharray:5 5"))
+      .toEqual({
+        backgroundColor: "#ffc9c9",
+        strokeColor: "#e03131",
+        strokeWidth: 3,
+        strokeStyle: "dashed",
+      });
+  });
+
+  test("short dashes are dotted, unknown properties ignored", () => {
+    expect(parseStyle("stroke-dasharray:2 2,color:#fff")).toEqual({ strokeStyle: "dotted" });
+  });
+});
+
+describe("parseMermaid", () => {
+  test("reads header direction", () => {
+    expect(parseMermaid("graph LR\n").direction).toBe("LR");
+    expect(parseMermaid("flowchart TB\n").direction).toBe("TD");
+    expect(parseMermaid("graph\n").direction).toBe("TD");
+  });
+
+  test("rejects non-flowchart input", () => {
+    expect(() => parseMermaid("sequenceDiagram\n")).toThrow("header");
+  });
+
+  test("parses every node shape", () => {
+    const { nodes } = parseMermaid(
+      "graph TD\n  A[Box]\n  B(Pill)\n  C{Decision}\n  D((End))\n  E[[Sub]]\n"
+    );
+    expect(nodes.get("A")).toEqual({ id: "A", label: "Box", shape: "rectangle" });
+    expect(nodes.get("B").shape).toBe("rounded");
+    expect(nodes.get("C").shape).toBe("diamond");
+    expect(nodes.get("D").shape).toBe("circle");
+    expect(nodes.get("E").shape).toBe("subroutine");
+  });
+
+  test("other classic shapes read as the nearest shape", () => {
+    const { nodes } = parseMermaid(
+      "graph TD\n  A([Stadium])\n  B(((Twice)))\n  C[(DB)]\n  D[/Lean right/]\n  E[\\Lean left\\]\n" +
+        "  F[/Trapezoid\\]\n  G[\\Inverted/]\n  H{{Hex}}\n  I>Flag]\n  J[/a/] --> K[/b\\]\n  L[\"(quoted)\"]\n"
+    );
+    const read = Object.fromEntries([...nodes.values()].map((node) => [node.id, [node.shape, node.label]]));
+    expect(read).toEqual({
+      A: ["stadium", "Stadium"],
+      B: ["double-circle", "Twice"],
+      C: ["rectangle", "DB"],
+      D: ["rectangle", "Lean right"],
+      E: ["rectangle", "Lean left"],
+      F: ["rectangle", "Trapezoid"],
+      G: ["rectangle", "Inverted"],
+      H: ["rectangle", "Hex"],
+      I: ["rectangle", "Flag"],
+      J: ["rectangle", "a"],
+      K: ["rectangle", "b"],
+      L: ["rectangle", "(quoted)"],
+    });
+  });
+
+  test("unclosed shapes throw", () => {
+    expect(() => parseMermaid("graph TD\n  A([Stadium\n")).toThrow("cannot parse");
+    expect(() => parseMermaid("graph TD\n  A{{Hex}\n")).toThrow("cannot parse");
+  });
+
+  test("invisible links declare nodes but no edge", () => {
+    const { nodes, edges } = parseMermaid(
+      "graph TD\n  A ~~~ B\n  B --> C\n  C ~~~~ D & E\n  linkStyle 1 stroke:#e03131\n"
+    );
+    expect([...nodes.keys()]).toEqual(["A", "B", "C", "D", "E"]);
+    expect(edges.map(({ source, target }) => [source, target])).toEqual([["B", "C"]]);
+    expect(edges[0].strokeColor).toBe("#e03131");
+  });
+
+  test("parses the expanded shape syntax", () => {
+    const { nodes } = parseMermaid(
+      'graph TD\n  A@{ shape: stadium, label: "Go, now: #quot;fast#quot;" }\n  B@{ shape: dbl-circ }:::done\n  C@{ shape: hex, label: "Hex" } --> A\n'
+    );
+    expect(nodes.get("A")).toEqual({ id: "A", label: 'Go, now: "fast"', shape: "stadium" });
+    expect(nodes.get("B")).toMatchObject({ label: "B", shape: "double-circle" });
+    expect(nodes.get("C")).toMatchObject({ label: "Hex", shape: "rectangle" });
+  });
+
+  test("bare node uses its ID as label", () => {
+    const { nodes } = parseMermaid("graph TD\n  A --> B\n");
+    expect(nodes.get("A").label).toBe("A");
+  });
+
+  test("parses every connector style", () => {
+    const { edges } = parseMermaid(
+      "graph TD\n  A --> B\n  A --- B\n  A -.-> B\n  A -.- B\n  A ==> B\n  A === B\n"
+    );
+    expect(edges.map((e) => e.style)).toEqual([
+      "arrow", "line", "dotted", "dotted-line", "thick", "thick-line",
+    ]);
+  });
+
+  test("every rendered connector reads back with its heads", () => {
+    const heads = [null, ...Object.keys(HEAD_MARKERS)];
+    for (const style of Object.keys(CONNECTORS)) {
+      for (const startArrowhead of heads) {
+        for (const endArrowhead of heads) {
+          const edge = { style, startArrowhead, endArrowhead };
+          const connector = renderConnector(edge);
+          const [parsed] = parseMermaid(`graph TD\n  A ${connector} B\n`).edges;
+          expect(parsed.style).toBe(style);
+          expect(renderConnector(parsed)).toBe(connector);
+          expect(edgeHeads(parsed)).toEqual(edgeHeads(edge));
+        }
+      }
+    }
+  });
+
+  test("connector heads", () => {
+    const { edges } = parseMermaid(
+      "graph TD\n  A <--> B\n  A --o B\n  A --x|no| B\n  A <==> B\n  A -.-o B\n  A x-- stop --x B\n  A ---oak\n"
+    );
+    expect(edges.map(({ style, startArrowhead, endArrowhead }) => [style, startArrowhead, endArrowhead])).toEqual([
+      ["arrow", "arrow", "arrow"],
+      ["arrow", null, "circle"],
+      ["arrow", null, "bar"],
+      ["thick", "arrow", "arrow"],
+      ["dotted", null, "circle"],
+      ["arrow", "bar", "bar"],
+      ["line", null, null],
+    ]);
+    expect(edges[4].target).toBe("B");
+    expect(edges[5].label).toBe("stop");
+    expect(edges[6].target).toBe("oak");
+    expect(() => parseMermaid("graph TD\n  A <--- B\n")).toThrow("cannot parse");
+  });
+
+  test("lengthened connectors normalize", () => {
+    const { edges } = parseMermaid("graph TD\n  A ---> B\n  A -..-> B\n  A ====> B\n");
+    expect(edges.map((e) => e.style)).toEqual(["arrow", "dotted", "thick"]);
+  });
+
+  test("pipe and inline edge labels", () => {
+    const { edges } = parseMermaid(
+      'graph TD\n  A -->|"yes: ok"| B\n  B -- no --> C\n  C -. retry .-> A\n'
+    );
+    expect(edges[0].label).toBe("yes: ok");
+    expect(edges[1]).toMatchObject({ source: "B", target: "C", label: "no", style: "arrow" });
+    expect(edges[2]).toMatchObject({ label: "retry", style: "dotted" });
+  });
+
+  test("chains and & fan out", () => {
+    const { edges } = parseMermaid("graph TD\n  A --> B & C --> D\n");
+    expect(edges.map((e) => `${e.source}${e.target}`)).toEqual(["AB", "AC", "BD", "CD"]);
+  });
+
+  test("inline declarations inside edges", () => {
+    const { nodes, edges } = parseMermaid("graph TD\n  A(Start) --> B{Ok?}\n");
+    expect(nodes.get("A").shape).toBe("rounded");
+    expect(nodes.get("B").label).toBe("Ok?");
+    expect(edges.length).toBe(1);
+  });
+
+  test("subgraphs collect their nodes", () => {
+    const { groups, nodes } = parseMermaid(
+      "graph TD\n  subgraph g1[Backend]\n    A[API]\n    B[DB]\n  end\n  C[Client]\n  C --> A\n"
+    );
+    expect(groups.get("g1")).toEqual({ id: "g1", label: "Backend", members: ["A", "B"], parent: null });
+    expect(nodes.has("C")).toBe(true);
+  });
+
+  test("nested subgraphs record their parent", () => {
+    const { groups } = parseMermaid(
+      "graph TD\n  subgraph outer\n    A\n    subgraph inner\n      B\n    end\n  end\n"
+    );
+    expect(groups.get("outer")).toMatchObject({ members: ["A"], parent: null });
+    expect(groups.get("inner")).toMatchObject({ members: ["B"], parent: "outer" });
+  });
+
+  test("links to a subgraph ID end at the subgraph", () => {
+    const { nodes, edges, groups } = parseMermaid(
+      "graph TD\n  A --> g\n  subgraph g[Backend]\n    B\n    subgraph h\n      C\n    end\n  end\n  h --> D\n"
+    );
+    expect([...nodes.keys()]).toEqual(["A", "B", "C", "D"]);
+    expect(edges.map(({ source, target }) => [source, target])).toEqual([["A", "g"], ["h", "D"]]);
+    expect(groups.get("g").members).toEqual(["B"]);
+
+    const shaped = parseMermaid("graph TD\n  subgraph g\n    g[Gate]\n  end\n  A --> g\n");
+    expect(shaped.nodes.get("g")).toMatchObject({ label: "Gate", shape: "rectangle" });
+  });
+
+  test("subgraph with quoted title only", () => {
+    const { groups } = parseMermaid('graph TD\n  subgraph "My Group"\n    A\n  end\n');
+    const [group] = groups.values();
+    expect(group.label).toBe("My Group");
+    expect(group.members).toEqual(["A"]);
+  });
+
+  test("ignores comments", () => {
+    const { nodes, edges } = parseMermaid("graph TD\n  %% note\n  A --> B;\n");
+    expect(nodes.size).toBe(2);
+    expect(edges.length).toBe(1);
+  });
+
+  test("applies classDef, class, ::: and style", () => {
+    const { nodes } = parseMermaid(
+      "graph TD\n  A --> B:::ok\n  C\n  class A bad\n  style C fill:#eee\n" +
+        "  classDef bad fill:#ffc9c9,stroke:#e03131\n  classDef ok fill:#b2f2bb\n"
+    );
+    expect(nodes.get("A")).toMatchObject({ backgroundColor: "#ffc9c9", strokeColor: "#e03131" });
+    expect(nodes.get("B")).toMatchObject({ backgroundColor: "#b2f2bb" });
+    expect(nodes.get("C")).toMatchObject({ backgroundColor: "#eee" });
+  });
+
+  test("applies linkStyle by index", () => {
+    const { edges } = parseMermaid(
+      "graph TD\n  A --> B\n  B --> C\n  linkStyle 1 stroke:#e03131,stroke-width:1px\n"
+    );
+    expect(edges[0].strokeColor).toBeUndefined();
+    expect(edges[1]).toMatchObject({ strokeColor: "#e03131", strokeWidth: 1 });
+  });
+
+  test("unmatched end throws with line number", () => {
+    expect(() => parseMermaid("graph TD\n  end\n")).toThrow("Line 2");
+  });
+
+  test("unparseable statement throws", () => {
+    expect(() => parseMermaid("graph TD\n  A ~> B\n")).toThrow("cannot parse");
+  });
+});
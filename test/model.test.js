@@ -0,0 +1,122 @@
+import { describe, test, expect } from "bun:test";
+import { toClassDiagram, toErDiagram } from "../src/model.js";
+
+const cls = (id, name, attributes = [], methods = [], annotation = "") => ({
+  id,
+  name,
+  annotation,
+  attributes,
+  methods,
+});
+const rel = (source, target, extra = {}) => ({
+  source,
+  target,
+  label: "",
+  style: "arrow",
+  startArrowhead: null,
+  endArrowhead: "arrow",
+  startLabel: "",
+  endLabel: "",
+  ...extra,
+});
+
+describe("toClassDiagram", () => {
+  test("renders classes with members and annotations", () => {
+    const model = {
+      classes: [
+        cls("a", "Shape", [], ["+area() float"], "interface"),
+        cls("b", "Plain"),
+        cls("c", "Line Item", ["qty: int"]),
+      ],
+      relations: [],
+    };
+    expect(toClassDiagram(model)).toBe(
+      [
+        "classDiagram",
+        "    class Shape {",
+        "        <<interface>>",
+        "        +area() float",
+        "    }",
+        "    class Plain",
+        '    class C["Line Item"] {',
+        "        qty: int",
+        "    }",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("maps arrowheads to relation markers", () => {
+    const model = {
+      classes: [cls("a", "A"), cls("b", "B")],
+      relations: [
+        rel("a", "b", { endArrowhead: "triangle" }),
+        rel("a", "b", { endArrowhead: "triangle_outline", style: "dotted" }),
+        rel("a", "b", { startArrowhead: "diamond", endArrowhead: null, style: "line" }),
+        rel("a", "b", { startArrowhead: "diamond_outline", endArrowhead: null, style: "line" }),
+        rel("a", "b", { style: "dotted" }),
+        rel("a", "b", { endArrowhead: null, style: "line" }),
+      ],
+    };
+    const lines = toClassDiagram(model).trim().split("\n").slice(3);
+    expect(lines).toEqual([
+      "    A --|> B",
+      "    A ..|> B",
+      "    A *-- B",
+      "    A o-- B",
+      "    A ..> B",
+      "    A -- B",
+    ]);
+  });
+
+  test("writes multiplicities from end labels and bar/dot heads", () => {
+    const model = {
+      classes: [cls("a", "A"), cls("b", "B")],
+      relations: [
+        rel("a", "b", { startLabel: "1", endLabel: "1..*", label: "has" }),
+        rel("a", "b", { startArrowhead: "bar", endArrowhead: "dot", style: "line" }),
+      ],
+    };
+    const result = toClassDiagram(model);
+    expect(result).toContain('    A "1" --> "1..*" B : has');
+    expect(result).toContain('    A "1" -- "0..1" B');
+  });
+});
+
+describe("toErDiagram", () => {
+  test("renders entities with typed attributes and keys", () => {
+    const model = {
+      classes: [cls("a", "Order", ["id PK", "total: decimal", "+int count", "customer_id FK"])],
+      relations: [],
+    };
+    expect(toErDiagram(model)).toBe(
+      [
+        "erDiagram",
+        "    Order {",
+        "        string id PK",
+        "        decimal total",
+        "        int count",
+        "        string customer_id FK",
+        "    }",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("maps multiplicities to crow's foot notation", () => {
+    const model = {
+      classes: [cls("a", "A"), cls("b", "B")],
+      relations: [
+        rel("a", "b", { startLabel: "1", endLabel: "*", label: "places" }),
+        rel("a", "b", { startLabel: "0..1", endLabel: "1..*", label: "belongs to" }),
+        rel("a", "b", { startArrowhead: "crowfoot_many", endArrowhead: "bar", style: "dotted" }),
+      ],
+    };
+    const lines = toErDiagram(model).trim().split("\n").slice(3);
+    expect(lines).toEqual([
+      "    A ||--o{ B : places",
+      '    A |o--|{ B : "belongs to"',
+      '    A }o..|| B : ""',
+    ]);
+  });
+});
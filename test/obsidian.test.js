@@ -0,0 +1,72 @@
+import { describe, test, expect } from "bun:test";
+import { readFileSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { isObsidianDrawing, readObsidian } from "../src/obsidian.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const checkout = readFileSync(resolve(__dirname, "fixtures", "checkout.excalidraw.md"), "utf-8");
+
+const elements = [
+  { id: "box1", type: "rectangle", x: 0, y: 0, width: 100, height: 50, link: null },
+  { id: "txt1", type: "text", containerId: "box1", text: "Page", originalText: "Page", link: null },
+  { id: "txt2", type: "text", text: "Line one Line two", originalText: "Line one Line two" },
+  { id: "txt3", type: "text", text: "" },
+];
+
+function drawing({ textElements = "", extra = "", heading = "##" } = {}) {
+  return `---\n\nexcalidraw-plugin: parsed\ntags: [excalidraw]\n\n---\n\n# Excalidraw Data\n\n${heading} Text Elements\n${textElements}\n${extra}%%\n${heading} Drawing\n\`\`\`json\n${JSON.stringify({ type: "excalidraw", elements }, null, 2)}\n\`\`\`\n%%`;
+}
+
+describe("isObsidianDrawing", () => {
+  test("detects json and compressed-json drawing blocks", () => {
+    expect(isObsidianDrawing(drawing())).toBe(true);
+    expect(isObsidianDrawing(checkout)).toBe(true);
+  });
+
+  test("plain Markdown and JSON are not drawings", () => {
+    expect(isObsidianDrawing("# Notes\n\n```json\n{}\n```\n")).toBe(false);
+    expect(isObsidianDrawing(JSON.stringify({ elements: [] }))).toBe(false);
+  });
+});
+
+describe("readObsidian", () => {
+  test("decompresses compressed-json drawings", () => {
+    const doc = readObsidian(checkout);
+    expect(doc.type).toBe("excalidraw");
+    expect(doc.elements.map((el) => el.id)).toContain("Arrow001");
+  });
+
+  test("wiki-links become the text's link and show as page or alias", () => {
+    const doc = readObsidian(drawing({ textElements: "[[Checkout Flow]] ^txt1\n" }));
+    const text = doc.elements.find((el) => el.id === "txt1");
+    expect(text.text).toBe("Checkout Flow");
+    expect(text.originalText).toBe("Checkout Flow");
+    expect(text.link).toBe("[[Checkout Flow]]");
+
+    const aliased = readObsidian(drawing({ textElements: "See [[Checkout Flow#Steps|the steps]] ^txt1\n" }));
+    expect(aliased.elements[1].text).toBe("See the steps");
+    expect(aliased.elements[1].link).toBe("[[Checkout Flow#Steps|the steps]]");
+  });
+
+  test("plain text entries fill in missing text only", () => {
+    const doc = readObsidian(drawing({ textElements: "Line one\nLine two ^txt2\n\nFilled in ^txt3\n" }));
+    expect(doc.elements[2].text).toBe("Line one Line two");
+    expect(doc.elements[2].link).toBeUndefined();
+    expect(doc.elements[3].text).toBe("Filled in");
+  });
+
+  test("Element Links set links on elements", () => {
+    const doc = readObsidian(drawing({ extra: "## Element Links\nbox1: https://example.com\n\n" }));
+    expect(doc.elements[0].link).toBe("https://example.com");
+  });
+
+  test("older files use top-level headings", () => {
+    const doc = readObsidian(drawing({ heading: "#", textElements: "[[Page]] ^txt1\n" }));
+    expect(doc.elements[1].link).toBe("[[Page]]");
+  });
+
+  test("no drawing block", () => {
+    expect(() => readObsidian("# Notes\n")).toThrow("No Excalidraw drawing");
+  });
+});
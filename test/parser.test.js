@@ -1,5 +1,15 @@
 import { describe, test, expect } from "bun:test";
-import { parseDocument, mapShape, mapArrowStyle, detectDirection } from "../src/parser.js";
+import {
+  parseDocument,
+  mapShape,
+  mapArrowStyle,
+  detectDirection,
+  arrowEndpoints,
+  findNodeNear,
+  parseSequence,
+  parseModel,
+  parseCompartments,
+} from "../src/parser.js";
 
 describe("mapShape", () => {
   test("rectangle without roundness → rectangle", () => {
@@ -20,6 +30,16 @@ describe("mapShape", () => {
 
   test("ellipse → circle", () => {
     expect(mapShape({ type: "ellipse" })).toBe("circle");
+    expect(mapShape({ type: "ellipse", width: 100, height: 80 })).toBe("circle");
+  });
+
+  test("long ellipse → stadium", () => {
+    expect(mapShape({ type: "ellipse", width: 150, height: 60 })).toBe("stadium");
+    expect(mapShape({ type: "ellipse", width: 60, height: 90 })).toBe("stadium");
+  });
+
+  test("dashed ellipse → double-circle", () => {
+    expect(mapShape({ type: "ellipse", width: 150, height: 60, strokeStyle: "dashed" })).toBe("double-circle");
   });
 
   test("unknown type → rectangle", () => {
@@ -91,6 +111,11 @@ describe("mapArrowStyle", () => {
       endArrowhead: "none",
     })).toBe("line");
   });
+
+  test("a start head alone still makes an arrow", () => {
+    expect(mapArrowStyle({ strokeStyle: "solid", strokeWidth: 2, startArrowhead: "arrow", endArrowhead: null })).toBe("arrow");
+    expect(mapArrowStyle({ strokeStyle: "dashed", strokeWidth: 2, startArrowhead: "dot" })).toBe("dotted");
+  });
 });
 
 describe("detectDirection", () => {
@@ -129,6 +154,24 @@ describe("detectDirection", () => {
     ];
     expect(detectDirection(nodes, edges)).toBe("TD");
   });
+
+  test("edges to a group measure to its bounds", () => {
+    const nodes = new Map([
+      ["a", { x: 0, y: 0, width: 100, height: 50 }],
+      ["b", { x: 0, y: 300, width: 100, height: 50 }],
+    ]);
+    const edges = [
+      { source: "a", target: "b" },
+      { source: "a", target: "g" },
+      { source: "g", target: "h" },
+    ];
+    const groupBounds = new Map([
+      ["g", { x: 300, y: 0, width: 200, height: 100 }],
+      ["h", { x: 700, y: 0, width: 200, height: 100 }],
+    ]);
+    expect(detectDirection(nodes, edges)).toBe("TD");
+    expect(detectDirection(nodes, edges, groupBounds)).toBe("LR");
+  });
 });
 
 describe("parseDocument", () => {
@@ -318,4 +361,591 @@ describe("parseDocument", () => {
     const { nodes } = parseDocument(doc);
     expect(nodes.get("r").label).toBe("");
   });
+
+  test("links come from the shape or its bound text", () => {
+    const doc = {
+      elements: [
+        { type: "rectangle", id: "a", x: 0, y: 0, width: 100, height: 50, link: "https://example.com" },
+        { type: "rectangle", id: "b", x: 200, y: 0, width: 100, height: 50 },
+        { type: "text", id: "t", containerId: "b", text: "Page", link: "[[Page]]" },
+        { type: "rectangle", id: "c", x: 400, y: 0, width: 100, height: 50 },
+      ],
+    };
+    const { nodes } = parseDocument(doc);
+    expect(nodes.get("a").link).toBe("https://example.com");
+    expect(nodes.get("b").link).toBe("[[Page]]");
+    expect(nodes.get("c").link).toBeNull();
+  });
+});
+
+describe("arrowEndpoints", () => {
+  test("offsets first and last points by arrow position", () => {
+    const ends = arrowEndpoints({ x: 10, y: 20, points: [[0, 0], [50, 5], [100, 40]] });
+    expect(ends.start).toEqual({ x: 10, y: 20 });
+    expect(ends.end).toEqual({ x: 110, y: 60 });
+  });
+
+  test("missing points → null", () => {
+    expect(arrowEndpoints({ x: 0, y: 0 })).toBeNull();
+  });
+});
+
+describe("findNodeNear", () => {
+  const nodes = new Map([
+    ["outer", { x: 0, y: 0, width: 400, height: 400 }],
+    ["inner", { x: 100, y: 100, width: 100, height: 50 }],
+    ["right", { x: 500, y: 0, width: 100, height: 50 }],
+  ]);
+
+  test("point inside a shape", () => {
+    expect(findNodeNear({ x: 450, y: 300 }, nodes, 0)).toBeNull();
+    expect(findNodeNear({ x: 10, y: 10 }, nodes, 0)).toBe("outer");
+  });
+
+  test("smallest containing shape wins", () => {
+    expect(findNodeNear({ x: 150, y: 120 }, nodes, 10)).toBe("inner");
+  });
+
+  test("nearby point within tolerance", () => {
+    expect(findNodeNear({ x: 490, y: 20 }, nodes, 5)).toBeNull();
+    expect(findNodeNear({ x: 490, y: 20 }, nodes, 20)).toBe("right");
+  });
+});
+
+describe("parseDocument binding inference", () => {
+  const doc = {
+    elements: [
+      { type: "rectangle", id: "a", x: 0, y: 0, width: 100, height: 50, isDeleted: false, groupIds: [] },
+      { type: "rectangle", id: "b", x: 200, y: 0, width: 100, height: 50, isDeleted: false, groupIds: [] },
+      {
+        type: "arrow", id: "arr",
+        x: 110, y: 25, width: 80, height: 0,
+        points: [[0, 0], [80, 0]],
+        strokeStyle: "solid", strokeWidth: 2,
+        startBinding: null,
+        endBinding: { elementId: "b" },
+        endArrowhead: "arrow",
+        isDeleted: false, groupIds: [],
+      },
+    ],
+  };
+
+  test("attaches unbound end to nearest shape", () => {
+    const { edges } = parseDocument(doc);
+    expect(edges.length).toBe(1);
+    expect(edges[0].source).toBe("a");
+    expect(edges[0].target).toBe("b");
+    expect(edges[0].inferred).toBe(true);
+  });
+
+  test("bound edges are not marked inferred", () => {
+    const bound = structuredClone(doc);
+    bound.elements[2].startBinding = { elementId: "a" };
+    expect(parseDocument(bound).edges[0].inferred).toBe(false);
+  });
+
+  test("can be turned off", () => {
+    const { edges } = parseDocument(doc, { inferBindings: false });
+    expect(edges.length).toBe(0);
+  });
+
+  test("respects tolerance", () => {
+    const { edges } = parseDocument(doc, { bindingTolerance: 5 });
+    expect(edges.length).toBe(0);
+  });
+
+  test("skips arrows whose ends land on the same shape", () => {
+    const loop = structuredClone(doc);
+    Object.assign(loop.elements[2], {
+      x: 10, y: 10, points: [[0, 0], [30, 10]], endBinding: null,
+    });
+    expect(parseDocument(loop).edges.length).toBe(0);
+  });
+
+  test("leaves unbound lines alone", () => {
+    const divider = structuredClone(doc);
+    Object.assign(divider.elements[2], { type: "line", endBinding: null, endArrowhead: null });
+    const { edges, warnings } = parseDocument(divider);
+    expect(edges).toEqual([]);
+    expect(warnings.map(({ code }) => code)).not.toContain("unbound-arrow");
+  });
+});
+
+describe("parseDocument free-floating text", () => {
+  const rect = (id, x, extra = {}) => ({
+    type: "rectangle", id, x, y: 0, width: 100, height: 50, isDeleted: false, groupIds: [], ...extra,
+  });
+  const text = (id, x, y, value, extra = {}) => ({
+    type: "text", id, x, y, width: 40, height: 20, text: value, isDeleted: false, ...extra,
+  });
+
+  test("text inside an unlabeled shape becomes its label", () => {
+    const { nodes, unattachedText } = parseDocument({
+      elements: [rect("a", 0), text("t", 30, 15, "Inside")],
+    });
+    expect(nodes.get("a").label).toBe("Inside");
+    expect(unattachedText).toEqual([]);
+  });
+
+  test("text just outside a shape is attached within tolerance", () => {
+    const doc = { elements: [rect("a", 0), text("t", 30, 70, "Below")] };
+    expect(parseDocument(doc).nodes.get("a").label).toBe("Below");
+    expect(parseDocument(doc, { labelTolerance: 5 }).nodes.get("a").label).toBe("");
+  });
+
+  test("bound labels are not replaced", () => {
+    const { nodes, unattachedText } = parseDocument({
+      elements: [
+        rect("a", 0),
+        text("bound", 30, 15, "Bound", { containerId: "a" }),
+        text("free", 30, 60, "Free"),
+      ],
+    });
+    expect(nodes.get("a").label).toBe("Bound");
+    expect(unattachedText.map((t) => t.id)).toEqual(["free"]);
+  });
+
+  test("text over an arrow becomes the edge label", () => {
+    const { edges } = parseDocument({
+      elements: [
+        rect("a", 0, { boundElements: [] }),
+        rect("b", 300),
+        {
+          type: "arrow", id: "arr", x: 100, y: 25, width: 200, height: 0,
+          points: [[0, 0], [200, 0]],
+          startBinding: { elementId: "a" }, endBinding: { elementId: "b" },
+          endArrowhead: "arrow", isDeleted: false, groupIds: [],
+        },
+        text("t", 180, 5, "calls"),
+      ],
+    });
+    // Both shapes are farther away than the arrow path
+    expect(edges[0].label).toBe("calls");
+  });
+
+  test("closest text wins when two compete for a shape", () => {
+    const { nodes, unattachedText } = parseDocument({
+      elements: [rect("a", 0), text("far", 30, 80, "Far"), text("near", 30, 15, "Near")],
+    });
+    expect(nodes.get("a").label).toBe("Near");
+    expect(unattachedText.map((t) => t.id)).toEqual(["far"]);
+  });
+
+  test("distant text is reported", () => {
+    const { unattachedText } = parseDocument({
+      elements: [rect("a", 0, { boundElements: [] }), text("title", 500, 500, "Title")],
+    });
+    expect(unattachedText).toEqual([{ id: "title", text: "Title", x: 500, y: 500 }]);
+  });
+
+  test("attachText: false leaves shapes unlabeled and reports the text", () => {
+    const { nodes, unattachedText } = parseDocument(
+      { elements: [rect("a", 0), text("t", 30, 15, "Inside")] },
+      { attachText: false }
+    );
+    expect(nodes.get("a").label).toBe("");
+    expect(unattachedText.length).toBe(1);
+  });
 });
+
+describe("parseDocument nested groups", () => {
+  const rect = (id, x, y, extra = {}) => ({
+    type: "rectangle", id, x, y, width: 100, height: 50, isDeleted: false, groupIds: [], ...extra,
+  });
+  const frame = (id, x, y, width, height, name) => ({
+    type: "frame", id, x, y, width, height, name, isDeleted: false, groupIds: [],
+  });
+
+  test("frames inside frames nest", () => {
+    const { groups } = parseDocument({
+      elements: [
+        frame("outer", 0, 0, 600, 400, "Outer"),
+        frame("inner", 200, 100, 300, 200, "Inner"),
+        rect("a", 20, 20),
+        rect("b", 250, 150),
+      ],
+    });
+    expect(groups.get("outer")).toMatchObject({ members: ["a"], parent: null });
+    expect(groups.get("inner")).toMatchObject({ members: ["b"], parent: "outer" });
+  });
+
+  test("explicit frameId wins over geometry", () => {
+    const { groups } = parseDocument({
+      elements: [
+        frame("f1", 0, 0, 300, 300, "One"),
+        frame("f2", 1000, 0, 300, 300, "Two"),
+        rect("a", 20, 20, { frameId: "f2" }),
+        rect("b", 1020, 20),
+      ],
+    });
+    expect(groups.has("f1")).toBe(false);
+    expect(groups.get("f2").members).toEqual(["a", "b"]);
+  });
+
+  test("groupIds nest innermost first", () => {
+    const { groups } = parseDocument({
+      elements: [
+        rect("a", 0, 0, { groupIds: ["inner", "outer"] }),
+        rect("b", 200, 0, { groupIds: ["inner", "outer"] }),
+        rect("c", 400, 0, { groupIds: ["outer"] }),
+      ],
+    });
+    expect(groups.get("inner")).toMatchObject({ members: ["a", "b"], parent: "outer" });
+    expect(groups.get("outer")).toMatchObject({ members: ["c"], parent: null });
+  });
+
+  test("outer group with the same nodes is collapsed", () => {
+    const { groups } = parseDocument({
+      elements: [
+        rect("a", 0, 0, { groupIds: ["inner", "outer"] }),
+        rect("b", 200, 0, { groupIds: ["inner", "outer"] }),
+      ],
+    });
+    expect([...groups.keys()]).toEqual(["inner"]);
+  });
+
+  test("grouped elements sit inside their frame", () => {
+    const { groups } = parseDocument({
+      elements: [
+        frame("f", 0, 0, 600, 300, "Frame"),
+        rect("a", 20, 20, { groupIds: ["g"] }),
+        rect("b", 200, 20, { groupIds: ["g"] }),
+        rect("c", 400, 20),
+      ],
+    });
+    expect(groups.get("f")).toMatchObject({ members: ["c"], parent: null });
+    expect(groups.get("g")).toMatchObject({ members: ["a", "b"], parent: "f" });
+  });
+
+  test("frame holding only a nested frame is kept", () => {
+    const { groups } = parseDocument({
+      elements: [
+        frame("outer", 0, 0, 600, 400, "Outer"),
+        frame("inner", 100, 100, 300, 200, "Inner"),
+        rect("a", 150, 150),
+      ],
+    });
+    expect(groups.get("outer").members).toEqual([]);
+    expect(groups.get("inner").parent).toBe("outer");
+  });
+});
+
+describe("parseDocument group edges", () => {
+  const elements = [
+    { type: "frame", id: "f", x: 200, y: 0, width: 300, height: 200, name: "Active", isDeleted: false, groupIds: [] },
+    { type: "frame", id: "empty", x: 0, y: 300, width: 100, height: 100, name: "Empty", isDeleted: false, groupIds: [] },
+    { type: "rectangle", id: "a", x: 0, y: 50, width: 100, height: 50, isDeleted: false, groupIds: [] },
+    { type: "rectangle", id: "b", x: 250, y: 50, width: 100, height: 50, isDeleted: false, groupIds: [] },
+    {
+      type: "arrow", id: "toFrame", x: 100, y: 75, width: 100, height: 0, points: [[0, 0], [100, 0]],
+      isDeleted: false, groupIds: [], startBinding: { elementId: "a" }, endBinding: { elementId: "f" },
+    },
+    {
+      type: "arrow", id: "toEmpty", x: 50, y: 100, width: 0, height: 200, points: [[0, 0], [0, 200]],
+      isDeleted: false, groupIds: [], startBinding: { elementId: "a" }, endBinding: { elementId: "empty" },
+    },
+  ];
+
+  test("arrows bound to frames are dropped by default", () => {
+    expect(parseDocument({ elements }).edges).toEqual([]);
+  });
+
+  test("groupEdges keeps arrows bound to frames that become groups", () => {
+    const { edges, direction } = parseDocument({ elements }, { groupEdges: true });
+    expect(edges.map(({ id, source, target }) => ({ id, source, target }))).toEqual([
+      { id: "toFrame", source: "a", target: "f" },
+    ]);
+    expect(direction).toBe("LR");
+  });
+
+  test("dashed containers around shapes become groups", () => {
+    const doc = {
+      elements: [
+        { type: "rectangle", id: "a", x: 0, y: 50, width: 100, height: 50, isDeleted: false, groupIds: [] },
+        { type: "rectangle", id: "box", x: 200, y: 0, width: 300, height: 200, strokeStyle: "dashed", isDeleted: false, groupIds: [] },
+        { type: "text", id: "t", x: 210, y: 10, width: 80, height: 20, text: "Backend", containerId: "box", isDeleted: false, groupIds: [] },
+        { type: "rectangle", id: "b", x: 250, y: 50, width: 100, height: 50, isDeleted: false, groupIds: [] },
+        {
+          type: "arrow", id: "toBox", x: 100, y: 75, width: 100, height: 0, points: [[0, 0], [100, 0]],
+          isDeleted: false, groupIds: [], startBinding: { elementId: "a" }, endBinding: { elementId: "box" },
+        },
+      ],
+    };
+    const { nodes, edges, groups } = parseDocument(doc, { groupEdges: true });
+    expect([...nodes.keys()]).toEqual(["a", "b"]);
+    expect(groups.get("box")).toMatchObject({ label: "Backend", members: ["b"], parent: null });
+    expect(edges.map(({ source, target }) => [source, target])).toEqual([["a", "box"]]);
+  });
+
+  test("containers inside a frame nest in it", () => {
+    const doc = {
+      elements: [
+        ...elements.slice(0, 1),
+        { type: "rectangle", id: "box", x: 220, y: 20, width: 200, height: 150, strokeStyle: "dashed", isDeleted: false, groupIds: [], frameId: "f" },
+        { type: "text", id: "t", x: 230, y: 30, width: 80, height: 20, text: "Backend", containerId: "box", isDeleted: false, groupIds: [] },
+        { ...elements[3], frameId: "f" },
+      ],
+    };
+    const { groups } = parseDocument(doc);
+    expect(groups.get("box")).toMatchObject({ members: ["b"], parent: "f", container: true });
+  });
+
+  test("bare dashed boxes are decoration unless an arrow ends at them", () => {
+    const box = { type: "rectangle", id: "box", x: 200, y: 0, width: 300, height: 200, strokeStyle: "dashed", isDeleted: false, groupIds: [] };
+    const doc = { elements: [elements[2], box, elements[3]] };
+    const bare = parseDocument(doc, { groupEdges: true });
+    expect([...bare.nodes.keys()]).toEqual(["a", "b"]);
+    expect(bare.groups.size).toBe(0);
+
+    doc.elements.push({ ...elements[4], endBinding: { elementId: "box" } });
+    const { groups, edges } = parseDocument(doc, { groupEdges: true });
+    expect(groups.get("box")).toMatchObject({ label: "", members: ["b"], container: true });
+    expect(edges.map(({ source, target }) => [source, target])).toEqual([["a", "box"]]);
+  });
+
+  test("labeled dashed boxes overlapping a shape stay subroutines", () => {
+    const doc = {
+      elements: [
+        { type: "rectangle", id: "sub", x: 0, y: 0, width: 200, height: 100, strokeStyle: "dashed", isDeleted: false, groupIds: [] },
+        { type: "text", id: "t", x: 10, y: 10, width: 80, height: 20, text: "Validate", containerId: "sub", isDeleted: false, groupIds: [] },
+        { type: "rectangle", id: "note", x: 150, y: 60, width: 100, height: 50, isDeleted: false, groupIds: [] },
+      ],
+    };
+    const { nodes, groups } = parseDocument(doc);
+    expect(nodes.get("sub")).toMatchObject({ label: "Validate", shape: "subroutine" });
+    expect(groups.size).toBe(0);
+  });
+});
+
+describe("parseDocument warnings", () => {
+  const rect = (id, x, extra = {}) => ({ type: "rectangle", id, x, y: 0, width: 100, height: 50, groupIds: [], ...extra });
+  const label = (id, containerId, text) => ({ type: "text", id, x: 0, y: 0, text, containerId });
+  const arrow = (id, start, end) => ({
+    type: "arrow", id, x: 100, y: 25, width: 100, height: 0, points: [[0, 0], [100, 0]],
+    startBinding: start ? { elementId: start } : null, endBinding: end ? { elementId: end } : null,
+  });
+  const codes = (doc, options) => parseDocument(doc, options).warnings.map(({ code, elementId }) => [code, elementId]);
+
+  test("clean documents have none", () => {
+    const doc = { elements: [rect("a", 0), label("ta", "a", "A"), rect("b", 200), label("tb", "b", "B"), arrow("e", "a", "b")] };
+    expect(parseDocument(doc).warnings).toEqual([]);
+  });
+
+  test("unbound arrows, with position", () => {
+    const doc = { elements: [rect("a", 0), label("ta", "a", "A"), arrow("e", "a", null)] };
+    expect(parseDocument(doc, { inferBindings: false }).warnings).toEqual([
+      {
+        code: "unbound-arrow",
+        message: "Arrow has an unbound end and was dropped",
+        elementId: "e",
+        position: { x: 100, y: 25 },
+        lost: true,
+      },
+    ]);
+  });
+
+  test("free-floating arrows are reported with inference on", () => {
+    const doc = { elements: [rect("a", 0), label("ta", "a", "A"), { ...arrow("e", null, null), x: 600, y: 400 }] };
+    expect(parseDocument(doc).warnings).toMatchObject([
+      { code: "unbound-arrow", message: "Arrow has an unbound start and end and was dropped", elementId: "e", lost: true },
+    ]);
+  });
+
+  test("arrows inferred to start and end at one shape", () => {
+    const doc = {
+      elements: [
+        { ...rect("a", 0), width: 300 }, label("ta", "a", "A"),
+        { ...arrow("e", null, null), x: 50 },
+      ],
+    };
+    expect(codes(doc)).toEqual([["self-loop", "e"]]);
+  });
+
+  test("unbound lines are decoration", () => {
+    const doc = { elements: [{ ...arrow("l", null, null), type: "line" }] };
+    expect(parseDocument(doc).warnings).toEqual([]);
+  });
+
+  test("arrows bound to dashed containers and missing elements", () => {
+    const doc = {
+      elements: [
+        rect("a", 0), label("ta", "a", "A"),
+        rect("box", 200, { strokeStyle: "dashed" }),
+        arrow("toBox", "a", "box"), arrow("toGone", "gone", "a"),
+      ],
+    };
+    const { warnings } = parseDocument(doc, { inferBindings: false });
+    expect(warnings.map((w) => w.message)).toEqual([
+      "Arrow end is bound to an unlabeled dashed container and was dropped",
+      "Arrow start is bound to a missing element and was dropped",
+    ]);
+  });
+
+  test("text bound to a missing container", () => {
+    expect(codes({ elements: [label("t", "gone", "Orphan")] })).toEqual([["missing-container", "t"]]);
+  });
+
+  test("unattached text and empty labels", () => {
+    const doc = { elements: [rect("a", 0), { type: "text", id: "far", x: 900, y: 900, text: "Note" }] };
+    expect(codes(doc)).toEqual([["unattached-text", "far"], ["empty-label", "a"]]);
+    expect(parseDocument(doc).warnings[1].lost).toBe(false);
+  });
+
+  test("arrows to frames without shapes, with groupEdges", () => {
+    const elements = [
+      rect("a", 0), label("ta", "a", "A"),
+      { type: "frame", id: "empty", x: 0, y: 300, width: 100, height: 100, name: "Empty" },
+      arrow("toEmpty", "a", "empty"),
+    ];
+    expect(codes({ elements }, { groupEdges: true })).toEqual([["arrow-to-non-node", "toEmpty"]]);
+  });
+});
+
+describe("parseSequence", () => {
+  const box = (id, x, label) => [
+    { type: "rectangle", id, x, y: 0, width: 100, height: 50, isDeleted: false, groupIds: [] },
+    { type: "text", id: `${id}_t`, x: x + 10, y: 10, width: 80, height: 20, text: label, containerId: id, isDeleted: false },
+  ];
+  const lifeline = (id, x) => ({
+    type: "line", id, x, y: 55, width: 0, height: 300, points: [[0, 0], [0, 300]],
+    strokeStyle: "dashed", isDeleted: false, groupIds: [],
+  });
+  const message = (id, x1, x2, y, extra = {}) => ({
+    type: "arrow", id, x: x1, y, width: Math.abs(x2 - x1), height: 0,
+    points: [[0, 0], [x2 - x1, 0]], strokeStyle: "solid", strokeWidth: 2,
+    endArrowhead: "arrow", isDeleted: false, groupIds: [], ...extra,
+  });
+
+  test("participants hang lifelines and sort by x", () => {
+    const { participants } = parseSequence({
+      elements: [...box("b", 300, "Server"), ...box("a", 0, "Client"), lifeline("lb", 350), lifeline("la", 50)],
+    });
+    expect(participants.map((p) => p.label)).toEqual(["Client", "Server"]);
+  });
+
+  test("boxes below the top are not participants", () => {
+    const { participants } = parseSequence({
+      elements: [
+        ...box("a", 0, "Client"),
+        lifeline("la", 50),
+        { type: "rectangle", id: "note", x: 200, y: 200, width: 100, height: 50, isDeleted: false, groupIds: [] },
+      ],
+    });
+    expect(participants.map((p) => p.id)).toEqual(["a"]);
+  });
+
+  test("messages map to the nearest lifeline and sort by y", () => {
+    const { messages } = parseSequence({
+      elements: [
+        ...box("a", 0, "Client"),
+        ...box("b", 300, "Server"),
+        lifeline("la", 50),
+        lifeline("lb", 350),
+        message("reply", 345, 55, 200, { strokeStyle: "dashed" }),
+        message("call", 55, 345, 100),
+      ],
+    });
+    expect(messages.map((m) => m.id)).toEqual(["call", "reply"]);
+    expect(messages[0]).toMatchObject({ source: "a", target: "b", style: "arrow" });
+    expect(messages[1]).toMatchObject({ source: "b", target: "a", style: "dotted" });
+  });
+
+  test("free text over a message becomes its label", () => {
+    const { messages, unattachedText } = parseSequence({
+      elements: [
+        ...box("a", 0, "Client"),
+        ...box("b", 300, "Server"),
+        lifeline("la", 50),
+        lifeline("lb", 350),
+        message("call", 55, 345, 100),
+        { type: "text", id: "t", x: 160, y: 75, width: 60, height: 20, text: "GET /", isDeleted: false },
+      ],
+    });
+    expect(messages[0].label).toBe("GET /");
+    expect(unattachedText).toEqual([]);
+  });
+
+  test("top row of boxes without lifelines", () => {
+    const { participants } = parseSequence({
+      elements: [...box("a", 0, "Client"), ...box("b", 300, "Server")],
+    });
+    expect(participants.length).toBe(2);
+  });
+});
+
+describe("parseCompartments", () => {
+  test("name, separator, then members split by parentheses", () => {
+    expect(parseCompartments("User\n---\n+name: String\n+login() bool")).toEqual({
+      name: "User",
+      annotation: "",
+      attributes: ["+name: String"],
+      methods: ["+login() bool"],
+    });
+  });
+
+  test("two separators give UML compartments", () => {
+    const result = parseCompartments("<<interface>>\nShape\n___\nsides\n___\narea\nperimeter()");
+    expect(result).toEqual({
+      name: "Shape",
+      annotation: "interface",
+      attributes: ["sides"],
+      methods: ["area", "perimeter()"],
+    });
+  });
+
+  test("label without separator", () => {
+    expect(parseCompartments("Order\nid\ntotal()")).toMatchObject({
+      name: "Order",
+      attributes: ["id"],
+      methods: ["total()"],
+    });
+    expect(parseCompartments("")).toMatchObject({ name: "", attributes: [], methods: [] });
+  });
+});
+
+describe("parseModel", () => {
+  const box = (id, x, label) => [
+    { type: "rectangle", id, x, y: 0, width: 100, height: 80, isDeleted: false, groupIds: [] },
+    { type: "text", id: `${id}_t`, x, y: 0, width: 100, height: 80, text: label, containerId: id, isDeleted: false },
+  ];
+  const relation = {
+    type: "arrow", id: "r", x: 100, y: 40, width: 200, height: 0, points: [[0, 0], [200, 0]],
+    startArrowhead: "diamond", endArrowhead: null, isDeleted: false, groupIds: [],
+    startBinding: { elementId: "a" }, endBinding: { elementId: "b" },
+  };
+  const text = (id, x, y, value) => ({
+    type: "text", id, x, y, width: 20, height: 20, text: value, isDeleted: false,
+  });
+
+  test("parses classes and relations with arrowheads", () => {
+    const { classes, relations } = parseModel({
+      elements: [...box("a", 0, "Order\n---\nid"), ...box("b", 300, "Item"), relation],
+    });
+    expect(classes.map((c) => c.name)).toEqual(["Order", "Item"]);
+    expect(classes[0].attributes).toEqual(["id"]);
+    expect(relations[0]).toMatchObject({
+      source: "a",
+      target: "b",
+      startArrowhead: "diamond",
+      endArrowhead: null,
+      startLabel: "",
+      endLabel: "",
+    });
+  });
+
+  test("multiplicity text near an arrow end becomes its end label", () => {
+    const { relations, unattachedText } = parseModel({
+      elements: [
+        ...box("a", 0, "Order"),
+        ...box("b", 300, "Item"),
+        relation,
+        text("m1", 105, 15, "1"),
+        text("m2", 265, 15, "1..*"),
+        text("lbl", 190, 15, "contains"),
+      ],
+    });
+    expect(relations[0]).toMatchObject({ startLabel: "1", endLabel: "1..*", label: "contains" });
+    expect(unattachedText).toEqual([]);
+  });
+});
+
@@ -0,0 +1,62 @@
+import { describe, test, expect } from "bun:test";
+import { toPlantUml, quotePlantUml, PLANTUML_ELEMENTS } from "../src/plantuml.js";
+import { SHAPE_BRACKETS, EXPANDED_SHAPES } from "../src/converter.js";
+import { graphOf } from "./helpers.js";
+
+describe("toPlantUml", () => {
+  test("every shape has an element", () => {
+    for (const shape of Object.keys({ ...SHAPE_BRACKETS, ...EXPANDED_SHAPES })) {
+      expect(PLANTUML_ELEMENTS[shape]).toBeDefined();
+    }
+  });
+
+  test("elements, containers and edges", () => {
+    const graph = graphOf(
+      [
+        { id: "a", label: "Client", shape: "circle" },
+        { id: "b", label: "API", shape: "subroutine" },
+        { id: "c", label: "Ok?", shape: "diamond" },
+      ],
+      [
+        { source: "a", target: "backend", label: "calls", style: "arrow" },
+        { source: "b", target: "c", label: "", style: "dotted-line" },
+      ],
+      [{ id: "backend", label: "Backend", members: ["b", "c"] }],
+      "LR"
+    );
+    expect(toPlantUml(graph)).toBe(
+      [
+        "@startuml",
+        "left to right direction",
+        'rectangle "Backend" as backend {',
+        '    rectangle "API" as B #line.dashed',
+        '    hexagon "Ok?" as C',
+        "}",
+        'usecase "Client" as A',
+        "A --> backend : calls",
+        "B -[dashed]- C",
+        "@enduml",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("thick edges and heads", () => {
+    const graph = graphOf(
+      [{ id: "a", label: "A" }, { id: "b", label: "B" }],
+      [
+        { source: "a", target: "b", style: "thick", startArrowhead: "arrow", endArrowhead: "arrow" },
+        { source: "a", target: "b", style: "arrow", endArrowhead: "circle" },
+        { source: "a", target: "b", style: "line" },
+      ]
+    );
+    const edges = toPlantUml(graph).split("\n").filter((line) => line.startsWith("A "));
+    expect(edges).toEqual(["A <-[bold]-> B", "A --o B", "A -- B"]);
+  });
+});
+
+describe("quotePlantUml", () => {
+  test("writes quotes as codes and newlines as \\n", () => {
+    expect(quotePlantUml('Say "hi"\nnow')).toBe('"Say <U+0022>hi<U+0022>\\nnow"');
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, test, expect } from "bun:test";
+import { readFileSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { deflateSync, crc32 } from "zlib";
+import { readScene, toScene, decodePng, decodeSvg, SCENE_MIME_TYPE, CLIPBOARD_TYPE } from "../src/scene.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const fixture = (name) => readFileSync(resolve(__dirname, "fixtures", name));
+
+const scene = { type: "excalidraw", version: 2, elements: [{ id: "r1", type: "rectangle", text: "Café" }] };
+const sceneJson = JSON.stringify(scene);
+
+function encode(compressed) {
+  const bytes = Buffer.from(sceneJson, "utf-8");
+  return JSON.stringify({
+    version: "1",
+    encoding: "bstring",
+    compressed,
+    encoded: (compressed ? deflateSync(bytes) : bytes).toString("latin1"),
+  });
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function png(...chunks) {
+  const signature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  return Buffer.concat([signature, chunk("IHDR", Buffer.alloc(13)), ...chunks, chunk("IEND", Buffer.alloc(0))]);
+}
+
+const tEXt = (keyword, text) => chunk("tEXt", Buffer.from(`${keyword}\0${text}`, "latin1"));
+
+function svg(payload, version) {
+  const versionComment = version ? `<!-- payload-version:${version} -->` : "";
+  return `<svg xmlns="http://www.w3.org/2000/svg"><!-- svg-source:excalidraw --><!-- payload-type:${SCENE_MIME_TYPE} -->${versionComment}<!-- payload-start -->${payload}<!-- payload-end --></svg>`;
+}
+
+describe("readScene", () => {
+  test("plain JSON", () => {
+    expect(readScene(Buffer.from(sceneJson))).toEqual(scene);
+    expect(readScene("﻿" + sceneJson)).toEqual(scene);
+  });
+
+  test("detects PNG and SVG by content, not extension", () => {
+    const json = JSON.parse(fixture("simple-flow.excalidraw"));
+    expect(readScene(fixture("simple-flow.excalidraw.png"))).toEqual(json);
+    expect(readScene(fixture("simple-flow.excalidraw.svg"))).toEqual(json);
+  });
+
+  test("clipboard payloads and element arrays", () => {
+    const clipboard = JSON.stringify({ type: CLIPBOARD_TYPE, elements: scene.elements, files: {} });
+    expect(readScene(clipboard).elements).toEqual(scene.elements);
+    expect(readScene(JSON.stringify(scene.elements)).elements).toEqual(scene.elements);
+  });
+
+  test("invalid JSON is a SyntaxError", () => {
+    expect(() => readScene("{ not json")).toThrow(SyntaxError);
+  });
+});
+
+describe("toScene", () => {
+  test("documents pass through", () => {
+    expect(toScene(scene)).toBe(scene);
+  });
+
+  test("wraps clipboard elements in a document", () => {
+    expect(toScene({ type: CLIPBOARD_TYPE, elements: scene.elements })).toEqual({
+      type: "excalidraw",
+      elements: scene.elements,
+      files: {},
+    });
+  });
+
+  test("wraps a bare element array", () => {
+    expect(toScene(scene.elements)).toEqual({ type: "excalidraw", elements: scene.elements });
+  });
+});
+
+describe("decodePng", () => {
+  test("compressed byte string in tEXt", () => {
+    expect(JSON.parse(decodePng(png(tEXt(SCENE_MIME_TYPE, encode(true)))))).toEqual(scene);
+  });
+
+  test("uncompressed byte string", () => {
+    expect(JSON.parse(decodePng(png(tEXt(SCENE_MIME_TYPE, encode(false)))))).toEqual(scene);
+  });
+
+  test("legacy scene JSON stored directly", () => {
+    const text = chunk("tEXt", Buffer.from(`${SCENE_MIME_TYPE}\0${sceneJson}`, "utf-8"));
+    expect(JSON.parse(decodePng(png(text)))).toEqual(scene);
+  });
+
+  test("iTXt, compressed and not", () => {
+    const itxt = (compressed) => {
+      const text = Buffer.from(encode(true), "utf-8");
+      return chunk("iTXt", Buffer.concat([
+        Buffer.from(`${SCENE_MIME_TYPE}\0`, "latin1"),
+        Buffer.from([compressed ? 1 : 0, 0]),
+        Buffer.from("\0\0"),
+        compressed ? deflateSync(text) : text,
+      ]));
+    };
+    expect(JSON.parse(decodePng(png(itxt(false))))).toEqual(scene);
+    expect(JSON.parse(decodePng(png(itxt(true))))).toEqual(scene);
+  });
+
+  test("skips other text chunks", () => {
+    const data = png(tEXt("Software", "Excalidraw"), tEXt(SCENE_MIME_TYPE, encode(true)));
+    expect(JSON.parse(decodePng(data))).toEqual(scene);
+  });
+
+  test("PNG without a scene", () => {
+    expect(() => decodePng(png(tEXt("Software", "Excalidraw")))).toThrow("Embed scene");
+  });
+
+  test("unknown encoding", () => {
+    const text = JSON.stringify({ encoding: "rot13", encoded: "" });
+    expect(() => decodePng(png(tEXt(SCENE_MIME_TYPE, text)))).toThrow('encoding "rot13"');
+  });
+});
+
+describe("decodeSvg", () => {
+  test("version 2: base64 of a compressed byte string", () => {
+    const payload = Buffer.from(encode(true), "latin1").toString("base64");
+    expect(JSON.parse(decodeSvg(svg(payload, 2)))).toEqual(scene);
+  });
+
+  test("version 1: base64 of the scene JSON", () => {
+    const payload = Buffer.from(sceneJson, "utf-8").toString("base64");
+    expect(JSON.parse(decodeSvg(svg(payload)))).toEqual(scene);
+  });
+
+  test("payload split across lines", () => {
+    const payload = Buffer.from(encode(true), "latin1").toString("base64").replace(/(.{40})/g, "$1\n");
+    expect(JSON.parse(decodeSvg(svg(`\n${payload}\n`, 2)))).toEqual(scene);
+  });
+
+  test("SVG without a scene", () => {
+    expect(() => decodeSvg("<svg></svg>")).toThrow("Embed scene");
+  });
+});
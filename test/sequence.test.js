@@ -0,0 +1,40 @@
+import { describe, test, expect } from "bun:test";
+import { toSequenceDiagram } from "../src/sequence.js";
+
+describe("toSequenceDiagram", () => {
+  const participants = [
+    { id: "p1", label: "Client" },
+    { id: "p2", label: "Auth Server" },
+  ];
+
+  test("declares participants with aliases", () => {
+    const result = toSequenceDiagram({ participants, messages: [] });
+    expect(result).toBe(
+      "sequenceDiagram\n    participant Client\n    participant B as Auth Server\n"
+    );
+  });
+
+  test("maps edge styles to message arrows", () => {
+    const messages = [
+      { source: "p1", target: "p2", label: "login", style: "arrow" },
+      { source: "p2", target: "p1", label: "ok", style: "dotted" },
+      { source: "p1", target: "p2", label: "ping", style: "line" },
+      { source: "p2", target: "p1", label: "pong", style: "dotted-line" },
+    ];
+    const result = toSequenceDiagram({ participants, messages });
+    expect(result).toContain("Client->>B: login");
+    expect(result).toContain("B-->>Client: ok");
+    expect(result).toContain("Client->B: ping");
+    expect(result).toContain("B-->Client: pong");
+  });
+
+  test("self messages and empty labels", () => {
+    const messages = [{ source: "p1", target: "p1", label: "", style: "arrow" }];
+    expect(toSequenceDiagram({ participants, messages })).toContain("Client->>Client:\n");
+  });
+
+  test("escapes semicolons, hashes and newlines", () => {
+    const messages = [{ source: "p1", target: "p2", label: "a; #1\nb", style: "arrow" }];
+    expect(toSequenceDiagram({ participants, messages })).toContain("Client->>B: a#59; #35;1<br>b");
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, test, expect } from "bun:test";
+import { toStateDiagram, findPseudoStates } from "../src/state.js";
+
+const node = (id, label, extra = {}) => ({
+  id,
+  label,
+  shape: "rounded",
+  x: 0,
+  y: 0,
+  width: 120,
+  height: 50,
+  ...extra,
+});
+const dot = (id, extra = {}) =>
+  node(id, "", { shape: "circle", elementType: "ellipse", width: 20, height: 20, backgroundColor: "#1e1e1e", ...extra });
+
+describe("findPseudoStates", () => {
+  test("small filled circles are pseudo-states", () => {
+    const nodes = new Map([
+      ["s", dot("s")],
+      ["big", dot("big", { width: 80, height: 80 })],
+      ["hollow", dot("hollow", { x: 100, backgroundColor: "transparent" })],
+      ["named", dot("named", { label: "Done" })],
+    ]);
+    expect([...findPseudoStates(nodes)]).toEqual(["s"]);
+  });
+
+  test("a ring around a dot is a pseudo-state", () => {
+    const nodes = new Map([
+      ["ring", dot("ring", { x: 0, y: 0, width: 30, height: 30, backgroundColor: "transparent" })],
+      ["inner", dot("inner", { x: 7, y: 7, width: 16, height: 16 })],
+    ]);
+    expect(findPseudoStates(nodes)).toEqual(new Set(["ring", "inner"]));
+  });
+
+  test("oblong dots and dashed rings count, small filled boxes do not", () => {
+    const nodes = new Map([
+      ["oval", dot("oval", { shape: "stadium", width: 30, height: 18 })],
+      ["ring", dot("ring", { x: 100, width: 30, height: 30, shape: "double-circle", strokeStyle: "dashed", backgroundColor: "transparent" })],
+      ["inner", dot("inner", { x: 107, y: 7, width: 16, height: 16 })],
+      ["box", dot("box", { x: 200, shape: "rectangle", elementType: "rectangle" })],
+    ]);
+    expect(findPseudoStates(nodes)).toEqual(new Set(["oval", "inner", "ring"]));
+  });
+});
+
+describe("toStateDiagram", () => {
+  test("dots become [*] and labels become transitions", () => {
+    const graph = {
+      nodes: new Map([
+        ["s", dot("s")],
+        ["a", node("a", "Idle")],
+        ["b", node("b", "Loading data")],
+        ["e", dot("e")],
+      ]),
+      edges: [
+        { source: "s", target: "a", label: "" },
+        { source: "a", target: "b", label: "fetch" },
+        { source: "b", target: "e", label: "done" },
+      ],
+      groups: new Map(),
+      direction: "TD",
+    };
+    expect(toStateDiagram(graph)).toBe(
+      [
+        "stateDiagram-v2",
+        "    Idle",
+        '    state "Loading data" as B',
+        "    [*] --> Idle",
+        "    Idle --> B : fetch",
+        "    B --> [*] : done",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("groups become composite states holding their own transitions", () => {
+    const graph = {
+      nodes: new Map([
+        ["a", node("a", "Idle")],
+        ["s", dot("s")],
+        ["r", node("r", "Running")],
+      ]),
+      edges: [
+        { source: "s", target: "r", label: "" },
+        { source: "a", target: "g", label: "go" },
+      ],
+      groups: new Map([["g", { id: "g", label: "Active", members: ["s", "r"], parent: null }]]),
+      direction: "TD",
+    };
+    expect(toStateDiagram(graph)).toBe(
+      [
+        "stateDiagram-v2",
+        "    Idle",
+        "    state Active {",
+        "        Running",
+        "        [*] --> Running",
+        "    }",
+        "    Idle --> Active : go",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("non-default direction", () => {
+    const graph = { nodes: new Map(), edges: [], groups: new Map(), direction: "LR" };
+    expect(toStateDiagram(graph)).toBe("stateDiagram-v2\n    direction LR\n");
+    expect(toStateDiagram(graph, { direction: "TD" })).toBe("stateDiagram-v2\n");
+  });
+
+  test("escapes transition labels", () => {
+    const graph = {
+      nodes: new Map([["a", node("a", "A")], ["b", node("b", "B")]]),
+      edges: [{ source: "a", target: "b", label: "x; y\nz" }],
+      groups: new Map(),
+      direction: "TD",
+    };
+    expect(toStateDiagram(graph)).toContain("A --> B : x#59; y<br>z");
+  });
+
+  test("start-only arrows are reversed", () => {
+    const graph = {
+      nodes: new Map([["a", node("a", "A")], ["b", node("b", "B")]]),
+      edges: [{ source: "a", target: "b", label: "", startArrowhead: "arrow", endArrowhead: null }],
+      groups: new Map(),
+      direction: "TD",
+    };
+    expect(toStateDiagram(graph)).toContain("    B --> A\n");
+  });
+});
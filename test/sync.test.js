@@ -0,0 +1,76 @@
+import { describe, test, expect } from "bun:test";
+import { syncMarkdown, parseMarker, diffText } from "../src/sync.js";
+
+const render = (path, options) => {
+  if (path === "missing.excalidraw") throw new Error("file not found");
+  return `graph ${options.direction || "TD"}\n    A --> B\n`;
+};
+
+describe("syncMarkdown", () => {
+  test("rewrites a stale block in place", () => {
+    const doc = "# Doc\n\n<!-- excalidraw: a.excalidraw -->\n```mermaid\ngraph TD\n    A\n```\nAfter\n";
+    const { text, blocks } = syncMarkdown(doc, render);
+    expect(text).toBe("# Doc\n\n<!-- excalidraw: a.excalidraw -->\n```mermaid\ngraph TD\n    A --> B\n```\nAfter\n");
+    expect(blocks).toEqual([
+      { path: "a.excalidraw", line: 3, stale: true, before: "graph TD\n    A", after: "graph TD\n    A --> B" },
+    ]);
+  });
+
+  test("up-to-date blocks are left alone", () => {
+    const doc = "<!-- excalidraw: a.excalidraw -->\n\n~~~~ mermaid\ngraph TD\n    A --> B\n~~~~\n";
+    const { text, blocks } = syncMarkdown(doc, render);
+    expect(text).toBe(doc);
+    expect(blocks[0].stale).toBe(false);
+  });
+
+  test("inserts a block after a marker without one", () => {
+    const { text, blocks } = syncMarkdown("<!-- excalidraw: a.excalidraw direction=LR -->\nText", render);
+    expect(text).toBe("<!-- excalidraw: a.excalidraw direction=LR -->\n```mermaid\ngraph LR\n    A --> B\n```\nText");
+    expect(blocks[0].stale).toBe(true);
+  });
+
+  test("keeps CRLF line endings", () => {
+    const doc = "<!-- excalidraw: a.excalidraw -->\r\n```mermaid\r\nold\r\n```\r\n";
+    expect(syncMarkdown(doc, render).text).toBe(
+      "<!-- excalidraw: a.excalidraw -->\r\n```mermaid\r\ngraph TD\r\n    A --> B\r\n```\r\n"
+    );
+  });
+
+  test("ignores markers inside other code blocks", () => {
+    const doc = "````md\n<!-- excalidraw: a.excalidraw -->\n```mermaid\nexample\n```\n````\n";
+    const { text, blocks } = syncMarkdown(doc, render);
+    expect(text).toBe(doc);
+    expect(blocks).toEqual([]);
+  });
+
+  test("render errors leave the block untouched", () => {
+    const doc = "<!-- excalidraw: missing.excalidraw -->\n```mermaid\nold\n```\n";
+    const { text, blocks } = syncMarkdown(doc, render);
+    expect(text).toBe(doc);
+    expect(blocks[0].error).toBe("file not found");
+  });
+
+  test("reports an unclosed block", () => {
+    const { blocks } = syncMarkdown("<!-- excalidraw: a.excalidraw -->\n```mermaid\nold\n", render);
+    expect(blocks[0].error).toContain("unclosed");
+  });
+});
+
+describe("parseMarker", () => {
+  test("reads the path and known options", () => {
+    expect(parseMarker("diagrams/x.excalidraw type=sequence color=red")).toEqual({
+      path: "diagrams/x.excalidraw",
+      options: { type: "sequence" },
+    });
+  });
+});
+
+describe("diffText", () => {
+  test("marks removed and added lines", () => {
+    expect(diffText("a\nb\nc", "a\nc\nd")).toBe(" a\n-b\n c\n+d");
+  });
+
+  test("empty before", () => {
+    expect(diffText("", "a")).toBe("+a");
+  });
+});
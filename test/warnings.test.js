@@ -0,0 +1,35 @@
+import { describe, test, expect } from "bun:test";
+import { createWarning, formatWarning } from "../src/warnings.js";
+
+describe("createWarning", () => {
+  test("takes the element's ID and rounded position", () => {
+    expect(createWarning("unbound-arrow", "Arrow was dropped", { id: "a1", x: 10.4, y: 20.6 })).toEqual({
+      code: "unbound-arrow",
+      message: "Arrow was dropped",
+      elementId: "a1",
+      position: { x: 10, y: 21 },
+      lost: true,
+    });
+  });
+
+  test("without an element or position", () => {
+    const warning = createWarning("empty-label", "Shape has no label", { id: "n1" }, false);
+    expect(warning.position).toBeNull();
+    expect(warning.lost).toBe(false);
+    expect(createWarning("missing-endpoint", "Dropped").elementId).toBeNull();
+  });
+});
+
+describe("formatWarning", () => {
+  const warning = createWarning("unbound-arrow", "Arrow was dropped", { id: "a1", x: 10, y: 20 });
+
+  test("one line with ID, position and code", () => {
+    expect(formatWarning(warning)).toBe("Warning: Arrow was dropped (a1 at (10, 20)) [unbound-arrow]");
+  });
+
+  test("names the file when given", () => {
+    expect(formatWarning(warning, "docs/a.excalidraw")).toBe(
+      "Warning: docs/a.excalidraw: Arrow was dropped (a1 at (10, 20)) [unbound-arrow]"
+    );
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, test, expect, afterEach } from "bun:test";
+import { writeFileSync, unlinkSync, existsSync } from "fs";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { watchInput, summarizeChange, diffLines } from "../src/watch.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const WATCHED = resolve(__dirname, "..", ".test-output.watched.excalidraw");
+
+describe("diffLines", () => {
+  test("counts added and removed lines regardless of order", () => {
+    expect(diffLines("a\nb\nc", "c\nb\nd\ne")).toEqual({ added: 2, removed: 1 });
+  });
+
+  test("repeated lines count separately", () => {
+    expect(diffLines("a\na", "a")).toEqual({ added: 0, removed: 1 });
+  });
+});
+
+describe("summarizeChange", () => {
+  const result = (nodeCount, edgeCount, mermaid) => ({ nodeCount, edgeCount, mermaid });
+
+  test("first run shows counts", () => {
+    expect(summarizeChange(null, result(1, 2, "x"))).toBe("1 node, 2 edges");
+  });
+
+  test("shows count deltas and line changes", () => {
+    const before = result(3, 2, "graph TD\n    A\n    B\n    C");
+    const after = result(4, 2, "graph TD\n    A\n    B\n    C\n    D");
+    expect(summarizeChange(before, after)).toBe("4 nodes (+1), 2 edges, 1 line added");
+    expect(summarizeChange(after, before)).toBe("3 nodes (-1), 2 edges, 1 line removed");
+  });
+
+  test("reports unchanged output", () => {
+    const same = result(2, 1, "graph TD\n    A --> B");
+    expect(summarizeChange(same, { ...same })).toBe("2 nodes, 1 edge, no changes");
+  });
+
+  test("compares scenes when there is no Mermaid text", () => {
+    const before = { nodeCount: 1, edgeCount: 0, scene: { elements: [] } };
+    const after = { nodeCount: 1, edgeCount: 0, scene: { elements: [1] } };
+    expect(summarizeChange(before, after)).toContain("added");
+  });
+});
+
+describe("watchInput", () => {
+  let stop = null;
+  afterEach(() => {
+    stop?.();
+    if (existsSync(WATCHED)) unlinkSync(WATCHED);
+  });
+
+  test("debounces rapid writes into one call", async () => {
+    writeFileSync(WATCHED, "{}");
+    let calls = 0;
+    stop = watchInput(WATCHED, () => calls++, { debounce: 100 });
+
+    writeFileSync(WATCHED, '{"elements": [');
+    writeFileSync(WATCHED, '{"elements": []}');
+    await new Promise((done) => setTimeout(done, 400));
+
+    expect(calls).toBe(1);
+  });
+});